@@ -1,6 +1,7 @@
 'use strict';
 
 const path = require('path');
+const webpack = require('webpack');
 
 // wrapper function for grunt configuration
 module.exports = function(grunt) {
@@ -55,10 +56,19 @@ module.exports = function(grunt) {
                 "os": false,
                 "fs": false,
                 "path": false,
+                "stream": false,
                 "url": false,
-                "crypto": false
+                "crypto": require.resolve('./src/utilities/BrowserCrypto'),
+                "net": false,
+                "readline": false,
+                "buffer": require.resolve('buffer/')
             }
         },
+        plugins: [
+            new webpack.ProvidePlugin({
+                Buffer: ['buffer', 'Buffer']  // the component framework requires a Buffer
+            })
+        ],
         entry: './index.js',
         output: {
           path: path.resolve(__dirname, 'dist'),
@@ -10,11 +10,44 @@
 'use strict';
 
 const SSMv2 = require('./src/v2/SSM').SSM;
+const SSMv3 = require('./src/v3/SSM').SSM;
+const WebSSM = require('./src/v2/WebSSM').SSM;
+const AgentSSM = require('./src/agent/SSM').SSM;
+const Agent = require('./src/agent/Agent').Agent;
 const DigitalNotary = require('./src/DigitalNotary').DigitalNotary;
+const TimestampAuthority = require('./src/TimestampAuthority').TimestampAuthority;
+const Keyring = require('./src/Keyring').Keyring;
+const MemoryStorage = require('./src/utilities/MemoryStorage').MemoryStorage;
+const FileStorage = require('./src/utilities/FileStorage').FileStorage;
+const IndexedStorage = require('./src/utilities/IndexedStorage').IndexedStorage;
+
+// a web browser has no home directory for the local configuration, but it does have IndexedDB
+const WEB_BROWSER = typeof window !== 'undefined' && typeof window.indexedDB !== 'undefined';
 
 
 /**
- * This function returns an object that implements the API for a software security module.
+ * This function returns a storage adapter that keeps configurations in memory. It can be passed
+ * in place of a directory to the other functions when nothing should be persisted.
+ *
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * <pre>
+ *   0 (or false): debugging turned off
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} An object that implements the storage adapter interface.
+ */
+const memoryStorage = function(debug) {
+    const storage = new MemoryStorage(debug);
+    return storage;
+};
+exports.memoryStorage = memoryStorage;
+
+
+/**
+ * This function returns a storage adapter that keeps configurations as files in a directory.
  *
  * @param {String} directory An optional directory to be used for local configuration storage.
  * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
@@ -25,22 +58,163 @@ const DigitalNotary = require('./src/DigitalNotary').DigitalNotary;
  *   2: perform argument validation and log exceptions to console.error
  *   3: perform argument validation and log exceptions to console.error and debug info to console.log
  * </pre>
+ * @returns {Object} An object that implements the storage adapter interface.
+ */
+const fileStorage = function(directory, debug) {
+    const storage = new FileStorage(directory, debug);
+    return storage;
+};
+exports.fileStorage = fileStorage;
+
+
+/**
+ * This function returns a storage adapter that keeps configurations in the IndexedDB database
+ * of a web browser.
+ *
+ * @param {String} database An optional name for the database.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * <pre>
+ *   0 (or false): debugging turned off
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} An object that implements the storage adapter interface.
+ */
+const indexedStorage = function(database, debug) {
+    const storage = new IndexedStorage(database, debug);
+    return storage;
+};
+exports.indexedStorage = indexedStorage;
+
+
+/**
+ * This function returns an object that implements the API for a software security module.
+ *
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * <pre>
+ *   0 (or false): debugging turned off
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @param {String|Function} passphrase An optional passphrase, or a function that returns the
+ * passphrase, that is used to encrypt the local configuration at rest.
  * @returns {Object} An object that implements the API for a software security module.
  */
-const ssmV2 = function(directory, debug) {
-    const ssm = new SSMv2(directory, debug);
+const ssmV2 = function(directory, debug, passphrase) {
+    const ssm = new SSMv2(directory, debug, passphrase);
     return ssm;
 };
 exports.ssmV2 = ssmV2;
 
 
+/**
+ * This function returns an object that implements the API for a software security module
+ * that supports version 3 of the notary protocol (SHA384 digests and ECDSA P-384 signatures).
+ *
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * <pre>
+ *   0 (or false): debugging turned off
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @param {String|Function} passphrase An optional passphrase, or a function that returns the
+ * passphrase, that is used to encrypt the local configuration at rest.
+ * @returns {Object} An object that implements the API for a software security module.
+ */
+const ssmV3 = function(directory, debug, passphrase) {
+    const ssm = new SSMv3(directory, debug, passphrase);
+    return ssm;
+};
+exports.ssmV3 = ssmV3;
+
+
+/**
+ * This function returns an object that implements the API for a web browser based security
+ * module that supports version 2 of the notary protocol using the WebCrypto API. The private
+ * keys are non-extractable and are stored in IndexedDB unless another storage adapter is
+ * specified.
+ *
+ * @param {Object} storage An optional storage adapter capable of storing WebCrypto keys.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * <pre>
+ *   0 (or false): debugging turned off
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} An object that implements the API for a security module.
+ */
+const webSSM = function(storage, debug) {
+    const ssm = new WebSSM(storage, debug);
+    return ssm;
+};
+exports.webSSM = webSSM;
+
+
+/**
+ * This function returns an agent that serves the specified security module to other local
+ * processes over a Unix domain socket. The agent must be started before it can be used.
+ *
+ * @param {Object} securityModule An object that implements the security module interface.
+ * @param {String} path The filesystem path for the Unix domain socket.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * <pre>
+ *   0 (or false): debugging turned off
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} An object that implements the API for a security module agent.
+ */
+const agent = function(securityModule, path, debug) {
+    const agent = new Agent(securityModule, path, debug);
+    return agent;
+};
+exports.agent = agent;
+
+
+/**
+ * This function returns an object that implements the API for a security module that delegates
+ * all operations requiring the private key to a security module agent.
+ *
+ * @param {String} path The filesystem path for the Unix domain socket of the agent.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * <pre>
+ *   0 (or false): debugging turned off
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} An object that implements the API for a security module.
+ */
+const agentSSM = function(path, debug) {
+    const ssm = new AgentSSM(path, debug);
+    return ssm;
+};
+exports.agentSSM = agentSSM;
+
+
 /**
  * This function returns an object that implements the API for a digital notary including
  * the functions that require access to the private key.
  *
  * @param {Object} securityModule An object that implements the security module interface.
  * @param {Tag} account A unique account tag for the owner of the digital notary.
- * @param {String} directory An optional directory to be used for local configuration storage.
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage. Within a web browser the default is an IndexedDB storage adapter.
  * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
  * the level of debugging that occurs:
  * <pre>
@@ -52,18 +226,68 @@ exports.ssmV2 = ssmV2;
  * @returns {Object} An object that implements the API for a digital notary.
  */
 const notary = function(securityModule, account, directory, debug) {
+    if (directory === undefined && WEB_BROWSER) directory = indexedStorage(undefined, debug);
     const notary = new DigitalNotary(securityModule, account, directory, debug);
     return notary;
 };
 exports.notary = notary;
 
 
+/**
+ * This function initializes a keyring that holds the notary keys for multiple accounts, each
+ * in its own slot with its own software security module and digital notary.
+ *
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * <pre>
+ *   0 (or false): debugging turned off
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @param {String|Function} passphrase An optional passphrase, or a function that returns the
+ * passphrase, that is used to encrypt the keys of every account at rest.
+ * @returns {Object} An object that implements the API for a keyring.
+ */
+const keyring = function(directory, debug, passphrase) {
+    const keyring = new Keyring(directory, debug, passphrase);
+    return keyring;
+};
+exports.keyring = keyring;
+
+
+/**
+ * This function initializes a local timestamp authority that countersigns contracts with
+ * trusted timestamps. It should ONLY be used for testing purposes.
+ *
+ * @param {String|Object} directory A storage adapter, or a directory, dedicated to the timestamp
+ * authority that is used for local configuration.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new timestamp authority.
+ */
+const timestampAuthority = function(directory, debug) {
+    const authority = new TimestampAuthority(directory, debug);
+    return authority;
+};
+exports.timestampAuthority = timestampAuthority;
+
+
 /**
  * This function initializes a digital notary test implementation configured with a local software
  * security module (SSM). It should ONLY be used for testing purposes.
  *
  * @param {Tag} account A unique tag for the account of the owner of the digital notary.
- * @param {String} directory The top level directory to be used for local configuration.
+ * @param {String|Object} directory A storage adapter, or the top level directory to be used for
+ * local configuration.
  * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
  * debugging that occurs:
  * <pre>
@@ -83,7 +307,8 @@ exports.test = test;
 /**
  * This function initializes a digital notary instance configured to be used within a service
  * for public notary certificate based operations only.  No private notary key should be
- * generated for this instance.
+ * generated for this instance, so nothing is persisted. Within a web browser the WebCrypto
+ * based security module is used.
  *
  * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
  * debugging that occurs:
@@ -96,7 +321,9 @@ exports.test = test;
  * @returns {Object} The new digital notary service instance.
  */
 const service = function(debug) {
-    return notary(ssmV2(undefined, debug), undefined, undefined, debug);
+    const storage = memoryStorage(debug);
+    const securityModule = WEB_BROWSER ? webSSM(storage, debug) : ssmV2(storage, debug);
+    return notary(securityModule, undefined, storage, debug);
 };
 exports.service = service;
 
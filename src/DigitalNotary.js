@@ -17,18 +17,51 @@
  *   * activateKey - activate the notary key and return a citation to the notary certificate
  *   * getCitation - retrieve the document citation for the notary certificate
  *   * generateCredentials - generate a new set of credentials that can be used for authentication.
+ *   * verifyCredentials - verify a set of credentials and return the authenticated account
  *   * notarizeDocument - digitally notarize a document using the notary key
+ *   * notarizeBatch - digitally notarize a batch of documents using a single signature
+ *   * countersignContract - add a signature using the notary key to a contract notarized by another account
+ *   * validCosignedContract - check whether or not enough accounts have validly signed a contract
+ *   * timestampContract - countersign a contract with a trusted timestamp (as a timestamp authority)
+ *   * verifyTimestamp - verify a trusted timestamp for a contract and return the trusted moment
  *   * validContract - check whether or not the notary seal on a contract is valid
+ *   * inspectContract - perform every check on a contract and report the result of each one
+ *   * validBatchContract - check whether or not a document was notarized as part of a batch
+ *   * validCertificateChain - check whether or not a chain of notarized certificates is valid
+ *   * validDocumentHistory - check whether or not a series of notarized document versions is consistent
+ *   * delegateKey - authorize a device key to sign documents within a scope until an expiry
+ *   * validDelegatedContract - check whether or not a contract signed by a device key is valid
+ *   * encryptDocument - seal a document in an envelope that only the holders of the specified certificates can open
+ *   * decryptDocument - open a sealed envelope using the notary key
  *   * citeDocument - create a document citation for a document
  *   * citationMatches - check whether or not a document citation matches its cited document
+ *   * citeStream - create an artifact document describing the bytes read from a stream
+ *   * notarizeStream - digitally notarize the bytes read from a stream as a detached contract
+ *   * streamMatches - check whether or not an artifact document matches the bytes read from a stream
+ *   * exportContract - export a notarized contract as a JSON envelope
+ *   * exportJWS - export a notarized contract as a compact JSON web signature signed using the notary key
+ *   * importContract - import a notarized contract from a JSON envelope or JSON web signature
+ *   * exportCertificate - export a notarized certificate as a JSON web key
+ *   * importCertificate - import a notarized certificate from a JSON web key
+ *   * validJSONContract - check whether or not the notary seal on a contract in JSON form is valid
  *   * refreshKey - replace the existing notary key with new one
+ *   * recover - complete or roll back a replacement of the notary key that was interrupted
+ *   * revokeKey - declare the notary key compromised and forget any knowledge of it
  *   * forgetKey - forget any knowledge of the notary key
  * </pre>
- * All cryptographic operations are delegated to a security module.
+ * All cryptographic operations are delegated to a security module. The operations that change
+ * the configuration of the digital notary are serialized, both within a process and across
+ * processes that share the same configuration storage, and each one reloads the configuration
+ * before changing it.
  */
+const Transform = require('stream').Transform;
 const bali = require('bali-component-framework').api();
+const Configurator = require('./utilities/Configurator').Configurator;
+const Mutex = require('./utilities/Mutex').Mutex;
+const MemoryStorage = require('./utilities/MemoryStorage').MemoryStorage;
+const JOSE = require('./utilities/JOSE');
 const SSMv2 = require('./v2/SSM').SSM;
-//const SSMv3 = require('./v3/SSM').SSM;
+const SSMv3 = require('./v3/SSM').SSM;
 //const SSMv4 = require('./v4/SSM').SSM;
 
 
@@ -40,21 +73,42 @@ const EOL = '\n';
 // import the supported validation only protocols (in preferred order)
 const PROTOCOLS = {
 //  ...
-//  v4: new SSMv4(),
-//  v3: new SSMv3(),
-    v2: new SSMv2()
+//  v4: SSMv4,
+    v3: SSMv3,
+    v2: SSMv2
 };
 const PROTOCOL = Object.keys(PROTOCOLS)[0];  // the latest protocol
+const MODULES = {};  // the validation only modules that have been created so far
+
+// the default freshness window for credentials
+const MAXIMUM_AGE = '~PT5M';  // five minutes
+const CLOCK_SKEW = '~PT1M';  // one minute
+
+// the domain separation prefixes for the leaves and nodes of a Merkle tree
+const LEAF = Buffer.from([0x00]);
+const NODE = Buffer.from([0x01]);
+
+// the algorithms used by each version of the protocol (as published in notary certificates)
+const ALGORITHMS = {
+    v3: {
+        $digest: 'SHA384',
+        $signature: 'P384'
+    },
+    v2: {
+        $digest: 'SHA512',
+        $signature: 'ED25519'
+    }
+};
 
 // define the finite state machine
 const REQUESTS = [  //                        possible request types
-              '$generateKey', '$activateKey', '$getCitation', '$generateCredentials', '$notarizeDocument', '$refreshKey'
+              '$generateKey', '$activateKey', '$getCitation', '$generateCredentials', '$notarizeDocument', '$refreshKey', '$countersignContract', '$revokeKey', '$delegateKey', '$decryptDocument'
 ];
 const STATES = {
 //   current                                   allowed next states
-    $limited: [ '$pending',     undefined,      undefined,           undefined,           undefined,        undefined ],
-    $pending: [  undefined,    '$enabled',      undefined,           undefined,          '$pending',        undefined ],
-    $enabled: [  undefined,     undefined,     '$enabled',          '$enabled',          '$enabled',       '$enabled' ]
+    $limited: [ '$pending',     undefined,      undefined,           undefined,           undefined,        undefined,          undefined,         undefined,     undefined,        undefined  ],
+    $pending: [  undefined,    '$enabled',      undefined,           undefined,          '$pending',        undefined,          undefined,         undefined,     undefined,        undefined  ],
+    $enabled: [  undefined,     undefined,     '$enabled',          '$enabled',          '$enabled',       '$enabled',         '$enabled',        '$limited',    '$enabled',       '$enabled'  ]
 };
 
 
@@ -65,8 +119,9 @@ const STATES = {
  *
  * @param {Object} securityModule An object that implements the security module interface.
  * @param {Tag} account A unique account tag for the owner of the digital notary.
- * @param {String} directory An optional directory to be used for local configuration storage. If
- * no directory is specified, a directory called '.bali/' is created in the home directory.
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage. If neither is specified, a directory called '.bali/' is created
+ * in the home directory.
  * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
  * the level of debugging that occurs:
  * <pre>
@@ -91,7 +146,8 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
         ]);
         validator.validateType('/bali/notary/DigitalNotary', '$DigitalNotary', '$directory', directory, [
             '/javascript/Undefined',
-            '/javascript/String'
+            '/javascript/String',
+            '/javascript/Object'
         ]);
     }
 
@@ -99,12 +155,97 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
     if (account) {
         // create a configurator to manage the key and state configuration
         const filename = account.getValue() + '.bali';
-        configurator = bali.configurator(filename, directory, debug);
+        configurator = new Configurator(filename, directory, debug);
     }
 
+    // serializes the operations on the configuration within this process
+    const mutex = new Mutex();
+
+    // keep track of the credentials that have already been verified (until they expire)
+    const verified = {};
+
 
     // PRIVATE METHODS
 
+    const lockConfiguration = async function() {
+        if (!configurator) throw Error('The digital notary is configured for public certificate operations only.');
+        return await mutex.lockConfiguration(configurator);
+    };
+
+    const reloadConfiguration = async function() {
+        // another process may have changed the configuration since it was last loaded
+        configuration = await loadConfiguration(configurator, debug);
+        controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
+        if (configuration.getAttribute('$rotation')) {
+            throw bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$reloadConfiguration',
+                $exception: '$unfinishedRotation',
+                $text: 'A rotation of the notary key was interrupted and must be recovered first.'
+            });
+        }
+    };
+
+    const journalRotation = async function(rotation) {
+        // the journal is stored before each step of a rotation that cannot be undone
+        configuration.setAttribute('$rotation', rotation);
+        await storeConfiguration(configurator, configuration, debug);
+    };
+
+    const completeRotation = async function(rotation) {
+        // sign the new certificate using the previous notary key
+        const contract = rotation.getAttribute('$contract');
+        const bytes = Buffer.from(contract.toString(), 'utf8');
+        const signature = await securityModule.signBytes(bytes);
+        const publicKey = configuration.getAttribute('$certificate').getAttribute('$publicKey');
+        if (!(await securityModule.validSignature(publicKey, signature, bytes))) {
+            // the security module no longer has (or remembers a signature from) the previous key
+            throw bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$completeRotation',
+                $exception: '$unrecoverableRotation',
+                $text: 'The new certificate could not be signed using the previous notary key.'
+            });
+        }
+        contract.setAttribute('$signature', signature);
+
+        // update current state
+        const state = controller.transitionState('$refreshKey');
+        configuration.setAttribute('$state', state);
+        configuration.setAttribute('$certificate', rotation.getAttribute('$certificate'));
+        configuration.setAttribute('$citation', rotation.getAttribute('$citation'));
+        configuration.removeAttributes(['$rotation']);
+        await storeConfiguration(configurator, configuration, debug);
+
+        return contract;
+    };
+
+    const validateUsage = function(procedure, document, certificate) {
+        // the notary key may only sign the documents that its certificate permits
+        const signer = configuration.getAttribute('$certificate');
+        const usages = grantedUsages(signer);
+        if (!permittedUsage(usages, document, certificate || bali.pattern.NONE, signer)) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: procedure,
+                $exception: '$usageNotPermitted',
+                $document: document,
+                $usages: usages,
+                $text: 'The certificate for the notary key does not permit it to sign the document.'
+            });
+            throw exception;
+        }
+    };
+
+    const delegatedKey = function(procedure) {
+        return bali.exception({
+            $module: '/bali/notary/DigitalNotary',
+            $procedure: procedure,
+            $exception: '$delegatedKey',
+            $text: 'The operation is not permitted using a device key.'
+        });
+    };
+
     const createDocument = function(type, attributes, tag, version, permissions, previous) {
         return bali.catalog(attributes, {
             $type: type,
@@ -115,13 +256,15 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
         });
     };
 
-    const createCitation = async function(document) {
+    const createCitation = async function(document, module) {
+        module = module || securityModule;
+        const protocol = await module.getProtocol();
         const tag = document.getParameter('$tag');
         const version = document.getParameter('$version');
         const bytes = Buffer.from(document.toString(), 'utf8');
-        const digest = await securityModule.digestBytes(bytes);
+        const digest = await module.digestBytes(bytes);
         return bali.catalog({
-            $protocol: PROTOCOL,
+            $protocol: protocol,
             $tag: tag,
             $version: version,
             $digest: digest
@@ -130,22 +273,33 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
         });
     };
 
-    const createCertificate = function(publicKey, tag, version, previous) {
-        const type = '/bali/notary/Certificate/v1';
+    const createCertificate = function(publicKey, protocol, lifetime, usages, tag, version, previous) {
+        const type = '/bali/notary/Certificate/v3';
+        const notBefore = bali.moment();  // now
         const attributes = {
             $publicKey: publicKey,
-            $algorithms: bali.catalog({
-                $digest: 'SHA512',
-                $signature: 'ED25519'
-            })
+            $algorithms: bali.catalog(ALGORITHMS[protocol.toString()]),
+            $notBefore: notBefore,
+            $notAfter: lifetime ? bali.moment.later(notBefore, lifetime) : bali.pattern.NONE,  // 'none' never expires
+            $usages: usages || bali.pattern.NONE  // 'none' permits any usage
         };
         const permissions = '/bali/permissions/public/v1';
         return createDocument(type, attributes, tag, version, permissions, previous);
     };
 
     const createContract = async function(document, certificate) {
-        const contract = bali.catalog({
-            $protocol: PROTOCOL,
+        const contract = await draftContract(document, certificate);
+        const bytes = Buffer.from(contract.toString(), 'utf8');
+        const signature = await securityModule.signBytes(bytes);
+        contract.setAttribute('$signature', signature);
+        return contract;
+    };
+
+    const draftContract = async function(document, certificate) {
+        validateUsage('$draftContract', document, certificate);
+        const protocol = await securityModule.getProtocol();
+        return bali.catalog({
+            $protocol: protocol,
             $timestamp: bali.moment(),  // now
             $account: account,
             $document: document,
@@ -153,10 +307,336 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
         }, {
             $type: '/bali/notary/Contract/v1'
         });
-        const bytes = Buffer.from(contract.toString(), 'utf8');
+    };
+
+    const createCosignature = async function(contract, certificate) {
+        validateUsage('$createCosignature', contract.getAttribute('$document'), certificate);
+        const protocol = await securityModule.getProtocol();
+        const cosignature = bali.catalog({
+            $protocol: protocol,
+            $timestamp: bali.moment(),  // now
+            $account: account,
+            $certificate: certificate
+        }, {
+            $type: '/bali/notary/Cosignature/v1'
+        });
+        const bytes = Buffer.from(cosignedCatalog(contract, cosignature).toString(), 'utf8');
         const signature = await securityModule.signBytes(bytes);
-        contract.setAttribute('$signature', signature);
-        return contract;
+        cosignature.setAttribute('$signature', signature);
+        return cosignature;
+    };
+
+    const createArtifact = async function(stream, mediaType, module) {
+        module = module || securityModule;
+        const protocol = await module.getProtocol();
+
+        // count the bytes as they pass through to the security module
+        var size = 0;
+        const counter = new Transform({
+            transform: function(chunk, encoding, callback) {
+                size += chunk.length;
+                callback(null, chunk);
+            }
+        });
+        stream.on('error', function(cause) {
+            counter.destroy(cause);
+        });
+        const digest = await module.digestStream(stream.pipe(counter));
+
+        const type = '/bali/notary/Artifact/v1';
+        const attributes = {
+            $protocol: protocol,
+            $mediaType: bali.text(mediaType),
+            $size: size,
+            $digest: digest
+        };
+        return createDocument(type, attributes);
+    };
+
+    const findModule = async function(procedure, protocol) {
+        const currentProtocol = await securityModule.getProtocol();
+        if (protocol === currentProtocol.toString()) return securityModule;  // use the current one
+        if (!PROTOCOLS[protocol]) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: procedure,
+                $exception: '$unsupportedProtocol',
+                $expected: Object.keys(PROTOCOLS),
+                $actual: protocol,
+                $text: 'Attempted to use an unsupported version of the notary protocol.'
+            });
+            throw exception;
+        }
+        return validationModule(protocol);
+    };
+
+    const matchingCitation = async function(procedure, citation, document) {
+        const requiredModule = await findModule(procedure, citation.getAttribute('$protocol').toString());
+        const bytes = Buffer.from(document.toString(), 'utf8');
+        const digest = await requiredModule.digestBytes(bytes);
+        return digest.isEqualTo(citation.getAttribute('$digest'));
+    };
+
+    const validSignature = async function(procedure, contract, certificate) {
+        // the contract must have been notarized while the certificate was valid
+        if (!validPeriod(contract, certificate)) return false;
+
+        // the certificate must permit the notary key to sign the document
+        const signer = certificate.getAttribute('$document');
+        const usages = grantedUsages(signer);
+        if (!permittedUsage(usages, contract.getAttribute('$document'), contract.getAttribute('$certificate'), signer)) return false;
+
+        return await matchingSignature(procedure, contract, certificate);
+    };
+
+    const matchingSignature = async function(procedure, contract, certificate) {
+        // find a security module that is compatible with the protocol
+        const protocol = contract.getAttribute('$protocol').toString();
+        const requiredModule = await findModule(procedure, protocol);
+
+        // the notary key must use the same algorithms as the protocol
+        const algorithms = certificate.getAttribute('$document').getAttribute('$algorithms');
+        if (!algorithms.isEqualTo(bali.catalog(ALGORITHMS[protocol]))) return false;
+
+        // separate the signature from the contract
+        const catalog = bali.catalog.extraction(contract, [
+            '$protocol',
+            '$timestamp',
+            '$account',
+            '$document',
+            '$certificate'
+        ]);
+        const signature = contract.getAttribute('$signature');
+
+        // extract the public key from the certificate
+        const publicKey = certificate.getAttribute('$document').getAttribute('$publicKey');
+
+        // validate the signature against the unsigned contract
+        const bytes = Buffer.from(catalog.toString(), 'utf8');
+        return await requiredModule.validSignature(publicKey, signature, bytes);
+    };
+
+    const validCosignature = async function(procedure, contract, cosignature, certificate) {
+        // the cosignature must have been created while the certificate was valid
+        if (!validPeriod(cosignature, certificate)) return false;
+
+        // the certificate must permit the notary key to sign the document
+        const signer = certificate.getAttribute('$document');
+        const usages = grantedUsages(signer);
+        if (!permittedUsage(usages, contract.getAttribute('$document'), cosignature.getAttribute('$certificate'), signer)) return false;
+
+        // find a security module that is compatible with the protocol
+        const protocol = cosignature.getAttribute('$protocol').toString();
+        const requiredModule = await findModule(procedure, protocol);
+
+        // the notary key must use the same algorithms as the protocol
+        const algorithms = certificate.getAttribute('$document').getAttribute('$algorithms');
+        if (!algorithms.isEqualTo(bali.catalog(ALGORITHMS[protocol]))) return false;
+
+        // validate the signature against the contract and unsigned cosignature
+        const publicKey = certificate.getAttribute('$document').getAttribute('$publicKey');
+        const signature = cosignature.getAttribute('$signature');
+        const bytes = Buffer.from(cosignedCatalog(contract, cosignature).toString(), 'utf8');
+        return await requiredModule.validSignature(publicKey, signature, bytes);
+    };
+
+    const createProofs = async function(citations, module) {
+        module = module || securityModule;
+
+        // build the levels of the Merkle tree from the leaves up to the root
+        const levels = [[]];
+        for (const citation of citations) {
+            levels[0].push(await digestLeaf(module, citation));
+        }
+        while (levels[levels.length - 1].length > 1) {
+            const level = levels[levels.length - 1];
+            const next = [];
+            for (var i = 0; i < level.length; i += 2) {
+                if (i + 1 < level.length) {
+                    next.push(await digestNode(module, level[i], level[i + 1]));
+                } else {
+                    next.push(level[i]);  // an odd node is promoted unchanged
+                }
+            }
+            levels.push(next);
+        }
+
+        // create an inclusion proof for each citation
+        const protocol = await module.getProtocol();
+        const proofs = citations.map(function(citation, index) {
+            const path = bali.list();
+            levels.slice(0, -1).forEach(function(level) {
+                const sibling = index ^ 1;
+                if (sibling < level.length) {
+                    path.addItem(bali.catalog({
+                        $side: (index % 2 === 0) ? '$right' : '$left',
+                        $digest: level[sibling]
+                    }));
+                }
+                index = Math.floor(index / 2);
+            });
+            return bali.catalog({
+                $protocol: protocol,
+                $citation: citation,
+                $path: path
+            }, {
+                $type: '/bali/notary/Proof/v1'
+            });
+        });
+        return {
+            root: levels[levels.length - 1][0],
+            proofs: proofs
+        };
+    };
+
+    const proofRoot = async function(procedure, proof) {
+        // walk the path from the leaf up to the root of the Merkle tree
+        const module = await findModule(procedure, proof.getAttribute('$protocol').toString());
+        var digest = await digestLeaf(module, proof.getAttribute('$citation'));
+        const iterator = proof.getAttribute('$path').getIterator();
+        while (iterator.hasNext()) {
+            const step = iterator.getNext();
+            if (step.getAttribute('$side').toString() === '$left') {
+                digest = await digestNode(module, step.getAttribute('$digest'), digest);
+            } else {
+                digest = await digestNode(module, digest, step.getAttribute('$digest'));
+            }
+        }
+        return digest;
+    };
+
+    const findCertificate = async function(procedure, signer, certificates) {
+        // find the notarized certificate for the notary key that allegedly signed the contract
+        const citation = signer.getAttribute('$certificate');
+        const iterator = certificates.getIterator();
+        while (iterator.hasNext()) {
+            const certificate = iterator.getNext();
+            if (!certificate.getAttribute('$account').isEqualTo(signer.getAttribute('$account'))) continue;
+            const document = certificate.getAttribute('$document');
+            if (citation.isEqualTo(bali.pattern.NONE)) {
+                // a self-signed certificate can only sign itself
+                if (document.isEqualTo(signer.getAttribute('$document'))) return certificate;
+            } else if (await matchingCitation(procedure, citation, document)) {
+                return certificate;
+            }
+        }
+    };
+
+    const findRevocation = async function(procedure, certificate, revocations) {
+        // retrieve the candidate revocations for the certificate
+        if (typeof revocations === 'function') {
+            const revocation = await revocations(certificate);
+            revocations = bali.list();
+            if (revocation) revocations.addItem(revocation);
+        }
+
+        // find a revocation that cites the certificate and was signed using its notary key
+        const document = certificate.getAttribute('$document');
+        const iterator = revocations.getIterator();
+        while (iterator.hasNext()) {
+            const revocation = iterator.getNext();
+            const type = revocation.getAttribute('$document').getParameter('$type');
+            if (!type || type.toString() !== '/bali/notary/Revocation/v1') continue;
+            const citation = revocation.getAttribute('$document').getAttribute('$certificate');
+            if (!await matchingCitation(procedure, citation, document)) continue;
+            if (await validSignature(procedure, revocation, certificate)) return revocation;
+        }
+    };
+
+    const trustedMoment = async function(procedure, timestamp, contract, authority) {
+        // make sure the timestamp was notarized by the timestamp authority for the contract
+        const document = timestamp.getAttribute('$document');
+        const type = document.getParameter('$type');
+        const citation = timestamp.getAttribute('$certificate');
+        if (!type || type.toString() !== '/bali/notary/Timestamp/v1') return;
+        if (!timestamp.getAttribute('$account').isEqualTo(authority.getAttribute('$account'))) return;
+        if (citation.isEqualTo(bali.pattern.NONE)) return;
+        if (!await matchingCitation(procedure, citation, authority.getAttribute('$document'))) return;
+        if (!await validSignature(procedure, timestamp, authority)) return;
+        const requiredModule = await findModule(procedure, document.getAttribute('$protocol').toString());
+        const bytes = Buffer.from(contract.toString(), 'utf8');
+        const digest = await requiredModule.digestBytes(bytes);
+        if (digest.isEqualTo(document.getAttribute('$digest'))) return timestamp.getAttribute('$timestamp');
+    };
+
+    const notarizedAfterRevocation = async function(procedure, contract, certificate, revocations, timestamp, authority) {
+        // the timestamp on the contract is chosen by its signer so only a trusted timestamp can
+        // prove that the contract was notarized before the notary key was revoked
+        const revocation = await findRevocation(procedure, certificate, revocations);
+        if (!revocation) return false;
+        if (!timestamp || !authority) return true;
+        const moment = await trustedMoment(procedure, timestamp, contract, authority);
+        return !moment || moment.getValue() > revocation.getAttribute('$timestamp').getValue();
+    };
+
+    const validLink = async function(procedure, certificate, previous) {
+        // the certificates must belong to the same account
+        if (!certificate.getAttribute('$account').isEqualTo(previous.getAttribute('$account'))) return false;
+
+        // the new certificate must cite the previous certificate
+        const document = certificate.getAttribute('$document');
+        const previousDocument = previous.getAttribute('$document');
+        const citation = document.getParameter('$previous');
+        if (citation.isEqualTo(bali.pattern.NONE)) return false;
+        if (!citation.isEqualTo(certificate.getAttribute('$certificate'))) return false;
+        if (!await matchingCitation(procedure, citation, previousDocument)) return false;
+
+        // the tags must be the same and the version must be the next version
+        const tag = document.getParameter('$tag');
+        if (!tag.isEqualTo(previousDocument.getParameter('$tag'))) return false;
+        const version = document.getParameter('$version');
+        if (!bali.version.validNextVersion(previousDocument.getParameter('$version'), version)) return false;
+
+        // the new certificate must be signed using the previous notary key
+        return await validSignature(procedure, certificate, previous);
+    };
+
+    const brokenLink = async function(procedure, contract, previous) {
+        // the document must cite the previous version
+        const document = contract.getAttribute('$document');
+        const previousDocument = previous.getAttribute('$document');
+        const citation = document.getParameter('$previous');
+        if (!citation || citation.isEqualTo(bali.pattern.NONE)) return '$missingPrevious';
+
+        // the tags must be the same and the version must be the next version
+        const tag = document.getParameter('$tag');
+        if (!tag.isEqualTo(previousDocument.getParameter('$tag'))) return '$tagMismatch';
+        const version = document.getParameter('$version');
+        if (!bali.version.validNextVersion(previousDocument.getParameter('$version'), version)) return '$versionMismatch';
+
+        // the citation must match the previous version
+        if (!citation.getAttribute('$tag').isEqualTo(tag) ||
+            !citation.getAttribute('$version').isEqualTo(previousDocument.getParameter('$version')) ||
+            !await matchingCitation(procedure, citation, previousDocument)) return '$citationMismatch';
+    };
+
+    const inspectionCheck = async function(checks, name, check) {
+        var reason;
+        try {
+            reason = await check();
+        } catch (cause) {
+            // a malformed contract or certificate fails the check
+            if (cause.isComponent && cause.getAttribute('$parameter')) {
+                reason = 'The ' + cause.getAttribute('$parameter').getValue() + ' is malformed.';
+            } else {
+                reason = 'The check could not be performed on a malformed contract or certificate.';
+            }
+        }
+        const result = bali.catalog({
+            $passed: !reason
+        });
+        if (reason) result.setAttribute('$reason', bali.text(reason));
+        checks.setAttribute(name, result);
+    };
+
+    const validRoot = async function(procedure, certificate) {
+        // the root certificate must not cite a previous certificate
+        const document = certificate.getAttribute('$document');
+        if (!document.getParameter('$previous').isEqualTo(bali.pattern.NONE)) return false;
+        if (!certificate.getAttribute('$certificate').isEqualTo(bali.pattern.NONE)) return false;
+
+        // the root certificate must be self-signed
+        return await validSignature(procedure, certificate, certificate);
     };
 
 
@@ -262,28 +742,7 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
                 validateStructure('$citationMatches', 'document', document, 'document');
             }
 
-            const requiredProtocol = citation.getAttribute('$protocol').toString();
-            var requiredModule;
-            if (requiredProtocol === PROTOCOL) {
-                requiredModule = securityModule;  // use the current one
-            } else {
-                requiredModule = PROTOCOLS[requiredProtocol];
-                if (!requiredModule) {
-                    const exception = bali.exception({
-                        $module: '/bali/notary/DigitalNotary',
-                        $procedure: '$citationMatches',
-                        $exception: '$unsupportedProtocol',
-                        $expected: Object.keys(PROTOCOLS),
-                        $actual: requiredProtocol,
-                        $text: 'Attempted to use an unsupported version of the notary protocol.'
-                    });
-                    throw exception;
-                }
-            }
-            const bytes = Buffer.from(document.toString(), 'utf8');
-            var digest = await requiredModule.digestBytes(bytes);
-
-            const result = digest.isEqualTo(citation.getAttribute('$digest'));
+            const result = await matchingCitation('$citationMatches', citation, document);
 
             return result;
         } catch (cause) {
@@ -300,25 +759,133 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
         }
     };
 
+    /**
+     * This method generates an artifact document describing the bytes read from the specified
+     * stream. The artifact references the bytes by their digest, size and media type. The bytes
+     * are digested incrementally by the security module as they are read so the stream may be
+     * arbitrarily large.
+     *
+     * @param {Readable} stream A readable stream containing the bytes to be cited.
+     * @param {String} mediaType The media type of the bytes (e.g. 'application/gzip').
+     * @returns {Catalog} An artifact document describing the bytes.
+     */
+    this.citeStream = async function(stream, mediaType) {
+        try {
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$citeStream', '$stream', stream, [
+                    '/javascript/Object'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$citeStream', '$mediaType', mediaType, [
+                    '/javascript/String'
+                ]);
+            }
+            return await createArtifact(stream, mediaType);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$citeStream',
+                $exception: '$unexpected',
+                $mediaType: mediaType,
+                $text: 'An unexpected error occurred while attempting to cite a stream.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method determines whether or not the specified artifact document matches the bytes
+     * read from the specified stream. The artifact only matches if both the size and the digest
+     * of the bytes match exactly.
+     *
+     * @param {Catalog} artifact An artifact document allegedly describing the bytes read from
+     * the specified stream.
+     * @param {Readable} stream A readable stream containing the bytes to be tested.
+     * @returns {Boolean} Whether or not the artifact matches the bytes read from the stream.
+     */
+    this.streamMatches = async function(artifact, stream) {
+        try {
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$streamMatches', '$artifact', artifact, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$streamMatches', 'artifact', artifact, 'document');
+                validator.validateType('/bali/notary/DigitalNotary', '$streamMatches', '$stream', stream, [
+                    '/javascript/Object'
+                ]);
+            }
+
+            const requiredModule = await findModule('$streamMatches', artifact.getAttribute('$protocol').toString());
+            const mediaType = artifact.getAttribute('$mediaType').getValue();
+            const actual = await createArtifact(stream, mediaType, requiredModule);
+            const result = actual.getAttribute('$size').isEqualTo(artifact.getAttribute('$size')) &&
+                actual.getAttribute('$digest').isEqualTo(artifact.getAttribute('$digest'));
+
+            return result;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$streamMatches',
+                $exception: '$unexpected',
+                $artifact: artifact,
+                $text: 'An unexpected error occurred while attempting to match an artifact to a stream.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
     /**
      * This method generates a new notary key and returns the new corresponding notary certificate.
+     * The certificate is valid from the time it is created until the end of the specified
+     * lifetime. If no lifetime is specified, the certificate never expires.
+     *
+     * The usages that the certificate permits may be restricted to a list containing any of
+     * the following:
+     * <pre>
+     *   * a name - permits documents of that exact type (e.g. /acme/types/Transaction/v2.3)
+     *   * a pattern - permits documents whose type matches it (e.g. "/acme/types/.*"?)
+     *   * $credentials - permits the generation of credentials
+     *   * $certification - permits the notarization of the certificate for the next notary key
+     *   * $delegation - permits the delegation of signing to device keys
+     * </pre>
+     * If no usages are specified, the certificate permits any usage. A notary key may always
+     * notarize its own certificate and revoke itself.
      *
+     * @param {Duration} lifetime An optional duration for which the certificate is valid.
+     * @param {List} usages An optional list of the usages that the certificate permits.
      * @returns {Catalog} The new notary certificate.
      */
-    this.generateKey = async function() {
+    this.generateKey = async function(lifetime, usages) {
+        var unlock;
         try {
-            // check current state
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$generateKey', '$lifetime', lifetime, [
+                    '/javascript/Undefined',
+                    '/bali/elements/Duration'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$generateKey', '$usages', usages, [
+                    '/javascript/Undefined',
+                    '/bali/collections/List'
+                ]);
+                if (usages) validateStructure('$generateKey', 'usages', usages, 'usages');
             }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
             controller.validateEvent('$generateKey');
 
             // generate a new public-private key pair
             const publicKey = await securityModule.generateKeys();
+            const protocol = await securityModule.getProtocol();
 
             // create the new notary certificate
-            const certificate = createCertificate(publicKey);
+            const certificate = createCertificate(publicKey, protocol, lifetime, usages);
 
             // update current state
             const state = controller.transitionState('$generateKey');
@@ -336,6 +903,8 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
             }, cause);
             if (debug > 0) console.error(exception.toString());
             throw exception;
+        } finally {
+            if (unlock) await unlock();
         }
     };
 
@@ -345,12 +914,15 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
      * needed since a new notary certificate may or may not be self-signed depending on
      * whether it was generated locally by the end user or on their behalf in the Bali Nebula™.
      * The notary certificate in either case must be signed using the notary key that is local
-     * to the user.
+     * to the user. Alternatively, the notary key may be activated as a device key using a
+     * notarized delegation for it that was generated by the primary notary key for the account
+     * (see delegateKey()).
      *
-     * @param {Catalog} contract The notarized certificate for the new notary key.
+     * @param {Catalog} contract The notarized certificate (or delegation) for the new notary key.
      * @returns {Catalog} A document citation for the notarized certificate.
      */
     this.activateKey = async function(contract) {
+        var unlock;
         try {
             // validate the argument
             if (debug > 1) {
@@ -359,20 +931,25 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
                     '/bali/collections/Catalog'
                 ]);
                 validateStructure('$activateKey', 'contract', contract, 'contract');
-                validateStructure('$activateKey', 'contract', contract.getAttribute('$document'), 'certificate');
+                validateStructure('$activateKey', 'contract', contract.getAttribute('$document'),
+                    isDelegation(contract.getAttribute('$document')) ? 'delegation' : 'certificate');
             }
             if (debug > 2) console.log('contract: ' + contract + EOL);
 
             // check current state
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
-            }
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
             controller.validateEvent('$activateKey');
 
-            // make sure its the same certificate
+            // make sure its the same certificate (or a delegation for the same notary key)
             const certificate = contract.getAttribute('$document');
-            if (!configuration.getAttribute('$certificate').isEqualTo(certificate)) {
+            const original = configuration.getAttribute('$certificate');
+            const matches = isDelegation(certificate) ?
+                contract.getAttribute('$account').isEqualTo(account) &&
+                    certificate.getAttribute('$publicKey').isEqualTo(original.getAttribute('$publicKey')) &&
+                    certificate.getAttribute('$algorithms').isEqualTo(original.getAttribute('$algorithms')) :
+                original.isEqualTo(certificate);
+            if (!matches) {
                 const exception = bali.exception({
                     $module: '/bali/notary/DigitalNotary',
                     $procedure: '$activateKey',
@@ -406,6 +983,8 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
             }, cause);
             if (debug > 0) console.error(exception.toString());
             throw exception;
+        } finally {
+            if (unlock) await unlock();
         }
     };
 
@@ -417,12 +996,11 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
      * current notary key.
      */
     this.getCitation = async function() {
+        var unlock;
         try {
             // check current state
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
-            }
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
             const state = controller.transitionState('$getCitation');  // NOTE: straight to transition...
             configuration.setAttribute('$state', state);
             await storeConfiguration(configurator, configuration, debug);
@@ -436,6 +1014,8 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
             }, cause);
             if (debug > 0) console.error(exception.toString());
             throw exception;
+        } finally {
+            if (unlock) await unlock();
         }
     };
 
@@ -449,6 +1029,7 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
      * @returns {Catalog} A contract containing the notarized credentials.
      */
     this.generateCredentials = async function(salt) {
+        var unlock;
         try {
             // validate the argument
             if (debug > 1) {
@@ -460,10 +1041,8 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
             }
 
             // check current state
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
-            }
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
             controller.validateEvent('$generateCredentials');
 
             // create the new credentials
@@ -492,6 +1071,8 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
             }, cause);
             if (debug > 0) console.error(exception.toString());
             throw exception;
+        } finally {
+            if (unlock) await unlock();
         }
     };
 
@@ -512,6 +1093,7 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
      * @returns {Catalog} A contract containing the newly notarized document.
      */
     this.notarizeDocument = async function(document) {
+        var unlock;
         try {
             // validate the argument
             if (debug > 1) {
@@ -523,10 +1105,8 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
             }
 
             // check current state
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
-            }
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
             controller.validateEvent('$notarizeDocument');
 
             // create the contract
@@ -550,110 +1130,1604 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
             }, cause);
             if (debug > 0) console.error(exception.toString());
             throw exception;
+        } finally {
+            if (unlock) await unlock();
         }
     };
 
     /**
-     * This method determines whether or not the digital signature on the specified contract
-     * is valid.
+     * This method digitally notarizes a batch of documents using a single signature. A Merkle
+     * tree is built over the citations to the documents and only its root is notarized, as a
+     * batch document, in a single contract. An inclusion proof is generated for each document
+     * that ties the document to the root of the tree. A document, its proof and the batch
+     * contract can later be checked using validBatchContract().
      *
-     * @param {Catalog} contract The contract to be tested.
-     * @param {Catalog} certificate A contract containing the notarized certificate for the
-     * notary key that allegedly notarized the specified contract.
-     * @returns {Boolean} Whether or not the digital signature on the contract is valid.
+     * @param {List} documents A list of the documents to be notarized.
+     * @returns {Catalog} A catalog containing the batch contract and a list of the inclusion
+     * proofs for the documents (in the same order as the documents).
      */
-    this.validContract = async function(contract, certificate) {
+    this.notarizeBatch = async function(documents) {
+        var unlock;
         try {
-            // validate the arguments
+            // validate the argument
             if (debug > 1) {
                 const validator = bali.validator(debug);
-                validator.validateType('/bali/notary/DigitalNotary', '$validContract', '$contract', contract, [
-                    '/bali/collections/Catalog'
-                ]);
-                validateStructure('$validContract', 'contract', contract, 'contract');
-                validator.validateType('/bali/notary/DigitalNotary', '$validContract', '$certificate', certificate, [
-                    '/bali/collections/Catalog'
+                validator.validateType('/bali/notary/DigitalNotary', '$notarizeBatch', '$documents', documents, [
+                    '/bali/collections/List'
                 ]);
-                validateStructure('$validContract', 'certificate', certificate, 'contract');
-                validateStructure('$validContract', 'certificate', certificate.getAttribute('$document'), 'certificate');
-
-                // make sure account tags match
-                const contractAccount = contract.getAttribute('$account');
-                const certificateAccount = certificate.getAttribute('$account');
-                if (!contractAccount.isEqualTo(certificateAccount)) {
-                    const exception = bali.exception({
-                        $module: '/bali/notary/DigitalNotary',
-                        $procedure: '$validContract',
-                        $exception: '$accountMismatch',
-                        $contract: contract,
-                        $certificate: certificate,
-                        $text: 'The account tags for the contract and certificate must match.'
-                    });
-                    throw exception;
-                }
-
-                // make sure protocol versions match
-                const contractProtocol = contract.getAttribute('$protocol');
-                const certificateProtocol = certificate.getAttribute('$protocol');
-                if (!contractProtocol.isEqualTo(certificateProtocol)) {
-                    const exception = bali.exception({
-                        $module: '/bali/notary/DigitalNotary',
-                        $procedure: '$validContract',
-                        $exception: '$protocolMismatch',
-                        $contract: contract,
-                        $certificate: certificate,
-                        $text: 'The protocol versions for the contract and certificate must match.'
-                    });
-                    throw exception;
+                const iterator = documents.getIterator();
+                while (iterator.hasNext()) {
+                    validateStructure('$notarizeBatch', 'document', iterator.getNext(), 'document');
                 }
             }
-
-            // find a security module that is compatible with the protocol
-            var requiredModule;
-            const requiredProtocol = contract.getAttribute('$protocol').toString();
-            if (requiredProtocol === PROTOCOL) {
-                requiredModule = securityModule;  // use the current one
-            } else {
-                requiredModule = PROTOCOLS[requiredProtocol];
-                if (!requiredModule) {
+            if (documents.getSize() === 0) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$notarizeBatch',
+                    $exception: '$emptyBatch',
+                    $text: 'A batch must contain at least one document.'
+                });
+                throw exception;
+            }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$notarizeDocument');
+
+            // build a Merkle tree over the citations to the documents
+            const citations = [];
+            const iterator = documents.getIterator();
+            while (iterator.hasNext()) {
+                citations.push(await createCitation(iterator.getNext()));
+            }
+            const tree = await createProofs(citations);
+
+            // notarize the root of the tree
+            const protocol = await securityModule.getProtocol();
+            const type = '/bali/notary/Batch/v1';
+            const attributes = {
+                $protocol: protocol,
+                $size: citations.length,
+                $root: tree.root
+            };
+            const batch = createDocument(type, attributes);
+            const certificate = configuration.getAttribute('$citation');
+            const contract = await createContract(batch, certificate);
+            if (debug > 2) console.log('notarized batch: ' + contract + EOL);
+
+            // update current state
+            const state = controller.transitionState('$notarizeDocument');
+            configuration.setAttribute('$state', state);
+            await storeConfiguration(configurator, configuration, debug);
+
+            return bali.catalog({
+                $contract: contract,
+                $proofs: bali.list(tree.proofs)
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$notarizeBatch',
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to notarize a batch of documents.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method digitally notarizes the bytes read from the specified stream using the notary
+     * key maintained by the security module. The bytes are digested incrementally as they are
+     * read so the stream may be arbitrarily large. A detached contract containing an artifact
+     * document that references the bytes by their digest, size and media type is returned. The
+     * bytes themselves can later be checked against the artifact using streamMatches().
+     *
+     * @param {Readable} stream A readable stream containing the bytes to be notarized.
+     * @param {String} mediaType The media type of the bytes (e.g. 'application/gzip').
+     * @returns {Catalog} A detached contract containing the artifact document for the bytes.
+     */
+    this.notarizeStream = async function(stream, mediaType) {
+        var unlock;
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$notarizeStream', '$stream', stream, [
+                    '/javascript/Object'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$notarizeStream', '$mediaType', mediaType, [
+                    '/javascript/String'
+                ]);
+            }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$notarizeDocument');
+
+            // create the detached contract
+            const artifact = await createArtifact(stream, mediaType);
+            const certificate = configuration.getAttribute('$citation');
+            const contract = await createContract(artifact, certificate);
+            if (debug > 2) console.log('notarized stream: ' + contract + EOL);
+
+            // update current state
+            const state = controller.transitionState('$notarizeDocument');
+            configuration.setAttribute('$state', state);
+            await storeConfiguration(configurator, configuration, debug);
+
+            return contract;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$notarizeStream',
+                $exception: '$unexpected',
+                $mediaType: mediaType,
+                $text: 'An unexpected error occurred while attempting to notarize a stream.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method verifies the specified notarized credentials on behalf of a service that
+     * requested authentication and returns the authenticated account tag. The credentials are
+     * rejected with a specific exception if any of the following is true:
+     * <pre>
+     *  * $invalidCredentials - the contract does not contain credentials that were signed using
+     *                          the notary key associated with the specified certificate
+     *  * $saltMismatch - the salt does not equal the expected salt (challenge)
+     *  * $staleCredentials - the credentials are older than the maximum age
+     *  * $prematureCredentials - the credentials were generated in the future
+     *  * $replayedCredentials - the credentials have already been verified
+     * </pre>
+     * The following options may be specified:
+     * <pre>
+     *  * expectedSalt - the salt (challenge) that was issued to the caller
+     *  * maxAge - the maximum age of the credentials (default: five minutes)
+     *  * clockSkew - the tolerated difference between the clocks (default: one minute)
+     * </pre>
+     *
+     * @param {Catalog} credentials A contract containing the notarized credentials.
+     * @param {Catalog} certificate A contract containing the notarized certificate for the
+     * notary key that allegedly notarized the credentials.
+     * @param {Object} options An optional object containing the verification options.
+     * @returns {Tag} The tag for the authenticated account.
+     */
+    this.verifyCredentials = async function(credentials, certificate, options) {
+        try {
+            // validate the arguments
+            options = options || {};
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$verifyCredentials', '$credentials', credentials, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$verifyCredentials', 'credentials', credentials, 'contract');
+                validator.validateType('/bali/notary/DigitalNotary', '$verifyCredentials', '$certificate', certificate, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$verifyCredentials', 'certificate', certificate, 'contract');
+                validateStructure('$verifyCredentials', 'certificate', certificate.getAttribute('$document'), 'certificate');
+                validator.validateType('/bali/notary/DigitalNotary', '$verifyCredentials', '$options', options, [
+                    '/javascript/Object'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$verifyCredentials', '$expectedSalt', options.expectedSalt, [
+                    '/javascript/Undefined',
+                    '/bali/elements/Tag'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$verifyCredentials', '$maxAge', options.maxAge, [
+                    '/javascript/Undefined',
+                    '/bali/elements/Duration'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$verifyCredentials', '$clockSkew', options.clockSkew, [
+                    '/javascript/Undefined',
+                    '/bali/elements/Duration'
+                ]);
+            }
+            const maxAge = (options.maxAge || bali.component(MAXIMUM_AGE)).getValue();
+            const clockSkew = (options.clockSkew || bali.component(CLOCK_SKEW)).getValue();
+
+            // make sure the credentials were notarized using the certificate
+            const document = credentials.getAttribute('$document');
+            const type = document.getParameter('$type');
+            const citation = credentials.getAttribute('$certificate');
+            if (!type || type.toString() !== '/bali/notary/Credentials/v1' ||
+                !credentials.getAttribute('$account').isEqualTo(certificate.getAttribute('$account')) ||
+                citation.isEqualTo(bali.pattern.NONE) ||
+                !await matchingCitation('$verifyCredentials', citation, certificate.getAttribute('$document')) ||
+                !await validSignature('$verifyCredentials', credentials, certificate)) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$verifyCredentials',
+                    $exception: '$invalidCredentials',
+                    $credentials: credentials,
+                    $text: 'The credentials were not notarized using the specified certificate.'
+                });
+                throw exception;
+            }
+
+            // make sure the salt matches the challenge
+            const salt = document.getAttribute('$salt');
+            if (options.expectedSalt && !options.expectedSalt.isEqualTo(salt)) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$verifyCredentials',
+                    $exception: '$saltMismatch',
+                    $expected: options.expectedSalt,
+                    $actual: salt,
+                    $text: 'The salt for the credentials does not match the expected salt.'
+                });
+                throw exception;
+            }
+
+            // make sure the credentials are fresh
+            const now = bali.moment().getValue();
+            const timestamp = credentials.getAttribute('$timestamp');
+            if (now - timestamp.getValue() > maxAge + clockSkew) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$verifyCredentials',
+                    $exception: '$staleCredentials',
+                    $timestamp: timestamp,
+                    $text: 'The credentials are older than the maximum allowed age.'
+                });
+                throw exception;
+            }
+            if (timestamp.getValue() - now > clockSkew) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$verifyCredentials',
+                    $exception: '$prematureCredentials',
+                    $timestamp: timestamp,
+                    $text: 'The credentials were generated in the future.'
+                });
+                throw exception;
+            }
+
+            // make sure the credentials have not already been verified
+            Object.keys(verified).forEach(function(key) {
+                if (verified[key] < now) delete verified[key];  // expired so no longer needed
+            });
+            const key = document.getParameter('$tag').toString();
+            if (verified[key]) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$verifyCredentials',
+                    $exception: '$replayedCredentials',
+                    $credentials: credentials,
+                    $text: 'The credentials have already been verified.'
+                });
+                throw exception;
+            }
+            verified[key] = timestamp.getValue() + maxAge + clockSkew;
+
+            return credentials.getAttribute('$account');
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$verifyCredentials',
+                $exception: '$unexpected',
+                $credentials: credentials,
+                $certificate: certificate,
+                $text: 'An unexpected error occurred while attempting to verify credentials.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method adds a cosignature to the specified contract using the notary key maintained
+     * by the security module. The cosignature signs the original contract (without any other
+     * cosignatures) so that multiple accounts may countersign the same contract independently.
+     * A copy of the contract containing the new cosignature in its $cosignatures attribute is
+     * returned.
+     *
+     * @param {Catalog} contract The contract to be countersigned.
+     * @returns {Catalog} A copy of the contract containing the new cosignature.
+     */
+    this.countersignContract = async function(contract) {
+        var unlock;
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$countersignContract', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$countersignContract', 'contract', contract, 'contract');
+            }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$countersignContract');
+
+            // create the cosignature
+            const certificate = configuration.getAttribute('$citation');
+            const cosignature = await createCosignature(contract, certificate);
+            if (debug > 2) console.log('cosignature: ' + cosignature + EOL);
+
+            // add the cosignature to a copy of the contract
+            const copy = contract.duplicate();
+            var cosignatures = copy.getAttribute('$cosignatures');
+            if (!cosignatures) {
+                cosignatures = bali.list();
+                copy.setAttribute('$cosignatures', cosignatures);
+            }
+            cosignatures.addItem(cosignature);
+
+            // update current state
+            const state = controller.transitionState('$countersignContract');
+            configuration.setAttribute('$state', state);
+            await storeConfiguration(configurator, configuration, debug);
+
+            return copy;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$countersignContract',
+                $exception: '$unexpected',
+                $contract: contract,
+                $text: 'An unexpected error occurred while attempting to countersign a contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method generates a trusted timestamp for the specified contract. It is meant to be
+     * used by a digital notary that acts as a timestamp authority. The timestamp authority
+     * notarizes a timestamp document containing a digest of the contract so that the timestamp
+     * of the resulting contract is the trusted moment at which the contract existed.
+     *
+     * @param {Catalog} contract The contract to be timestamped.
+     * @returns {Catalog} A contract containing the notarized timestamp for the contract.
+     */
+    this.timestampContract = async function(contract) {
+        var unlock;
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$timestampContract', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$timestampContract', 'contract', contract, 'contract');
+            }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$notarizeDocument');
+
+            // create the timestamp document
+            const protocol = await securityModule.getProtocol();
+            const bytes = Buffer.from(contract.toString(), 'utf8');
+            const digest = await securityModule.digestBytes(bytes);
+            const type = '/bali/notary/Timestamp/v1';
+            const attributes = {
+                $protocol: protocol,
+                $account: contract.getAttribute('$account'),
+                $digest: digest
+            };
+            const document = createDocument(type, attributes);
+
+            // notarize the timestamp document with the trusted moment
+            const certificate = configuration.getAttribute('$citation');
+            const timestamp = await createContract(document, certificate);
+            if (debug > 2) console.log('notarized timestamp: ' + timestamp + EOL);
+
+            // update current state
+            const state = controller.transitionState('$notarizeDocument');
+            configuration.setAttribute('$state', state);
+            await storeConfiguration(configurator, configuration, debug);
+
+            return timestamp;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$timestampContract',
+                $exception: '$unexpected',
+                $contract: contract,
+                $text: 'An unexpected error occurred while attempting to timestamp a contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method verifies that the specified notarized timestamp was generated for the
+     * specified contract by the timestamp authority associated with the specified certificate.
+     * It returns the trusted moment at which the contract existed. If the timestamp is not
+     * valid an $invalidTimestamp exception is thrown.
+     *
+     * @param {Catalog} timestamp A contract containing the notarized timestamp.
+     * @param {Catalog} contract The contract that was allegedly timestamped.
+     * @param {Catalog} certificate A contract containing the notarized certificate for the
+     * timestamp authority.
+     * @returns {Moment} The trusted moment at which the contract existed.
+     */
+    this.verifyTimestamp = async function(timestamp, contract, certificate) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$verifyTimestamp', '$timestamp', timestamp, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$verifyTimestamp', 'timestamp', timestamp, 'contract');
+                validator.validateType('/bali/notary/DigitalNotary', '$verifyTimestamp', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$verifyTimestamp', 'contract', contract, 'contract');
+                validator.validateType('/bali/notary/DigitalNotary', '$verifyTimestamp', '$certificate', certificate, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$verifyTimestamp', 'certificate', certificate, 'contract');
+                validateStructure('$verifyTimestamp', 'certificate', certificate.getAttribute('$document'), 'certificate');
+            }
+
+            // make sure the timestamp was notarized by the timestamp authority for the contract
+            const moment = await trustedMoment('$verifyTimestamp', timestamp, contract, certificate);
+            if (!moment) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$verifyTimestamp',
+                    $exception: '$invalidTimestamp',
+                    $timestamp: timestamp,
+                    $text: 'The timestamp was not generated for the contract by the timestamp authority.'
+                });
+                throw exception;
+            }
+
+            return moment;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$verifyTimestamp',
+                $exception: '$unexpected',
+                $timestamp: timestamp,
+                $contract: contract,
+                $certificate: certificate,
+                $text: 'An unexpected error occurred while attempting to verify a timestamp.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method determines whether or not the digital signature on the specified contract
+     * is valid. If revocations are specified and the notary key associated with the certificate
+     * has been revoked, the contract is only valid if a trusted timestamp from a timestamp
+     * authority proves that it existed before the revocation. The timestamp within the contract
+     * itself is chosen by whoever signed it, so it cannot be trusted once the key is revoked.
+     *
+     * @param {Catalog} contract The contract to be tested.
+     * @param {Catalog} certificate A contract containing the notarized certificate for the
+     * notary key that allegedly notarized the specified contract.
+     * @param {List|Function} revocations An optional list of notarized revocations, or an
+     * (asynchronous) function that returns the notarized revocation (if any) for a specified
+     * notarized certificate.
+     * @param {Catalog} timestamp An optional notarized timestamp for the contract generated
+     * by a timestamp authority.
+     * @param {Catalog} authority An optional notarized certificate for the timestamp authority
+     * that generated the timestamp.
+     * @returns {Boolean} Whether or not the digital signature on the contract is valid.
+     */
+    this.validContract = async function(contract, certificate, revocations, timestamp, authority) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$validContract', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validContract', 'contract', contract, 'contract');
+                validator.validateType('/bali/notary/DigitalNotary', '$validContract', '$certificate', certificate, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validContract', 'certificate', certificate, 'contract');
+                validateStructure('$validContract', 'certificate', certificate.getAttribute('$document'), 'certificate');
+                validator.validateType('/bali/notary/DigitalNotary', '$validContract', '$revocations', revocations, [
+                    '/javascript/Undefined',
+                    '/javascript/Function',
+                    '/bali/collections/List'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$validContract', '$timestamp', timestamp, [
+                    '/javascript/Undefined',
+                    '/bali/collections/Catalog'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$validContract', '$authority', authority, [
+                    '/javascript/Undefined',
+                    '/bali/collections/Catalog'
+                ]);
+
+                // make sure account tags match
+                const contractAccount = contract.getAttribute('$account');
+                const certificateAccount = certificate.getAttribute('$account');
+                if (!contractAccount.isEqualTo(certificateAccount)) {
+                    const exception = bali.exception({
+                        $module: '/bali/notary/DigitalNotary',
+                        $procedure: '$validContract',
+                        $exception: '$accountMismatch',
+                        $contract: contract,
+                        $certificate: certificate,
+                        $text: 'The account tags for the contract and certificate must match.'
+                    });
+                    throw exception;
+                }
+
+                // make sure the protocol version matches the algorithms for the certificate
+                const contractProtocol = contract.getAttribute('$protocol').toString();
+                const algorithms = certificate.getAttribute('$document').getAttribute('$algorithms');
+                if (!ALGORITHMS[contractProtocol] || !algorithms.isEqualTo(bali.catalog(ALGORITHMS[contractProtocol]))) {
+                    const exception = bali.exception({
+                        $module: '/bali/notary/DigitalNotary',
+                        $procedure: '$validContract',
+                        $exception: '$protocolMismatch',
+                        $contract: contract,
+                        $certificate: certificate,
+                        $text: 'The protocol version for the contract must match the algorithms for the certificate.'
+                    });
+                    throw exception;
+                }
+            }
+
+            var result = await validSignature('$validContract', contract, certificate);
+
+            // make sure the notary key had not been revoked when the contract was notarized
+            if (result && revocations) {
+                result = !await notarizedAfterRevocation('$validContract', contract, certificate, revocations, timestamp, authority);
+            }
+
+            return result;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$validContract',
+                $exception: '$unexpected',
+                $contract: contract,
+                $certificate: certificate,
+                $text: 'An unexpected error occurred while attempting to validate a contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method inspects the specified contract and the certificate for the notary key that
+     * allegedly notarized it. Unlike the validContract() method, every check is always performed
+     * and the results are returned as a report rather than as a single boolean. The report
+     * contains the following checks:
+     * <pre>
+     *   * $structure - the contract and certificate are well formed contracts
+     *   * $accountMatch - the account tags for the contract and certificate match
+     *   * $protocolMatch - the protocol version for the contract matches the certificate algorithms
+     *   * $supportedProtocol - the protocol version for the contract is supported
+     *   * $certificateType - the notarized document in the certificate is a certificate
+     *   * $signature - the digital signature on the contract is valid
+     *   * $validityPeriod - the contract was notarized during the validity period of the certificate
+     *   * $permittedUsage - the certificate permits the notary key to sign the document
+     *   * $citationDigest - the citation in the contract matches the certificate
+     * </pre>
+     * Each check records whether or not it passed and, if it did not, the reason why.
+     *
+     * @param {Catalog} contract The contract to be inspected.
+     * @param {Catalog} certificate A contract containing the notarized certificate for the
+     * notary key that allegedly notarized the specified contract.
+     * @returns {Catalog} A report containing the results of each check.
+     */
+    this.inspectContract = async function(contract, certificate) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$inspectContract', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$inspectContract', '$certificate', certificate, [
+                    '/bali/collections/Catalog'
+                ]);
+            }
+
+            const checks = bali.catalog();
+            await inspectionCheck(checks, '$structure', async function() {
+                checkStructure('$inspectContract', 'contract', contract, 'contract');
+                checkStructure('$inspectContract', 'certificate', certificate, 'contract');
+            });
+            await inspectionCheck(checks, '$accountMatch', async function() {
+                if (!contract.getAttribute('$account').isEqualTo(certificate.getAttribute('$account'))) {
+                    return 'The account tags for the contract and certificate do not match.';
+                }
+            });
+            const protocol = contract.getAttribute('$protocol');
+            await inspectionCheck(checks, '$protocolMatch', async function() {
+                const algorithms = certificate.getAttribute('$document').getAttribute('$algorithms');
+                if (!ALGORITHMS[protocol.toString()] || !algorithms.isEqualTo(bali.catalog(ALGORITHMS[protocol.toString()]))) {
+                    return 'The protocol version for the contract does not match the algorithms for the certificate.';
+                }
+            });
+            await inspectionCheck(checks, '$supportedProtocol', async function() {
+                if (!PROTOCOLS[protocol.toString()]) {
+                    return 'The protocol version for the contract is not supported: ' + protocol;
+                }
+            });
+            await inspectionCheck(checks, '$certificateType', async function() {
+                checkStructure('$inspectContract', 'certificate.document', certificate.getAttribute('$document'), 'certificate');
+            });
+            await inspectionCheck(checks, '$signature', async function() {
+                if (!await matchingSignature('$inspectContract', contract, certificate)) {
+                    return 'The digital signature on the contract is not valid for the certificate.';
+                }
+            });
+            await inspectionCheck(checks, '$validityPeriod', async function() {
+                if (!validPeriod(contract, certificate)) {
+                    return 'The contract was not notarized during the validity period of the certificate.';
+                }
+            });
+            await inspectionCheck(checks, '$permittedUsage', async function() {
+                const signer = certificate.getAttribute('$document');
+                const usages = grantedUsages(signer);
+                if (!permittedUsage(usages, contract.getAttribute('$document'), contract.getAttribute('$certificate'), signer)) {
+                    return 'The certificate does not permit the notary key to sign the document.';
+                }
+            });
+            await inspectionCheck(checks, '$citationDigest', async function() {
+                const citation = contract.getAttribute('$certificate');
+                const document = certificate.getAttribute('$document');
+                if (citation.isEqualTo(bali.pattern.NONE)) {
+                    // a self-signed certificate must be its own certificate
+                    if (!contract.getAttribute('$document').isEqualTo(document)) {
+                        return 'The contract is self-signed but is not the certificate.';
+                    }
+                    return;
+                }
+                if (!citation.getAttribute('$tag').isEqualTo(document.getParameter('$tag')) ||
+                    !citation.getAttribute('$version').isEqualTo(document.getParameter('$version')) ||
+                    !await matchingCitation('$inspectContract', citation, document)) {
+                    return 'The citation to the certificate in the contract does not match the certificate.';
+                }
+            });
+
+            // the contract is only valid if every check passed
+            var valid = true;
+            const iterator = checks.getIterator();
+            while (iterator.hasNext()) {
+                const check = iterator.getNext().getValue();
+                if (!check.getAttribute('$passed').toBoolean()) valid = false;
+            }
+            return bali.catalog({
+                $valid: valid,
+                $checks: checks
+            }, {
+                $type: '/bali/notary/Report/v1'
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$inspectContract',
+                $exception: '$unexpected',
+                $contract: contract,
+                $certificate: certificate,
+                $text: 'An unexpected error occurred while attempting to inspect a contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method determines whether or not the specified document was notarized as part of
+     * the specified batch contract. The inclusion proof must tie a citation to the document to
+     * the root of the Merkle tree that was notarized in the batch contract, and the digital
+     * signature on the batch contract must be valid. If revocations are specified and the notary
+     * key has been revoked, the batch contract is only valid if a trusted timestamp from a
+     * timestamp authority proves that it existed before the revocation.
+     *
+     * @param {Catalog} document The document to be tested.
+     * @param {Catalog} proof The inclusion proof for the document.
+     * @param {Catalog} contract The batch contract.
+     * @param {Catalog} certificate A contract containing the notarized certificate for the
+     * notary key that allegedly notarized the batch contract.
+     * @param {List|Function} revocations An optional list of notarized revocations, or an
+     * (asynchronous) function that returns the notarized revocation (if any) for a specified
+     * notarized certificate.
+     * @param {Catalog} timestamp An optional notarized timestamp for the batch contract generated
+     * by a timestamp authority.
+     * @param {Catalog} authority An optional notarized certificate for the timestamp authority
+     * that generated the timestamp.
+     * @returns {Boolean} Whether or not the document was validly notarized in the batch.
+     */
+    this.validBatchContract = async function(document, proof, contract, certificate, revocations, timestamp, authority) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$validBatchContract', '$document', document, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validBatchContract', 'document', document, 'document');
+                validator.validateType('/bali/notary/DigitalNotary', '$validBatchContract', '$proof', proof, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validBatchContract', 'proof', proof, 'proof');
+                validator.validateType('/bali/notary/DigitalNotary', '$validBatchContract', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validBatchContract', 'contract', contract, 'contract');
+                validator.validateType('/bali/notary/DigitalNotary', '$validBatchContract', '$certificate', certificate, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validBatchContract', 'certificate', certificate, 'contract');
+                validateStructure('$validBatchContract', 'certificate', certificate.getAttribute('$document'), 'certificate');
+                validator.validateType('/bali/notary/DigitalNotary', '$validBatchContract', '$revocations', revocations, [
+                    '/javascript/Undefined',
+                    '/javascript/Function',
+                    '/bali/collections/List'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$validBatchContract', '$timestamp', timestamp, [
+                    '/javascript/Undefined',
+                    '/bali/collections/Catalog'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$validBatchContract', '$authority', authority, [
+                    '/javascript/Undefined',
+                    '/bali/collections/Catalog'
+                ]);
+            }
+
+            // the contract must contain a batch document
+            const batch = contract.getAttribute('$document');
+            const type = batch.getParameter('$type');
+            if (!type || type.toString() !== '/bali/notary/Batch/v1') return false;
+
+            // the proof must cite the document and lead to the root of the batch
+            if (!proof.getAttribute('$protocol').isEqualTo(batch.getAttribute('$protocol'))) return false;
+            if (!await matchingCitation('$validBatchContract', proof.getAttribute('$citation'), document)) return false;
+            const root = await proofRoot('$validBatchContract', proof);
+            if (!root.isEqualTo(batch.getAttribute('$root'))) return false;
+
+            // the batch contract must have been validly notarized
+            var result = await validSignature('$validBatchContract', contract, certificate);
+            if (result && revocations) {
+                result = !await notarizedAfterRevocation('$validBatchContract', contract, certificate, revocations, timestamp, authority);
+            }
+
+            return result;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$validBatchContract',
+                $exception: '$unexpected',
+                $document: document,
+                $contract: contract,
+                $text: 'An unexpected error occurred while attempting to validate a batch contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method determines whether or not the specified contract has been validly signed
+     * by at least the specified number of distinct accounts. The original signature and each
+     * cosignature on the contract are checked against the notarized certificate (from the
+     * specified list) for the notary key that allegedly created it. Signatures by accounts that
+     * have no corresponding certificate in the list are ignored.
+     *
+     * @param {Catalog} contract The contract to be tested.
+     * @param {List} certificates A list of contracts containing the notarized certificates
+     * for the accounts that are allowed to sign the contract.
+     * @param {Number} threshold The minimum number of distinct accounts that must have validly
+     * signed the contract.
+     * @returns {Boolean} Whether or not enough valid signatures are present on the contract.
+     */
+    this.validCosignedContract = async function(contract, certificates, threshold) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$validCosignedContract', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validCosignedContract', 'contract', contract, 'contract');
+                validator.validateType('/bali/notary/DigitalNotary', '$validCosignedContract', '$certificates', certificates, [
+                    '/bali/collections/List'
+                ]);
+                const iterator = certificates.getIterator();
+                while (iterator.hasNext()) {
+                    const certificate = iterator.getNext();
+                    validateStructure('$validCosignedContract', 'certificate', certificate, 'contract');
+                    validateStructure('$validCosignedContract', 'certificate', certificate.getAttribute('$document'), 'certificate');
+                }
+                validator.validateType('/bali/notary/DigitalNotary', '$validCosignedContract', '$threshold', threshold, [
+                    '/javascript/Number'
+                ]);
+            }
+            if (threshold < 1 || threshold > certificates.getSize()) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$validCosignedContract',
+                    $exception: '$invalidThreshold',
+                    $threshold: threshold,
+                    $certificates: certificates.getSize(),
+                    $text: 'The threshold must be between one and the number of certificates.'
+                });
+                throw exception;
+            }
+
+            // collect the accounts that validly signed the contract
+            const signers = [];
+            var certificate = await findCertificate('$validCosignedContract', contract, certificates);
+            if (certificate && await validSignature('$validCosignedContract', contract, certificate)) {
+                signers.push(contract.getAttribute('$account').toString());
+            }
+            const cosignatures = contract.getAttribute('$cosignatures');
+            if (cosignatures) {
+                const iterator = cosignatures.getIterator();
+                while (iterator.hasNext()) {
+                    const cosignature = iterator.getNext();
+                    const signer = cosignature.getAttribute('$account').toString();
+                    if (signers.indexOf(signer) > -1) continue;  // only count each account once
+                    certificate = await findCertificate('$validCosignedContract', cosignature, certificates);
+                    if (certificate && await validCosignature('$validCosignedContract', contract, cosignature, certificate)) {
+                        signers.push(signer);
+                    }
+                }
+            }
+            const result = signers.length >= threshold;
+
+            return result;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$validCosignedContract',
+                $exception: '$unexpected',
+                $contract: contract,
+                $certificates: certificates,
+                $threshold: threshold,
+                $text: 'An unexpected error occurred while attempting to validate a cosigned contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method determines whether or not the specified sequence of notarized certificates
+     * forms a valid certificate chain. The sequence must be ordered from the current notarized
+     * certificate back to the self-signed root certificate for the account. Each notarized
+     * certificate in the chain must:
+     * <pre>
+     *  * cite the previous certificate in both its $previous parameter and its $certificate
+     *    attribute, and the citation digest must match the previous certificate
+     *  * be signed using the notary key associated with the previous certificate
+     *  * have the same tag as the previous certificate and the next version of it
+     *  * belong to the same account as the previous certificate
+     * </pre>
+     * The root certificate must not cite a previous certificate and must be self-signed.
+     *
+     * @param {List} certificates A list of notarized certificates ordered from the current
+     * certificate back to the root certificate.
+     * @returns {Boolean} Whether or not the certificate chain is valid.
+     */
+    this.validCertificateChain = async function(certificates) {
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$validCertificateChain', '$certificates', certificates, [
+                    '/bali/collections/List'
+                ]);
+                const iterator = certificates.getIterator();
+                while (iterator.hasNext()) {
+                    const certificate = iterator.getNext();
+                    validateStructure('$validCertificateChain', 'certificate', certificate, 'contract');
+                    validateStructure('$validCertificateChain', 'certificate', certificate.getAttribute('$document'), 'certificate');
+                }
+            }
+
+            // walk the chain from the current certificate back to the root certificate
+            const iterator = certificates.getIterator();
+            if (!iterator.hasNext()) return false;
+            var certificate = iterator.getNext();
+            while (iterator.hasNext()) {
+                const previous = iterator.getNext();
+                if (!await validLink('$validCertificateChain', certificate, previous)) return false;
+                certificate = previous;
+            }
+            const result = await validRoot('$validCertificateChain', certificate);
+
+            return result;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$validCertificateChain',
+                $exception: '$unexpected',
+                $certificates: certificates,
+                $text: 'An unexpected error occurred while attempting to validate a certificate chain.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method determines whether or not the specified sequence of notarized contracts
+     * forms a consistent version history for a document. The sequence must be ordered from
+     * the latest version back to the earliest version. Each version of the document must:
+     * <pre>
+     *  * cite the prior version in its $previous parameter, and the citation digest must
+     *    match the prior version
+     *  * have the same tag as the prior version and the next version of it
+     * </pre>
+     * The earliest version is not checked against anything. The resulting report identifies
+     * the first broken link (if any) by the position of the contract whose link to its prior
+     * version is broken and the reason it is broken ($missingPrevious, $tagMismatch,
+     * $versionMismatch or $citationMismatch).
+     *
+     * @param {List} contracts A list of notarized contracts ordered from the latest version
+     * back to the earliest version of the document.
+     * @returns {Catalog} A catalog containing a $valid attribute and, if the history is not
+     * valid, the $index and $reason for the first broken link.
+     */
+    this.validDocumentHistory = async function(contracts) {
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$validDocumentHistory', '$contracts', contracts, [
+                    '/bali/collections/List'
+                ]);
+                const iterator = contracts.getIterator();
+                while (iterator.hasNext()) {
+                    validateStructure('$validDocumentHistory', 'contract', iterator.getNext(), 'contract');
+                }
+            }
+
+            // walk the history from the latest version back to the earliest version
+            var index = 1;
+            const iterator = contracts.getIterator();
+            var contract = iterator.hasNext() ? iterator.getNext() : undefined;
+            while (iterator.hasNext()) {
+                const previous = iterator.getNext();
+                const reason = await brokenLink('$validDocumentHistory', contract, previous);
+                if (reason) {
+                    return bali.catalog({
+                        $valid: false,
+                        $index: index,
+                        $reason: reason
+                    });
+                }
+                contract = previous;
+                index++;
+            }
+
+            return bali.catalog({
+                $valid: true
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$validDocumentHistory',
+                $exception: '$unexpected',
+                $contracts: contracts,
+                $text: 'An unexpected error occurred while attempting to validate a document history.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method authorizes a device key to sign documents on behalf of the account without
+     * the device ever holding the notary key. The device generates its own key (using its own
+     * digital notary for the same account) and passes the resulting certificate to this method.
+     * The returned notarized delegation limits the device key to the specified scope (see the
+     * usages for generateKey()) and expires at the end of the specified lifetime. The device
+     * then activates its key using the notarized delegation and the contracts that it notarizes
+     * cite the delegation instead of a certificate. The scope may not permit any usage that the
+     * certificate for the notary key does not permit. A device key cannot delegate to another
+     * device key.
+     *
+     * @param {Catalog} certificate The (unnotarized) certificate for the device key.
+     * @param {List} scope A list of the usages that the delegation permits.
+     * @param {Duration} lifetime The duration for which the delegation is valid.
+     * @returns {Catalog} The notarized delegation for the device key.
+     */
+    this.delegateKey = async function(certificate, scope, lifetime) {
+        var unlock;
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$delegateKey', '$certificate', certificate, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$delegateKey', 'certificate', certificate, 'certificate');
+                validator.validateType('/bali/notary/DigitalNotary', '$delegateKey', '$scope', scope, [
+                    '/bali/collections/List'
+                ]);
+                validateStructure('$delegateKey', 'scope', scope, 'usages');
+                validator.validateType('/bali/notary/DigitalNotary', '$delegateKey', '$lifetime', lifetime, [
+                    '/bali/elements/Duration'
+                ]);
+            }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$delegateKey');
+            if (isDelegation(configuration.getAttribute('$certificate'))) throw delegatedKey('$delegateKey');
+
+            // the device key may only be granted usages that the notary key has itself
+            const usages = grantedUsages(configuration.getAttribute('$certificate'));
+            if (!permittedScope(usages, scope)) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$delegateKey',
+                    $exception: '$usageNotPermitted',
+                    $scope: scope,
+                    $usages: usages,
+                    $text: 'The certificate for the notary key does not permit the scope of the delegation.'
+                });
+                throw exception;
+            }
+
+            // create the delegation
+            const type = '/bali/notary/Delegation/v1';
+            const notBefore = bali.moment();  // now
+            const attributes = {
+                $publicKey: certificate.getAttribute('$publicKey'),
+                $algorithms: certificate.getAttribute('$algorithms'),
+                $notBefore: notBefore,
+                $notAfter: bali.moment.later(notBefore, lifetime),
+                $scope: scope
+            };
+            const delegation = createDocument(type, attributes);
+
+            // notarize the delegation using the notary key
+            const citation = configuration.getAttribute('$citation');
+            const contract = await createContract(delegation, citation);
+            if (debug > 2) console.log('notarized delegation: ' + contract + EOL);
+
+            // update current state
+            const state = controller.transitionState('$delegateKey');
+            configuration.setAttribute('$state', state);
+            await storeConfiguration(configurator, configuration, debug);
+
+            return contract;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$delegateKey',
+                $exception: '$unexpected',
+                $certificate: certificate,
+                $text: 'An unexpected error occurred while attempting to delegate to a device key.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method determines whether or not the specified contract, notarized using a device
+     * key, is valid. The contract must cite the specified notarized delegation, the digital
+     * signature on the contract must be valid for the device key, and the contract must have
+     * been notarized within the scope and before the expiry of the delegation. The delegation
+     * itself must be a valid contract notarized using the notary key for the specified notarized
+     * certificate, and that certificate must also permit the document. If revocations are
+     * specified and that notary key has been revoked, the contract is only valid if a trusted
+     * timestamp from a timestamp authority proves that it existed before the revocation. Since
+     * the contract cites the delegation, the delegation must have existed before it as well.
+     *
+     * @param {Catalog} contract The contract to be tested.
+     * @param {Catalog} delegation The notarized delegation for the device key that allegedly
+     * notarized the contract.
+     * @param {Catalog} certificate A contract containing the notarized certificate for the
+     * notary key that notarized the delegation.
+     * @param {List|Function} revocations An optional list of notarized revocations, or an
+     * (asynchronous) function that returns the notarized revocation (if any) for a specified
+     * notarized certificate.
+     * @param {Catalog} timestamp An optional notarized timestamp for the contract generated
+     * by a timestamp authority.
+     * @param {Catalog} authority An optional notarized certificate for the timestamp authority
+     * that generated the timestamp.
+     * @returns {Boolean} Whether or not the contract is valid.
+     */
+    this.validDelegatedContract = async function(contract, delegation, certificate, revocations, timestamp, authority) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$validDelegatedContract', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validDelegatedContract', 'contract', contract, 'contract');
+                validator.validateType('/bali/notary/DigitalNotary', '$validDelegatedContract', '$delegation', delegation, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validDelegatedContract', 'delegation', delegation, 'contract');
+                validator.validateType('/bali/notary/DigitalNotary', '$validDelegatedContract', '$certificate', certificate, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$validDelegatedContract', 'certificate', certificate, 'contract');
+                validateStructure('$validDelegatedContract', 'certificate', certificate.getAttribute('$document'), 'certificate');
+                validator.validateType('/bali/notary/DigitalNotary', '$validDelegatedContract', '$revocations', revocations, [
+                    '/javascript/Undefined',
+                    '/javascript/Function',
+                    '/bali/collections/List'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$validDelegatedContract', '$timestamp', timestamp, [
+                    '/javascript/Undefined',
+                    '/bali/collections/Catalog'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$validDelegatedContract', '$authority', authority, [
+                    '/javascript/Undefined',
+                    '/bali/collections/Catalog'
+                ]);
+            }
+
+            // the delegation must have been notarized by the notary key for the same account
+            const document = delegation.getAttribute('$document');
+            if (!isDelegation(document) || isDelegation(certificate.getAttribute('$document'))) return false;
+            if (!contract.getAttribute('$account').isEqualTo(delegation.getAttribute('$account'))) return false;
+            if (!await this.validContract(delegation, certificate)) return false;  // revocation is checked below
+
+            // the contract must cite the delegation
+            const citation = contract.getAttribute('$certificate');
+            if (citation.isEqualTo(bali.pattern.NONE) ||
+                !citation.getAttribute('$tag').isEqualTo(document.getParameter('$tag')) ||
+                !citation.getAttribute('$version').isEqualTo(document.getParameter('$version')) ||
+                !await matchingCitation('$validDelegatedContract', citation, document)) return false;
+
+            // the delegation cannot grant more than the certificate for the notary key permits
+            const usages = grantedUsages(certificate.getAttribute('$document'));
+            if (!permittedUsage(usages, contract.getAttribute('$document'), citation)) return false;
+
+            // the contract must be signed by the device key within the scope and period of the delegation
+            var result = await validSignature('$validDelegatedContract', contract, delegation);
+
+            // make sure the notary key had not been revoked when the contract was notarized
+            if (result && revocations) {
+                result = !await notarizedAfterRevocation('$validDelegatedContract', contract, certificate, revocations, timestamp, authority);
+            }
+
+            return result;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$validDelegatedContract',
+                $exception: '$unexpected',
+                $contract: contract,
+                $delegation: delegation,
+                $certificate: certificate,
+                $text: 'An unexpected error occurred while attempting to validate a delegated contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method seals the specified document in an envelope that only the holders of the
+     * notary keys for the specified notarized certificates can open. The document is
+     * encrypted separately for each recipient using the public key from their certificate,
+     * so the recipients may use different versions of the notary protocol. Only public keys
+     * are used, so no notary key is required. The certificates should be validated (e.g.
+     * using validContract()) before they are used. Note, an envelope can only be opened
+     * using the notary key for the certificate that it was sealed to, so once a recipient
+     * refreshes their notary key they can no longer open it.
+     *
+     * @param {Catalog} document The document to be sealed.
+     * @param {List} recipientCertificates A list of the notarized certificates for the
+     * recipients.
+     * @returns {Catalog} The sealed envelope.
+     */
+    this.encryptDocument = async function(document, recipientCertificates) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$encryptDocument', '$document', document, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$encryptDocument', 'document', document, 'document');
+                validator.validateType('/bali/notary/DigitalNotary', '$encryptDocument', '$recipientCertificates', recipientCertificates, [
+                    '/bali/collections/List'
+                ]);
+            }
+
+            // encrypt the document for each recipient
+            const bytes = Buffer.from(document.toString(), 'utf8');
+            const recipients = bali.list();
+            const iterator = recipientCertificates.getIterator();
+            while (iterator.hasNext()) {
+                const certificate = iterator.getNext().getAttribute('$document');
+                const protocol = Object.keys(ALGORITHMS).find(function(version) {
+                    return certificate.getAttribute('$algorithms').isEqualTo(bali.catalog(ALGORITHMS[version]));
+                });
+                if (!protocol) {
                     const exception = bali.exception({
                         $module: '/bali/notary/DigitalNotary',
-                        $procedure: '$validContract',
-                        $exception: '$unsupportedProtocol',
-                        $expected: Object.keys(PROTOCOLS),
-                        $actual: requiredProtocol,
-                        $text: 'Attempted to use an unsupported version of the notary protocol.'
+                        $procedure: '$encryptDocument',
+                        $exception: '$unsupportedAlgorithms',
+                        $algorithms: certificate.getAttribute('$algorithms'),
+                        $text: 'A recipient certificate uses unsupported algorithms.'
                     });
                     throw exception;
                 }
+                const requiredModule = validationModule(protocol);  // only the public key is needed
+                recipients.addItem(bali.catalog({
+                    $certificate: await createCitation(certificate, requiredModule),
+                    $ciphertext: await requiredModule.encryptBytes(certificate.getAttribute('$publicKey'), bytes)
+                }));
+            }
+
+            // create the envelope
+            const type = '/bali/notary/Envelope/v1';
+            const attributes = {
+                $recipients: recipients
+            };
+            const envelope = createDocument(type, attributes);
+            if (debug > 2) console.log('sealed envelope: ' + envelope + EOL);
+
+            return envelope;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$encryptDocument',
+                $exception: '$unexpected',
+                $document: document,
+                $text: 'An unexpected error occurred while attempting to seal a document.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method opens the specified sealed envelope using the notary key and returns the
+     * document that it contains. The envelope must have been sealed to the current notarized
+     * certificate for the notary key.
+     *
+     * @param {Catalog} envelope The sealed envelope.
+     * @returns {Catalog} The document contained in the envelope.
+     */
+    this.decryptDocument = async function(envelope) {
+        var unlock;
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$decryptDocument', '$envelope', envelope, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$decryptDocument', 'envelope', envelope, 'envelope');
+            }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$decryptDocument');
+
+            // find the ciphertext that was encrypted for the notary key
+            const citation = configuration.getAttribute('$citation');
+            var ciphertext;
+            const iterator = envelope.getAttribute('$recipients').getIterator();
+            while (iterator.hasNext()) {
+                const recipient = iterator.getNext();
+                if (recipient.getAttribute('$certificate').isEqualTo(citation)) {
+                    ciphertext = recipient.getAttribute('$ciphertext');
+                    break;
+                }
+            }
+            if (!ciphertext) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$decryptDocument',
+                    $exception: '$notRecipient',
+                    $certificate: citation,
+                    $text: 'The envelope was not sealed to the certificate for the notary key.'
+                });
+                throw exception;
+            }
+
+            // decrypt the document using the notary key
+            const bytes = await securityModule.decryptBytes(ciphertext);
+            const document = bali.component(bytes.toString('utf8'));
+
+            // update current state
+            const state = controller.transitionState('$decryptDocument');
+            configuration.setAttribute('$state', state);
+            await storeConfiguration(configurator, configuration, debug);
+
+            return document;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$decryptDocument',
+                $exception: '$unexpected',
+                $envelope: envelope,
+                $text: 'An unexpected error occurred while attempting to open a sealed envelope.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method exports the specified notarized contract as a JSON envelope that can be
+     * consumed by services that are not Bali aware. The envelope contains the source of the
+     * unsigned contract and its signature so that the same signature can be checked later.
+     *
+     * @param {Catalog} contract The notarized contract to be exported.
+     * @returns {String} The JSON envelope for the contract.
+     */
+    this.exportContract = async function(contract) {
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$exportContract', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$exportContract', 'contract', contract, 'contract');
+            }
+
+            return JSON.stringify(JOSE.encodeEnvelope(contract));
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$exportContract',
+                $exception: '$unexpected',
+                $contract: contract,
+                $text: 'An unexpected error occurred while attempting to export a contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method exports the specified notarized contract as a compact JSON web signature
+     * (JWS) that is signed using the notary key (EdDSA or ES384 depending on the protocol).
+     * The payload of the JWS is the notarized contract itself. The contract must have been
+     * notarized using the current notary key so that the JWS and the contract can both be
+     * verified using the same certificate.
+     *
+     * @param {Catalog} contract The notarized contract to be exported.
+     * @returns {String} The compact JSON web signature for the contract.
+     */
+    this.exportJWS = async function(contract) {
+        var unlock;
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$exportJWS', '$contract', contract, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$exportJWS', 'contract', contract, 'contract');
+            }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$notarizeDocument');
+
+            // make sure the contract was notarized using the current notary key
+            const citation = configuration.getAttribute('$citation');
+            if (!contract.getAttribute('$account').isEqualTo(account) ||
+                    !contract.getAttribute('$certificate').isEqualTo(citation)) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/DigitalNotary',
+                    $procedure: '$exportJWS',
+                    $exception: '$certificateMismatch',
+                    $contract: contract,
+                    $text: 'The contract was not notarized using the current notary key.'
+                });
+                throw exception;
+            }
+
+            // sign the JWS using the notary key
+            const certificate = configuration.getAttribute('$certificate');
+            const jws = await JOSE.encodeJWS(contract, certificate, async function(bytes) {
+                const signature = await securityModule.signBytes(bytes);
+                return signature.getValue();
+            });
+
+            // update current state
+            const state = controller.transitionState('$notarizeDocument');
+            configuration.setAttribute('$state', state);
+            await storeConfiguration(configurator, configuration, debug);
+
+            return jws;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$exportJWS',
+                $exception: '$unexpected',
+                $contract: contract,
+                $text: 'An unexpected error occurred while attempting to export a contract as a JWS.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method imports a notarized contract from a JSON envelope or a compact JSON web
+     * signature (JWS). Note, the contract is not validated by this method.
+     *
+     * @param {String} source The JSON envelope or compact JWS containing the contract.
+     * @returns {Catalog} The notarized contract.
+     */
+    this.importContract = async function(source) {
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$importContract', '$source', source, [
+                    '/javascript/String'
+                ]);
+            }
+
+            return importContract(source).contract;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$importContract',
+                $exception: '$unexpected',
+                $source: source,
+                $text: 'An unexpected error occurred while attempting to import a contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method exports the specified notarized certificate as a JSON web key (JWK). The
+     * notarized certificate itself is included in the JWK as a JSON envelope.
+     *
+     * @param {Catalog} certificate The notarized certificate to be exported.
+     * @returns {String} The JSON web key for the certificate.
+     */
+    this.exportCertificate = async function(certificate) {
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$exportCertificate', '$certificate', certificate, [
+                    '/bali/collections/Catalog'
+                ]);
+                validateStructure('$exportCertificate', 'certificate', certificate, 'contract');
+                validateStructure('$exportCertificate', 'certificate', certificate.getAttribute('$document'), 'certificate');
             }
 
-            // separate the signature from the contract
-            const catalog = bali.catalog.extraction(contract, [
-                '$protocol',
-                '$timestamp',
-                '$account',
-                '$document',
-                '$certificate'
-            ]);
-            const signature = contract.getAttribute('$signature');
+            return JSON.stringify(JOSE.encodeKey(certificate));
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$exportCertificate',
+                $exception: '$unexpected',
+                $certificate: certificate,
+                $text: 'An unexpected error occurred while attempting to export a certificate.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
 
-            // extract the public key from the certificate
-            const publicKey = certificate.getAttribute('$document').getAttribute('$publicKey');
+    /**
+     * This method imports a notarized certificate from a JSON web key (JWK) that was exported
+     * by the exportCertificate() method, or from a JSON envelope. The public key in a JWK must
+     * match the public key in the certificate. Note, the certificate is not validated by this
+     * method.
+     *
+     * @param {String} source The JWK or JSON envelope containing the certificate.
+     * @returns {Catalog} The notarized certificate.
+     */
+    this.importCertificate = async function(source) {
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$importCertificate', '$source', source, [
+                    '/javascript/String'
+                ]);
+            }
 
-            // validate the signature against the unsigned contract
-            const bytes = Buffer.from(catalog.toString(), 'utf8');
-            const result = await requiredModule.validSignature(publicKey, signature, bytes);
+            return importCertificate(source);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$importCertificate',
+                $exception: '$unexpected',
+                $source: source,
+                $text: 'An unexpected error occurred while attempting to import a certificate.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
 
-            return result;
+    /**
+     * This method determines whether or not the digital signature on a contract that is in
+     * JSON form is valid. The contract may be a JSON envelope or a compact JSON web signature
+     * (JWS), and the certificate may be a notarized certificate, a JSON web key (JWK) or a
+     * JSON envelope. The same signature that the validContract() method checks is checked.
+     * For a JWS, the signature on the JWS itself must also be valid.
+     *
+     * @param {String} source The JSON envelope or compact JWS containing the contract.
+     * @param {Catalog|String} certificate The notarized certificate, or a JWK or JSON envelope
+     * containing it, for the notary key that allegedly notarized the contract.
+     * @returns {Boolean} Whether or not the digital signature on the contract is valid.
+     */
+    this.validJSONContract = async function(source, certificate) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$validJSONContract', '$source', source, [
+                    '/javascript/String'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$validJSONContract', '$certificate', certificate, [
+                    '/javascript/String',
+                    '/bali/collections/Catalog'
+                ]);
+            }
+
+            // import the contract and certificate
+            const imported = importContract(source);
+            if (typeof certificate === 'string') certificate = importCertificate(certificate);
+
+            // check the signature on the JWS (if there is one)
+            if (imported.jws) {
+                const document = certificate.getAttribute('$document');
+                if (!JOSE.matchingHeader(imported.jws.header, document)) return false;
+                const protocol = Object.keys(ALGORITHMS).find(function(version) {
+                    return document.getAttribute('$algorithms').isEqualTo(bali.catalog(ALGORITHMS[version]));
+                });
+                if (!protocol) return false;
+                const requiredModule = await findModule('$validJSONContract', protocol);
+                const publicKey = document.getAttribute('$publicKey');
+                const jws = imported.jws;
+                if (!(await requiredModule.validSignature(publicKey, jws.signature, jws.input))) return false;
+            }
+
+            // check the signature on the contract
+            return await this.validContract(imported.contract, certificate);
         } catch (cause) {
             const exception = bali.exception({
                 $module: '/bali/notary/DigitalNotary',
-                $procedure: '$validContract',
+                $procedure: '$validJSONContract',
                 $exception: '$unexpected',
-                $contract: contract,
-                $certificate: certificate,
-                $text: 'An unexpected error occurred while attempting to validate a contract.'
+                $source: source,
+                $text: 'An unexpected error occurred while attempting to validate a contract in JSON form.'
             }, cause);
             if (debug > 0) console.error(exception.toString());
             throw exception;
@@ -665,41 +2739,104 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
      * notarized certificate for the new notary key.  Note, while refreshing the key the old
      * notary key is used to sign the new certificate before it is destroyed.
      *
+     * Each step of the rotation that cannot be undone is first recorded in a journal that is
+     * kept with the configuration. If the rotation is interrupted (e.g. by a crash) the
+     * digital notary refuses any further key operations until the recover() method has been
+     * called to either complete or roll back the rotation.
+     *
+     * If a new security module is specified, the new notary key is generated by that security
+     * module instead and the existing notary key is erased from the current security module
+     * once it has signed the new certificate. This allows the notary key to be upgraded to a
+     * new version of the notary protocol. From then on the digital notary uses the new
+     * security module.
+     *
+     * The new certificate is valid from the time it is created until the end of the specified
+     * lifetime. If no lifetime is specified, the new certificate has the same lifetime as the
+     * existing certificate. Likewise, if no usages are specified (see generateKey()), the new
+     * certificate permits the same usages as the existing certificate. The existing
+     * certificate must permit the $certification usage.
+     *
+     * @param {Object} newModule An optional security module that implements the version of
+     * the notary protocol to be used for the new notary key.
+     * @param {Duration} lifetime An optional duration for which the new certificate is valid.
+     * @param {List} usages An optional list of the usages that the new certificate permits.
      * @returns {Catalog} The notarized certificate for the new notary key.
      */
-    this.refreshKey = async function() {
+    this.refreshKey = async function(newModule, lifetime, usages) {
+        var unlock;
         try {
-            // check current state
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$refreshKey', '$newModule', newModule, [
+                    '/javascript/Undefined',
+                    '/javascript/Object'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$refreshKey', '$lifetime', lifetime, [
+                    '/javascript/Undefined',
+                    '/bali/elements/Duration'
+                ]);
+                validator.validateType('/bali/notary/DigitalNotary', '$refreshKey', '$usages', usages, [
+                    '/javascript/Undefined',
+                    '/bali/collections/List'
+                ]);
+                if (usages) validateStructure('$refreshKey', 'usages', usages, 'usages');
             }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
             controller.validateEvent('$refreshKey');
 
+            // a device key is replaced by a new delegation rather than by a new certificate
+            if (isDelegation(configuration.getAttribute('$certificate'))) throw delegatedKey('$refreshKey');
+
+            // the existing certificate must permit the certification of the next notary key (a
+            // certificate with a citation stands in for the new one) before anything is rotated
+            validateUsage('$refreshKey', configuration.getAttribute('$certificate'), configuration.getAttribute('$citation'));
+            lifetime = lifetime || certificateLifetime(configuration.getAttribute('$certificate'));
+            usages = usages || configuration.getAttribute('$certificate').getAttribute('$usages');
+
             // generate a new public-private key pair
-            const publicKey = await securityModule.rotateKeys();
+            var publicKey;
+            if (newModule) {
+                publicKey = await newModule.generateKeys();
+            } else {
+                // a rotation replaces the existing notary key so it must be journaled
+                newModule = securityModule;
+                await journalRotation(bali.catalog({$phase: '$rotating'}));
+                publicKey = await securityModule.rotateKeys();
+            }
+            const protocol = await newModule.getProtocol();
             var previous = configuration.getAttribute('$citation');
             const tag = previous.getAttribute('$tag');
             const version = bali.version.nextVersion(previous.getAttribute('$version'));
 
             // create the new notary certificate
-            const certificate = createCertificate(publicKey, tag, version, previous);
+            const certificate = createCertificate(publicKey, protocol, lifetime, usages, tag, version, previous);
             if (debug > 2) console.log('certificate: ' + certificate + EOL);
 
             // create a citation to the certificate
-            const citation = await createCitation(certificate);
+            const citation = await createCitation(certificate, newModule);
             if (debug > 2) console.log('citation: ' + citation + EOL);
 
-            // notarize the new certificate
-            const contract = await createContract(certificate, previous);
+            // notarize the new certificate using the existing notary key
+            const rotation = bali.catalog({
+                $phase: '$signing',
+                $certificate: certificate,
+                $citation: citation,
+                $contract: await draftContract(certificate, previous)
+            });
+            if (newModule === securityModule) await journalRotation(rotation);
+            const contract = await completeRotation(rotation);
             if (debug > 2) console.log('notarized certificate: ' + contract + EOL);
 
-            // update current state
-            const state = controller.transitionState('$refreshKey');
-            configuration.setAttribute('$state', state);
-            configuration.setAttribute('$certificate', certificate);
-            configuration.setAttribute('$citation', citation);
-            await storeConfiguration(configurator, configuration, debug);
+            // switch over to the new security module if necessary
+            if (newModule !== securityModule) {
+                const oldModule = securityModule;
+                securityModule = newModule;
+                await oldModule.eraseKeys();
+            }
 
             return contract;
         } catch (cause) {
@@ -711,6 +2848,120 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
             }, cause);
             if (debug > 0) console.error(exception.toString());
             throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method recovers from a rotation of the notary key that was interrupted. If the
+     * security module may have generated a new notary key but the new certificate was never
+     * prepared, the security module is rolled back to the existing notary key. If the new
+     * certificate was prepared, it is signed using the previous notary key (or the signature
+     * that the security module kept from before the interruption is reused) and the rotation
+     * is completed. It returns a catalog containing the outcome of the recovery ($none,
+     * $rolledBack or $completed) and, if the rotation was completed, the notarized certificate
+     * for the new notary key.
+     *
+     * @returns {Catalog} A catalog describing the outcome of the recovery.
+     */
+    this.recover = async function() {
+        var unlock;
+        try {
+            // check current state
+            unlock = await lockConfiguration();
+            configuration = await loadConfiguration(configurator, debug);
+            controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
+            const rotation = configuration.getAttribute('$rotation');
+            if (!rotation) return bali.catalog({$recovery: '$none'});
+
+            // roll back a rotation that never got as far as the new certificate
+            if (rotation.getAttribute('$phase').toString() === '$rotating') {
+                await securityModule.rollbackKeys();
+                configuration.removeAttributes(['$rotation']);
+                await storeConfiguration(configurator, configuration, debug);
+                return bali.catalog({$recovery: '$rolledBack'});
+            }
+
+            // complete a rotation whose new certificate was prepared
+            const contract = await completeRotation(rotation);
+            return bali.catalog({
+                $recovery: '$completed',
+                $contract: contract
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$recover',
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to recover the notary key.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method declares the current notary key compromised. It returns a revocation document
+     * citing the notarized certificate for the notary key, notarized using the notary key itself
+     * so that anyone holding the certificate can verify it. The time of the revocation is the
+     * timestamp of the notarized revocation. The digital notary then forgets all information it
+     * knows about the notary key so that a new notary key may be generated.
+     *
+     * @param {String} reason An optional description of the reason for the revocation.
+     * @returns {Catalog} The notarized revocation for the notary key.
+     */
+    this.revokeKey = async function(reason) {
+        var unlock;
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/DigitalNotary', '$revokeKey', '$reason', reason, [
+                    '/javascript/Undefined',
+                    '/javascript/String'
+                ]);
+            }
+
+            // check current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$revokeKey');
+
+            // create the revocation
+            const citation = configuration.getAttribute('$citation');
+            const type = '/bali/notary/Revocation/v1';
+            const attributes = {
+                $certificate: citation,
+                $reason: bali.text(reason || 'The notary key has been compromised.')
+            };
+            const revocation = createDocument(type, attributes);
+
+            // notarize the revocation using the revoked notary key
+            const contract = await createContract(revocation, citation);
+            if (debug > 2) console.log('notarized revocation: ' + contract + EOL);
+
+            // erase the state of the digital notary
+            controller.transitionState('$revokeKey');
+            await securityModule.eraseKeys();
+            await deleteConfiguration(configurator, debug);
+            configuration = undefined;
+
+            return contract;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/DigitalNotary',
+                $procedure: '$revokeKey',
+                $exception: '$unexpected',
+                $reason: reason,
+                $text: 'An unexpected error occurred while attempting to revoke the notary key.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
         }
     };
 
@@ -719,7 +2970,10 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
      * it knows about the current public-private key pair.
      */
     this.forgetKey = async function() {
+        var unlock;
         try {
+            unlock = await lockConfiguration();
+
             // erase the state of the digital notary
             await securityModule.eraseKeys();
             await deleteConfiguration(configurator, debug);
@@ -734,6 +2988,8 @@ const DigitalNotary = function(securityModule, account, directory, debug) {
             }, cause);
             if (debug > 0) console.error(exception.toString());
             throw exception;
+        } finally {
+            if (unlock) await unlock();
         }
     };
 
@@ -745,10 +3001,81 @@ exports.DigitalNotary = DigitalNotary;
 
 // PRIVATE FUNCTIONS
 
+/**
+ * This function returns the validation only security module for the specified version of the
+ * protocol, creating it the first time it is needed. The module never holds a private key, so
+ * its configuration is kept in memory rather than in the local configuration directory (which
+ * does not exist within a web browser).
+ *
+ * @param {String} protocol The version of the protocol.
+ * @returns {Object} The validation only security module.
+ */
+const validationModule = function(protocol) {
+    if (!MODULES[protocol]) MODULES[protocol] = new PROTOCOLS[protocol](new MemoryStorage());
+    return MODULES[protocol];
+};
+
+
+/**
+ * This function returns the digest of a leaf of a Merkle tree containing the specified
+ * citation. Leaves and nodes use different prefixes so that one can never be mistaken for
+ * the other.
+ *
+ * @param {Object} module The security module used to generate the digest.
+ * @param {Catalog} citation The citation for the leaf.
+ * @returns {Binary} A binary string containing the digest of the leaf.
+ */
+const digestLeaf = async function(module, citation) {
+    const bytes = Buffer.concat([LEAF, Buffer.from(citation.toString(), 'utf8')]);
+    return await module.digestBytes(bytes);
+};
+
+
+/**
+ * This function returns the digest of a node of a Merkle tree with the specified children.
+ *
+ * @param {Object} module The security module used to generate the digest.
+ * @param {Binary} left A binary string containing the digest of the left child.
+ * @param {Binary} right A binary string containing the digest of the right child.
+ * @returns {Binary} A binary string containing the digest of the node.
+ */
+const digestNode = async function(module, left, right) {
+    const bytes = Buffer.concat([NODE, left.getValue(), right.getValue()]);
+    return await module.digestBytes(bytes);
+};
+
+
+/**
+ * This function returns the catalog that is signed by a cosigner of the specified contract.
+ * It contains the attributes of the cosignature (without its signature) and the original
+ * contract (without any cosignatures).
+ *
+ * @param {Catalog} contract The contract being countersigned.
+ * @param {Catalog} cosignature The cosignature on the contract.
+ * @returns {Catalog} The catalog that is signed by the cosigner.
+ */
+const cosignedCatalog = function(contract, cosignature) {
+    return bali.catalog({
+        $protocol: cosignature.getAttribute('$protocol'),
+        $timestamp: cosignature.getAttribute('$timestamp'),
+        $account: cosignature.getAttribute('$account'),
+        $contract: bali.catalog.extraction(contract, [
+            '$protocol',
+            '$timestamp',
+            '$account',
+            '$document',
+            '$certificate',
+            '$signature'
+        ]),
+        $certificate: cosignature.getAttribute('$certificate')
+    });
+};
+
+
 /**
  * This function validates the specified parameter type and value for a parameter that was
  * passed into the specified function. If either the type or value is not valid an exception
- * is thrown. This function is called recursively for any parameters that contain attributes.
+ * is logged and thrown.
  *
  * @param {String} functionName The name of the function to which the parameter was passed.
  * @param {String} parameterName The name of the parameter that was passed.
@@ -756,6 +3083,27 @@ exports.DigitalNotary = DigitalNotary;
  * @param {String} parameterType The expected type of the parameter that was passed.
  */
 const validateStructure = function(functionName, parameterName, parameterValue, parameterType) {
+    try {
+        checkStructure(functionName, parameterName, parameterValue, parameterType);
+    } catch (exception) {
+        console.error(exception.toString());  // debug > 0 if this function was called so log it
+        throw exception;
+    }
+};
+
+
+/**
+ * This function checks the specified parameter type and value for a parameter that was
+ * passed into the specified function. If either the type or value is not valid an exception
+ * is thrown (without being logged). This function is called recursively for any parameters
+ * that contain attributes.
+ *
+ * @param {String} functionName The name of the function to which the parameter was passed.
+ * @param {String} parameterName The name of the parameter that was passed.
+ * @param {Object} parameterValue The value of the parameter that was passed.
+ * @param {String} parameterType The expected type of the parameter that was passed.
+ */
+const checkStructure = function(functionName, parameterName, parameterValue, parameterType) {
     if (parameterValue) {
         var parameters;
         switch (parameterType) {
@@ -783,14 +3131,14 @@ const validateStructure = function(functionName, parameterName, parameterValue,
                 //  * exactly five specific attributes
                 if (parameterValue.isComponent && parameterValue.isEqualTo(bali.pattern.NONE)) return;
                 if (parameterValue.isComponent && parameterValue.isType('/bali/collections/Catalog') && parameterValue.getSize() === 4) {
-                    validateStructure(functionName, parameterName + '.protocol', parameterValue.getAttribute('$protocol'), 'version');
-                    validateStructure(functionName, parameterName + '.tag', parameterValue.getAttribute('$tag'), 'tag');
-                    validateStructure(functionName, parameterName + '.version', parameterValue.getAttribute('$version'), 'version');
-                    validateStructure(functionName, parameterName + '.digest', parameterValue.getAttribute('$digest'), 'binary');
+                    checkStructure(functionName, parameterName + '.protocol', parameterValue.getAttribute('$protocol'), 'version');
+                    checkStructure(functionName, parameterName + '.tag', parameterValue.getAttribute('$tag'), 'tag');
+                    checkStructure(functionName, parameterName + '.version', parameterValue.getAttribute('$version'), 'version');
+                    checkStructure(functionName, parameterName + '.digest', parameterValue.getAttribute('$digest'), 'binary');
                     parameters = parameterValue.getParameters();
                     if (parameters && parameters.getSize() === 1) {
                         const name = parameters.getAttribute('$type');
-                        validateStructure(functionName, parameterName + '.parameters.type', name, 'name');
+                        checkStructure(functionName, parameterName + '.parameters.type', name, 'name');
                         if (name.toString().startsWith('/bali/notary/Citation/v')) return;
                     }
                 }
@@ -799,55 +3147,159 @@ const validateStructure = function(functionName, parameterName, parameterValue,
                 // Content must be parameterized with exactly 5 specific parameters
                 parameters = parameterValue.getParameters();
                 if (parameters && parameters.getSize() === 5) {
-                    validateStructure(functionName, parameterName + '.parameters.type', parameters.getAttribute('$type'), 'name');
-                    validateStructure(functionName, parameterName + '.parameters.tag', parameters.getAttribute('$tag'), 'tag');
-                    validateStructure(functionName, parameterName + '.parameters.version', parameters.getAttribute('$version'), 'version');
-                    validateStructure(functionName, parameterName + '.parameters.permissions', parameters.getAttribute('$permissions'), 'name');
-                    validateStructure(functionName, parameterName + '.parameters.previous', parameters.getAttribute('$previous'), 'citation');
+                    checkStructure(functionName, parameterName + '.parameters.type', parameters.getAttribute('$type'), 'name');
+                    checkStructure(functionName, parameterName + '.parameters.tag', parameters.getAttribute('$tag'), 'tag');
+                    checkStructure(functionName, parameterName + '.parameters.version', parameters.getAttribute('$version'), 'version');
+                    checkStructure(functionName, parameterName + '.parameters.permissions', parameters.getAttribute('$permissions'), 'name');
+                    checkStructure(functionName, parameterName + '.parameters.previous', parameters.getAttribute('$previous'), 'citation');
                     return;
                 }
                 break;
             case 'certificate':
                 // A certificate must have the following:
                 //  * a parameterized type of /bali/notary/Certificate/v...
-                //  * exactly two specific attributes
+                //  * exactly two specific attributes (v1), or five specific attributes including a
+                //    validity period and a list of usages (v3)
                 //  * and be parameterized with exactly 5 specific parameters
-                if (parameterValue.isComponent && parameterValue.isType('/bali/collections/Catalog') && parameterValue.getSize() === 2) {
-                    validateStructure(functionName, parameterName + '.publicKey', parameterValue.getAttribute('$publicKey'), 'binary');
-                    validateStructure(functionName, parameterName + '.algorithms', parameterValue.getAttribute('$algorithms'), 'catalog');
+                if (parameterValue.isComponent && parameterValue.isType('/bali/collections/Catalog') &&
+                    (parameterValue.getSize() === 2 || parameterValue.getSize() === 5)) {
+                    checkStructure(functionName, parameterName + '.publicKey', parameterValue.getAttribute('$publicKey'), 'binary');
+                    checkStructure(functionName, parameterName + '.algorithms', parameterValue.getAttribute('$algorithms'), 'catalog');
+                    if (parameterValue.getSize() === 5) {
+                        checkStructure(functionName, parameterName + '.notBefore', parameterValue.getAttribute('$notBefore'), 'moment');
+                        const notAfter = parameterValue.getAttribute('$notAfter');
+                        if (!notAfter || !notAfter.isEqualTo(bali.pattern.NONE)) {
+                            checkStructure(functionName, parameterName + '.notAfter', notAfter, 'moment');
+                        }
+                        checkStructure(functionName, parameterName + '.usages', parameterValue.getAttribute('$usages'), 'usages');
+                    }
                     parameters = parameterValue.getParameters();
                     if (parameters && parameters.getSize() === 5) {
-                        validateStructure(functionName, parameterName + '.parameters.type', parameters.getAttribute('$type'), 'name');
-                        validateStructure(functionName, parameterName + '.parameters.tag', parameters.getAttribute('$tag'), 'tag');
-                        validateStructure(functionName, parameterName + '.parameters.version', parameters.getAttribute('$version'), 'version');
-                        validateStructure(functionName, parameterName + '.parameters.permissions', parameters.getAttribute('$permissions'), 'name');
-                        validateStructure(functionName, parameterName + '.parameters.previous', parameters.getAttribute('$previous'), 'citation');
+                        checkStructure(functionName, parameterName + '.parameters.type', parameters.getAttribute('$type'), 'name');
+                        checkStructure(functionName, parameterName + '.parameters.tag', parameters.getAttribute('$tag'), 'tag');
+                        checkStructure(functionName, parameterName + '.parameters.version', parameters.getAttribute('$version'), 'version');
+                        checkStructure(functionName, parameterName + '.parameters.permissions', parameters.getAttribute('$permissions'), 'name');
+                        checkStructure(functionName, parameterName + '.parameters.previous', parameters.getAttribute('$previous'), 'citation');
                         if (parameters.getAttribute('$type').toString().startsWith('/bali/notary/Certificate/v') &&
                             parameters.getAttribute('$permissions').toString().startsWith('/bali/permissions/public/v')) return;
                     }
                 }
                 break;
+            case 'delegation':
+                // A delegation must have the following:
+                //  * a parameterized type of /bali/notary/Delegation/v...
+                //  * exactly five specific attributes
+                //  * and be parameterized with exactly 5 specific parameters
+                if (parameterValue.isComponent && parameterValue.isType('/bali/collections/Catalog') && parameterValue.getSize() === 5) {
+                    checkStructure(functionName, parameterName + '.publicKey', parameterValue.getAttribute('$publicKey'), 'binary');
+                    checkStructure(functionName, parameterName + '.algorithms', parameterValue.getAttribute('$algorithms'), 'catalog');
+                    checkStructure(functionName, parameterName + '.notBefore', parameterValue.getAttribute('$notBefore'), 'moment');
+                    checkStructure(functionName, parameterName + '.notAfter', parameterValue.getAttribute('$notAfter'), 'moment');
+                    checkStructure(functionName, parameterName + '.scope', parameterValue.getAttribute('$scope'), 'usages');
+                    checkStructure(functionName, parameterName, parameterValue, 'document');
+                    if (parameterValue.getParameter('$type').toString().startsWith('/bali/notary/Delegation/v')) return;
+                }
+                break;
+            case 'envelope':
+                // An envelope must have the following:
+                //  * a parameterized type of /bali/notary/Envelope/v...
+                //  * exactly one attribute containing a list of recipients
+                //  * and be parameterized with exactly 5 specific parameters
+                if (parameterValue.isComponent && parameterValue.isType('/bali/collections/Catalog') && parameterValue.getSize() === 1) {
+                    const recipients = parameterValue.getAttribute('$recipients');
+                    if (!recipients || !recipients.isComponent || !recipients.isType('/bali/collections/List')) break;
+                    const iterator = recipients.getIterator();
+                    while (iterator.hasNext()) {
+                        const recipient = iterator.getNext();
+                        checkStructure(functionName, parameterName + '.recipients', recipient, 'catalog');
+                        checkStructure(functionName, parameterName + '.recipients.certificate', recipient.getAttribute('$certificate'), 'citation');
+                        checkStructure(functionName, parameterName + '.recipients.ciphertext', recipient.getAttribute('$ciphertext'), 'binary');
+                    }
+                    checkStructure(functionName, parameterName, parameterValue, 'document');
+                    if (parameterValue.getParameter('$type').toString().startsWith('/bali/notary/Envelope/v')) return;
+                }
+                break;
+            case 'usages':
+                // A list of usages must be 'none' or a list containing only names, patterns and symbols
+                if (parameterValue.isComponent && parameterValue.isEqualTo(bali.pattern.NONE)) return;
+                if (parameterValue.isComponent && parameterValue.isType('/bali/collections/List')) {
+                    const iterator = parameterValue.getIterator();
+                    var valid = true;
+                    while (iterator.hasNext()) {
+                        const usage = iterator.getNext();
+                        if (!usage.isType('/bali/elements/Name') && !usage.isType('/bali/elements/Pattern') &&
+                            !usage.isType('/bali/elements/Symbol')) valid = false;
+                    }
+                    if (valid) return;
+                }
+                break;
+            case 'proof':
+                // An inclusion proof must have the following:
+                //  * a parameterized type of /bali/notary/Proof/v...
+                //  * exactly three specific attributes
+                if (parameterValue.isComponent && parameterValue.isType('/bali/collections/Catalog') && parameterValue.getSize() === 3) {
+                    checkStructure(functionName, parameterName + '.protocol', parameterValue.getAttribute('$protocol'), 'version');
+                    checkStructure(functionName, parameterName + '.citation', parameterValue.getAttribute('$citation'), 'citation');
+                    const path = parameterValue.getAttribute('$path');
+                    if (!path || !path.isComponent || !path.isType('/bali/collections/List')) break;
+                    const iterator = path.getIterator();
+                    while (iterator.hasNext()) {
+                        const step = iterator.getNext();
+                        checkStructure(functionName, parameterName + '.path', step.getAttribute('$digest'), 'binary');
+                    }
+                    parameters = parameterValue.getParameters();
+                    if (parameters && parameters.getSize() === 1) {
+                        if (parameters.getAttribute('$type').toString().startsWith('/bali/notary/Proof/v')) return;
+                    }
+                }
+                break;
+            case 'cosignature':
+                // A cosignature must have the following:
+                //  * a parameterized type of /bali/notary/Cosignature/v...
+                //  * exactly five specific attributes
+                if (parameterValue.isComponent && parameterValue.isType('/bali/collections/Catalog') && parameterValue.getSize() === 5) {
+                    checkStructure(functionName, parameterName + '.protocol', parameterValue.getAttribute('$protocol'), 'version');
+                    checkStructure(functionName, parameterName + '.timestamp', parameterValue.getAttribute('$timestamp'), 'moment');
+                    checkStructure(functionName, parameterName + '.account', parameterValue.getAttribute('$account'), 'tag');
+                    checkStructure(functionName, parameterName + '.certificate', parameterValue.getAttribute('$certificate'), 'citation');
+                    checkStructure(functionName, parameterName + '.signature', parameterValue.getAttribute('$signature'), 'binary');
+                    parameters = parameterValue.getParameters();
+                    if (parameters && parameters.getSize() === 1) {
+                        if (parameters.getAttribute('$type').toString().startsWith('/bali/notary/Cosignature/v')) return;
+                    }
+                }
+                break;
             case 'contract':
                 // A contract must have the following:
                 //  * a parameterized type of /bali/notary/Contract/v...
                 //  * exactly five specific attributes including a $document attribute
+                //  * an optional $cosignatures attribute containing a list of cosignatures
                 //  * the $document attribute must be parameterized with at least four parameters
                 //  * the $document attribute may have a parameterized type as well
-                if (parameterValue.isComponent && parameterValue.isType('/bali/collections/Catalog') && parameterValue.getSize() === 6) {
-                    validateStructure(functionName, parameterName + '.protocol', parameterValue.getAttribute('$protocol'), 'version');
-                    validateStructure(functionName, parameterName + '.timestamp', parameterValue.getAttribute('$timestamp'), 'moment');
-                    validateStructure(functionName, parameterName + '.account', parameterValue.getAttribute('$account'), 'tag');
-                    validateStructure(functionName, parameterName + '.document', parameterValue.getAttribute('$document'), 'document');
-                    validateStructure(functionName, parameterName + '.certificate', parameterValue.getAttribute('$certificate'), 'citation');
-                    validateStructure(functionName, parameterName + '.signature', parameterValue.getAttribute('$signature'), 'binary');
+                if (parameterValue.isComponent && parameterValue.isType('/bali/collections/Catalog') &&
+                    (parameterValue.getSize() === 6 || (parameterValue.getSize() === 7 && parameterValue.getAttribute('$cosignatures')))) {
+                    const cosignatures = parameterValue.getAttribute('$cosignatures');
+                    if (cosignatures) {
+                        if (!cosignatures.isComponent || !cosignatures.isType('/bali/collections/List')) break;
+                        const iterator = cosignatures.getIterator();
+                        while (iterator.hasNext()) {
+                            checkStructure(functionName, parameterName + '.cosignatures', iterator.getNext(), 'cosignature');
+                        }
+                    }
+                    checkStructure(functionName, parameterName + '.protocol', parameterValue.getAttribute('$protocol'), 'version');
+                    checkStructure(functionName, parameterName + '.timestamp', parameterValue.getAttribute('$timestamp'), 'moment');
+                    checkStructure(functionName, parameterName + '.account', parameterValue.getAttribute('$account'), 'tag');
+                    checkStructure(functionName, parameterName + '.document', parameterValue.getAttribute('$document'), 'document');
+                    checkStructure(functionName, parameterName + '.certificate', parameterValue.getAttribute('$certificate'), 'citation');
+                    checkStructure(functionName, parameterName + '.signature', parameterValue.getAttribute('$signature'), 'binary');
                     parameters = parameterValue.getAttribute('$document').getParameters();
                     if (parameters) {
                         const name = parameters.getAttribute('$type');
-                        if (name) validateStructure(functionName, parameterName + '.parameters.type', name, 'name');
-                        validateStructure(functionName, parameterName + '.parameters.tag', parameters.getAttribute('$tag'), 'tag');
-                        validateStructure(functionName, parameterName + '.parameters.version', parameters.getAttribute('$version'), 'version');
-                        validateStructure(functionName, parameterName + '.parameters.permissions', parameters.getAttribute('$permissions'), 'name');
-                        validateStructure(functionName, parameterName + '.parameters.previous', parameters.getAttribute('$previous'), 'citation');
+                        if (name) checkStructure(functionName, parameterName + '.parameters.type', name, 'name');
+                        checkStructure(functionName, parameterName + '.parameters.tag', parameters.getAttribute('$tag'), 'tag');
+                        checkStructure(functionName, parameterName + '.parameters.version', parameters.getAttribute('$version'), 'version');
+                        checkStructure(functionName, parameterName + '.parameters.permissions', parameters.getAttribute('$permissions'), 'name');
+                        checkStructure(functionName, parameterName + '.parameters.previous', parameters.getAttribute('$previous'), 'citation');
                         parameters = parameterValue.getParameters();
                         if (parameters && parameters.getSize() === 1) {
                             if (parameters.getAttribute('$type').toString().startsWith('/bali/notary/Contract/v')) return;
@@ -865,7 +3317,6 @@ const validateStructure = function(functionName, parameterName, parameterValue,
         $value: parameterValue,
         $text: 'An invalid parameter value was passed to the function.'
     });
-    console.error(exception.toString());  // debug > 0 if this function was called so log it
     throw exception;
 };
 
@@ -873,10 +3324,9 @@ const validateStructure = function(functionName, parameterName, parameterValue,
 // PRIVATE FUNCTIONS
 
 /**
- * This function uses a configurator to store out the specified configuration catalog to
- * the local filesystem.
+ * This function uses a configurator to store out the specified configuration catalog.
  *
- * @param {Configurator} configurator A filesystem backed configurator.
+ * @param {Configurator} configurator A configurator bound to the storage adapter.
  * @param {Catalog} configuration A catalog containing the current configuration to be stored.
  * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
  * the level of debugging that occurs:
@@ -899,10 +3349,9 @@ const storeConfiguration = async function(configurator, configuration, debug) {
 
 
 /**
- * This function uses a configurator to load the current configuration catalog from
- * the local filesystem.
+ * This function uses a configurator to load the current configuration catalog.
  *
- * @param {Configurator} configurator A filesystem backed configurator.
+ * @param {Configurator} configurator A configurator bound to the storage adapter.
  * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
  * the level of debugging that occurs:
  * @returns {Catalog} A catalog containing the current configuration.
@@ -935,10 +3384,9 @@ const loadConfiguration = async function(configurator, debug) {
 
 
 /**
- * This function uses a configurator to delete the current configuration catalog from
- * the local filesystem.
+ * This function uses a configurator to delete the current configuration catalog.
  *
- * @param {Configurator} configurator A filesystem backed configurator.
+ * @param {Configurator} configurator A configurator bound to the storage adapter.
  * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
  * the level of debugging that occurs:
  */
@@ -957,3 +3405,181 @@ const deleteConfiguration = async function(configurator, debug) {
         throw exception;
     }
 };
+
+
+/**
+ * This function imports a notarized contract from a JSON envelope or a compact JSON web
+ * signature.
+ *
+ * @param {String} source The JSON envelope or compact JWS containing the contract.
+ * @returns {Object} An object containing the notarized contract and the disassembled JWS (if
+ * the contract was imported from one).
+ */
+const importContract = function(source) {
+    source = source.trim();
+    if (source.startsWith('{')) {
+        return {contract: JOSE.decodeEnvelope(JSON.parse(source))};
+    }
+    const jws = JOSE.decodeJWS(source);
+    return {contract: jws.contract, jws: jws};
+};
+
+
+/**
+ * This function imports a notarized certificate from a JSON web key or a JSON envelope.
+ *
+ * @param {String} source The JWK or JSON envelope containing the certificate.
+ * @returns {Catalog} The notarized certificate.
+ */
+const importCertificate = function(source) {
+    const json = JSON.parse(source);
+    if (!json.kty) return JOSE.decodeEnvelope(json);
+    const certificate = JOSE.decodeEnvelope(json.bali);
+    const publicKey = JOSE.decodeKey(json);
+    if (!publicKey.isEqualTo(certificate.getAttribute('$document').getAttribute('$publicKey'))) {
+        throw bali.exception({
+            $module: '/bali/notary/DigitalNotary',
+            $procedure: '$importCertificate',
+            $exception: '$keyMismatch',
+            $text: 'The public key in the JSON web key does not match the certificate.'
+        });
+    }
+    return certificate;
+};
+
+
+/**
+ * This function determines whether or not the specified contract was notarized during the
+ * validity period of the specified notarized certificate. A certificate without a validity
+ * period is always valid.
+ *
+ * @param {Catalog} contract The contract (or cosignature) containing the timestamp.
+ * @param {Catalog} certificate The notarized certificate.
+ * @returns {Boolean} Whether or not the contract was notarized during the validity period.
+ */
+const validPeriod = function(contract, certificate) {
+    const document = certificate.getAttribute('$document');
+    const timestamp = contract.getAttribute('$timestamp').getValue();
+    const notBefore = document.getAttribute('$notBefore');
+    if (notBefore && !notBefore.isEqualTo(bali.pattern.NONE) && timestamp < notBefore.getValue()) return false;
+    const notAfter = document.getAttribute('$notAfter');
+    if (notAfter && !notAfter.isEqualTo(bali.pattern.NONE) && timestamp > notAfter.getValue()) return false;
+    return true;
+};
+
+
+/**
+ * This function returns the lifetime of the specified certificate.
+ *
+ * @param {Catalog} certificate The certificate (not the notarized certificate).
+ * @returns {Duration} The lifetime of the certificate, or undefined if it never expires.
+ */
+const certificateLifetime = function(certificate) {
+    const notBefore = certificate.getAttribute('$notBefore');
+    const notAfter = certificate.getAttribute('$notAfter');
+    if (!notBefore || !notAfter || notAfter.isEqualTo(bali.pattern.NONE)) return undefined;
+    return bali.moment.duration(notBefore, notAfter);
+};
+
+
+/**
+ * This function determines whether or not the specified usages permit a notary key to sign
+ * the specified document. The usage that is required depends on the type of the document:
+ * <pre>
+ *   * a certificate requires $certification (unless it is the signing certificate itself)
+ *   * a delegation requires $delegation
+ *   * credentials require $credentials
+ *   * a revocation is always permitted
+ *   * any other document requires a name or pattern that matches its type
+ * </pre>
+ *
+ * @param {List} usages The usages permitted by a certificate, or 'none' for any usage.
+ * @param {Catalog} document The document being signed.
+ * @param {Catalog} certificate The citation to the certificate that the contract for the
+ * document refers to, or 'none' if the contract is self-signed.
+ * @param {Catalog} signer The certificate (not the notarized certificate) for the notary key
+ * that signs the document, if there is one.
+ * @returns {Boolean} Whether or not the usages permit the document to be signed.
+ */
+const permittedUsage = function(usages, document, certificate, signer) {
+    if (!usages || usages.isEqualTo(bali.pattern.NONE)) return true;  // any usage is permitted
+    const parameters = document.getParameters();
+    const type = parameters ? parameters.getAttribute('$type') : undefined;
+    const name = type ? type.toString() : '';
+    if (name.startsWith('/bali/notary/Revocation/v')) return true;
+    var required;
+    if (name.startsWith('/bali/notary/Certificate/v')) {
+        // only the signing certificate itself may be self-signed
+        if (certificate.isEqualTo(bali.pattern.NONE) && signer && document.isEqualTo(signer)) return true;
+        required = '$certification';
+    } else if (name.startsWith('/bali/notary/Delegation/v')) {
+        required = '$delegation';
+    } else if (name.startsWith('/bali/notary/Credentials/v')) {
+        required = '$credentials';
+    }
+    const iterator = usages.getIterator();
+    while (iterator.hasNext()) {
+        const usage = iterator.getNext();
+        if (required) {
+            if (usage.isType('/bali/elements/Symbol') && usage.toString() === required) return true;
+        } else if (type) {
+            if (usage.isType('/bali/elements/Name') && usage.isEqualTo(type)) return true;
+            if (usage.isType('/bali/elements/Pattern') && usage.matches(type)) return true;
+        }
+    }
+    return false;
+};
+
+
+/**
+ * This function determines whether or not the specified scope for a delegation only contains
+ * usages that are also permitted by the specified usages. A symbol must be one of the usages,
+ * a name must be one of the usages or match one of their patterns, and a pattern must be one
+ * of the usages, since a pattern cannot be checked against another pattern.
+ *
+ * @param {List} usages The usages permitted by a certificate, or 'none' for any usage.
+ * @param {List} scope The usages requested for the delegation, or 'none' for any usage.
+ * @returns {Boolean} Whether or not the usages permit the scope.
+ */
+const permittedScope = function(usages, scope) {
+    if (!usages || usages.isEqualTo(bali.pattern.NONE)) return true;  // any usage is permitted
+    if (!scope || scope.isEqualTo(bali.pattern.NONE)) return false;  // any usage is requested
+    const iterator = scope.getIterator();
+    while (iterator.hasNext()) {
+        const requested = iterator.getNext();
+        var permitted = false;
+        const usage = usages.getIterator();
+        while (usage.hasNext() && !permitted) {
+            const granted = usage.getNext();
+            permitted = granted.isEqualTo(requested) || (requested.isType('/bali/elements/Name') &&
+                granted.isType('/bali/elements/Pattern') && granted.matches(requested));
+        }
+        if (!permitted) return false;
+    }
+    return true;
+};
+
+
+/**
+ * This function determines whether or not the specified document is a delegation for a device
+ * key rather than a certificate.
+ *
+ * @param {Catalog} document The document.
+ * @returns {Boolean} Whether or not the document is a delegation.
+ */
+const isDelegation = function(document) {
+    const parameters = document.getParameters();
+    const type = parameters ? parameters.getAttribute('$type') : undefined;
+    return !!type && type.toString().startsWith('/bali/notary/Delegation/v');
+};
+
+
+/**
+ * This function returns the usages that the specified certificate (or delegation) permits.
+ *
+ * @param {Catalog} document The certificate or delegation (not the notarized one).
+ * @returns {List} The usages, or 'none' (or undefined) if any usage is permitted.
+ */
+const grantedUsages = function(document) {
+    return isDelegation(document) ? document.getAttribute('$scope') : document.getAttribute('$usages');
+};
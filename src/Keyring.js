@@ -0,0 +1,334 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a keyring that holds the notary keys for multiple accounts within a
+ * single process. It is capable of performing the following functions:
+ * <pre>
+ *   * listAccounts - retrieve the list of accounts that have a slot in the keyring
+ *   * selectAccount - retrieve the digital notary for an account (adding a slot if necessary)
+ *   * removeAccount - forget the notary key for an account and remove its slot
+ * </pre>
+ * Each account has its own slot consisting of a software security module and a digital notary
+ * (with its own state machine) whose configurations are kept under a prefix for the account
+ * within the shared storage. The accounts and the version of the notary protocol used by each
+ * of them are recorded in the 'Keyring.bali' configuration.
+ */
+const bali = require('bali-component-framework').api();
+const SSMv2 = require('./v2/SSM').SSM;
+const SSMv3 = require('./v3/SSM').SSM;
+const DigitalNotary = require('./DigitalNotary').DigitalNotary;
+const Configurator = require('./utilities/Configurator').Configurator;
+const PrefixedStorage = require('./utilities/PrefixedStorage').PrefixedStorage;
+const FileStorage = require('./utilities/FileStorage').FileStorage;
+const Mutex = require('./utilities/Mutex').Mutex;
+
+
+// PRIVATE CONSTANTS
+
+// the POSIX end of line character
+const EOL = '\n';
+
+// the security modules that may be used for a slot (in preferred order)
+const MODULES = {
+    v3: SSMv3,
+    v2: SSMv2
+};
+const PROTOCOL = Object.keys(MODULES)[0];  // the latest protocol
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new keyring.
+ *
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @param {String|Function} passphrase An optional passphrase, or a function that returns the
+ * passphrase, that is used to encrypt the keys of every account at rest.
+ * @returns {Object} The new keyring.
+ */
+const Keyring = function(directory, debug, passphrase) {
+    // validate the arguments
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/Keyring', '$Keyring', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String',
+            '/javascript/Object'
+        ]);
+        validator.validateType('/bali/notary/Keyring', '$Keyring', '$passphrase', passphrase, [
+            '/javascript/Undefined',
+            '/javascript/String',
+            '/javascript/Function'
+        ]);
+    }
+
+    // setup the shared storage and the slots
+    const storage = (directory === undefined || typeof directory === 'string') ?
+        new FileStorage(directory, debug) : directory;
+    const configurator = new Configurator('Keyring.bali', storage, debug);
+    const mutex = new Mutex();
+    const notaries = {};  // the digital notary for each account that has been selected
+    var slots = bali.catalog();  // the accounts with a slot as of the last time they were loaded
+
+    /**
+     * This method returns a string describing the attributes of the keyring. It must not be
+     * an asynchronous function since it is part of the JavaScript language, so the accounts
+     * are those that had a slot the last time the keyring configuration was loaded.
+     *
+     * @returns {String} A string describing the attributes of the keyring.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/Keyring',
+            $storage: storage.toString(),
+            $accounts: bali.list(slots.getKeys())
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method returns the list of accounts that have a slot in the keyring.
+     *
+     * @returns {List} A list containing the tags for the accounts.
+     */
+    this.listAccounts = async function() {
+        var unlock;
+        try {
+            unlock = await mutex.lockConfiguration(configurator);
+            const accounts = await loadAccounts();
+            return bali.list(accounts.getKeys());
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/Keyring',
+                $procedure: '$listAccounts',
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to list the accounts.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method returns the digital notary for the specified account. If the account does
+     * not yet have a slot in the keyring, a new slot is added for it that uses the specified
+     * version of the notary protocol. The digital notary may then be used to generate,
+     * activate and use the notary key for the account just like any other digital notary.
+     *
+     * @param {Tag} account The unique tag for the account.
+     * @param {String} protocol An optional version of the notary protocol to be used for a new
+     * slot (default is the latest version). It must match the protocol of an existing slot.
+     * @returns {Object} The digital notary for the account.
+     */
+    this.selectAccount = async function(account, protocol) {
+        var unlock;
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/Keyring', '$selectAccount', '$account', account, [
+                    '/bali/elements/Tag'
+                ]);
+                validator.validateType('/bali/notary/Keyring', '$selectAccount', '$protocol', protocol, [
+                    '/javascript/Undefined',
+                    '/javascript/String'
+                ]);
+            }
+
+            // find the slot for the account (adding one if necessary)
+            unlock = await mutex.lockConfiguration(configurator);
+            const accounts = await loadAccounts();
+            const existing = accounts.getAttribute(account);
+            if (existing) {
+                if (protocol && protocol !== existing.toString()) {
+                    const exception = bali.exception({
+                        $module: '/bali/notary/Keyring',
+                        $procedure: '$selectAccount',
+                        $exception: '$protocolMismatch',
+                        $account: account,
+                        $expected: existing,
+                        $actual: protocol,
+                        $text: 'The account already has a slot that uses a different version of the notary protocol.'
+                    });
+                    throw exception;
+                }
+                protocol = existing.toString();
+            } else {
+                protocol = protocol || PROTOCOL;
+                if (!MODULES[protocol]) {
+                    const exception = bali.exception({
+                        $module: '/bali/notary/Keyring',
+                        $procedure: '$selectAccount',
+                        $exception: '$unsupportedProtocol',
+                        $expected: Object.keys(MODULES),
+                        $actual: protocol,
+                        $text: 'Attempted to use an unsupported version of the notary protocol.'
+                    });
+                    throw exception;
+                }
+                accounts.setAttribute(account, bali.component(protocol));
+                await storeAccounts(accounts);
+            }
+
+            return slotNotary(account, protocol);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/Keyring',
+                $procedure: '$selectAccount',
+                $exception: '$unexpected',
+                $account: account,
+                $text: 'An unexpected error occurred while attempting to select an account.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method forgets the notary key for the specified account and removes its slot from
+     * the keyring. Nothing happens if the account does not have a slot in the keyring.
+     *
+     * @param {Tag} account The unique tag for the account.
+     */
+    this.removeAccount = async function(account) {
+        var unlock;
+        try {
+            // validate the argument
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/Keyring', '$removeAccount', '$account', account, [
+                    '/bali/elements/Tag'
+                ]);
+            }
+
+            // check for the slot
+            unlock = await mutex.lockConfiguration(configurator);
+            const accounts = await loadAccounts();
+            const protocol = accounts.getAttribute(account);
+            if (!protocol) return;
+
+            // forget the notary key for the account
+            await slotNotary(account, protocol.toString()).forgetKey();
+            delete notaries[account.toString()];
+
+            // remove the slot
+            accounts.removeAttributes([account]);
+            await storeAccounts(accounts);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/Keyring',
+                $procedure: '$removeAccount',
+                $exception: '$unexpected',
+                $account: account,
+                $text: 'An unexpected error occurred while attempting to remove an account.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+
+
+    // PRIVATE METHODS
+
+    const loadAccounts = async function() {
+        slots = await loadConfiguration(configurator, debug);
+        return slots;
+    };
+
+    const storeAccounts = async function(accounts) {
+        await storeConfiguration(configurator, accounts, debug);
+        slots = accounts;
+    };
+
+    const slotNotary = function(account, protocol) {
+        // create the digital notary for the slot the first time it is needed
+        const key = account.toString();
+        if (!notaries[key]) {
+            const slot = new PrefixedStorage(storage, account.getValue() + '/', debug);
+            const securityModule = new MODULES[protocol](slot, debug, passphrase);
+            notaries[key] = new DigitalNotary(securityModule, account, slot, debug);
+        }
+        return notaries[key];
+    };
+
+    return this;
+};
+Keyring.prototype.constructor = Keyring;
+exports.Keyring = Keyring;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function loads the catalog of accounts (and their protocols) in the keyring.
+ *
+ * @param {Configurator} configurator A configurator bound to the storage adapter.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs.
+ * @returns {Catalog} The catalog of accounts.
+ */
+const loadConfiguration = async function(configurator, debug) {
+    try {
+        const source = await configurator.load();
+        return source ? bali.component(source) : bali.catalog();
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: '/bali/notary/Keyring',
+            $procedure: '$loadConfiguration',
+            $exception: '$storageException',
+            $text: 'The attempt to load the keyring configuration failed.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+/**
+ * This function stores the catalog of accounts (and their protocols) in the keyring.
+ *
+ * @param {Configurator} configurator A configurator bound to the storage adapter.
+ * @param {Catalog} accounts The catalog of accounts.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs.
+ */
+const storeConfiguration = async function(configurator, accounts, debug) {
+    try {
+        await configurator.store(accounts.toString() + EOL);
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: '/bali/notary/Keyring',
+            $procedure: '$storeConfiguration',
+            $exception: '$storageException',
+            $text: 'The attempt to store the keyring configuration failed.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
@@ -0,0 +1,182 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////////////
+// This module should only be used for LOCAL TESTING.  A real timestamp authority    //
+// must run on a PHYSICALLY SECURE device with a trustworthy clock.                  //
+///////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * This class implements a local timestamp authority that is capable of performing the following
+ * functions:
+ * <pre>
+ *   * getAccount - retrieve the account tag for the timestamp authority
+ *   * getCertificate - retrieve the notarized certificate for the timestamp authority
+ *   * timestampContract - countersign a contract with a trusted timestamp
+ *   * forgetKey - forget any knowledge of the timestamp authority key
+ * </pre>
+ * The timestamp authority is backed by its own digital notary. A new notary key is generated
+ * the first time the timestamp authority is used, and any previous key is forgotten.
+ */
+const bali = require('bali-component-framework').api();
+const SSMv2 = require('./v2/SSM').SSM;
+const DigitalNotary = require('./DigitalNotary').DigitalNotary;
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new instance of a local timestamp authority.
+ *
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new timestamp authority.
+ */
+const TimestampAuthority = function(directory, debug) {
+    // validate the arguments
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/TimestampAuthority', '$TimestampAuthority', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String',
+            '/javascript/Object'
+        ]);
+    }
+
+    // setup the digital notary for the timestamp authority
+    const account = bali.tag();
+    const notary = new DigitalNotary(new SSMv2(directory, debug), account, directory, debug);
+    var initialization;  // resolves to the notarized certificate once initialization has begun
+
+    /**
+     * This method returns a string describing the attributes of the timestamp authority. It
+     * must not be an asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the timestamp authority.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/TimestampAuthority',
+            $account: account,
+            $notary: notary.toString()
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method returns the unique tag for the account of the timestamp authority.
+     *
+     * @returns {Tag} The unique tag for the account of the timestamp authority.
+     */
+    this.getAccount = function() {
+        return account;
+    };
+
+    /**
+     * This method returns the notarized certificate for the timestamp authority. It is needed
+     * by anyone wishing to verify the timestamps generated by the timestamp authority.
+     *
+     * @returns {Catalog} A contract containing the notarized certificate for the timestamp
+     * authority.
+     */
+    this.getCertificate = async function() {
+        try {
+            return await initializeKey();
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/TimestampAuthority',
+                $procedure: '$getCertificate',
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to retrieve the certificate.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method generates a trusted timestamp for the specified contract.
+     *
+     * @param {Catalog} contract The contract to be timestamped.
+     * @returns {Catalog} A contract containing the notarized timestamp for the contract.
+     */
+    this.timestampContract = async function(contract) {
+        try {
+            await initializeKey();
+            return await notary.timestampContract(contract);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/TimestampAuthority',
+                $procedure: '$timestampContract',
+                $exception: '$unexpected',
+                $contract: contract,
+                $text: 'An unexpected error occurred while attempting to timestamp a contract.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method causes the timestamp authority to forget all information it knows about
+     * its current key. A new key is generated the next time the timestamp authority is used.
+     */
+    this.forgetKey = async function() {
+        try {
+            await notary.forgetKey();
+            initialization = undefined;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/TimestampAuthority',
+                $procedure: '$forgetKey',
+                $exception: '$unexpected',
+                $text: 'An unexpected error occurred while attempting to forget the key.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+
+    // PRIVATE METHODS
+
+    const initializeKey = function() {
+        // concurrent first uses must share a single initialization of the notary key
+        if (!initialization) {
+            initialization = generateCertificate().catch(function(cause) {
+                initialization = undefined;  // the next use tries again
+                throw cause;
+            });
+        }
+        return initialization;
+    };
+
+    const generateCertificate = async function() {
+        await notary.forgetKey();  // start with a clean slate
+        const document = await notary.generateKey();
+        const contract = await notary.notarizeDocument(document);
+        await notary.activateKey(contract);
+        return contract;
+    };
+
+    return this;
+};
+TimestampAuthority.prototype.constructor = TimestampAuthority;
+exports.TimestampAuthority = TimestampAuthority;
@@ -0,0 +1,199 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a security module agent that serves the operations of a security module
+ * to other local processes over a Unix domain socket (much like ssh-agent). The private keys are
+ * only ever loaded into the process that runs the agent. It is capable of performing the
+ * following functions:
+ * <pre>
+ *   * start - start listening for client connections on the socket
+ *   * stop - close all client connections and remove the socket
+ * </pre>
+ * The socket is only accessible by the user that started the agent. Requests from all clients
+ * are processed one at a time, in the order they are received, since the security module
+ * maintains state between requests.
+ */
+const net = require('net');
+const pfs = require('fs').promises;
+const readline = require('readline');
+const bali = require('bali-component-framework').api();
+const messages = require('./Messages');
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new security module agent.
+ *
+ * @param {Object} securityModule An object that implements the security module interface.
+ * @param {String} path The filesystem path for the Unix domain socket.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new security module agent.
+ */
+const Agent = function(securityModule, path, debug) {
+    // validate the arguments
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/agent/Agent', '$Agent', '$securityModule', securityModule, [
+            '/javascript/Object'
+        ]);
+        validator.validateType('/bali/notary/agent/Agent', '$Agent', '$path', path, [
+            '/javascript/String'
+        ]);
+    }
+
+    var server;
+    const connections = new Set();
+    var queue = Promise.resolve();  // serializes the requests from all clients
+
+    /**
+     * This method returns a string describing the attributes of the agent. It must not be an
+     * asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the agent.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/agent/Agent',
+            $path: bali.text(path),
+            $securityModule: securityModule.toString()
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method starts listening for client connections on the Unix domain socket. Any
+     * stale socket left behind by a previous agent is removed first.
+     */
+    this.start = async function() {
+        try {
+            // remove a stale socket (but nothing else)
+            try {
+                const stats = await pfs.lstat(path);
+                if (stats.isSocket()) await pfs.unlink(path);
+            } catch (cause) {
+                if (cause.code !== 'ENOENT') throw cause;
+            }
+
+            // create the socket so that only the current user can access it
+            server = net.createServer(handleConnection);
+            const mask = process.umask(0o177);
+            try {
+                await new Promise(function(resolve, reject) {
+                    server.once('error', reject);
+                    server.listen(path, resolve);
+                });
+            } finally {
+                process.umask(mask);
+            }
+            if (debug > 2) console.log('agent listening on: ' + path);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/agent/Agent',
+                $procedure: '$start',
+                $exception: '$unexpected',
+                $path: path,
+                $text: 'The agent could not start listening on the socket.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method closes all client connections and stops listening on the Unix domain socket.
+     */
+    this.stop = async function() {
+        try {
+            if (!server) return;
+            connections.forEach(function(connection) {
+                connection.destroy();
+            });
+            await new Promise(function(resolve) {
+                server.close(resolve);  // the socket file is removed by the server
+            });
+            server = undefined;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/agent/Agent',
+                $procedure: '$stop',
+                $exception: '$unexpected',
+                $path: path,
+                $text: 'The agent could not be stopped.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+
+    // PRIVATE METHODS
+
+    const handleConnection = function(connection) {
+        connections.add(connection);
+        connection.on('close', function() {
+            connections.delete(connection);
+        });
+        connection.on('error', function(cause) {
+            if (debug > 0) console.error('agent connection failed: ' + cause);
+        });
+        const lines = readline.createInterface({input: connection, crlfDelay: Infinity});
+        lines.on('line', function(line) {
+            queue = queue.then(async function() {
+                const response = await handleRequest(line);
+                if (!connection.destroyed) connection.write(JSON.stringify(response) + messages.EOL);
+            });
+        });
+    };
+
+    const handleRequest = async function(line) {
+        var id;
+        try {
+            const request = JSON.parse(line);
+            id = request.id;
+            if (!messages.METHODS.includes(request.method)) {
+                throw bali.exception({
+                    $module: '/bali/notary/agent/Agent',
+                    $procedure: '$handleRequest',
+                    $exception: '$unsupportedMethod',
+                    $method: String(request.method),
+                    $text: 'The agent does not serve the requested method.'
+                });
+            }
+            if (debug > 2) console.log('agent request: ' + request.method);
+            const args = (request.args || []).map(messages.decodeValue);
+            const result = await securityModule[request.method].apply(securityModule, args);
+            return {id: id, result: messages.encodeValue(result)};
+        } catch (cause) {
+            const attributes = cause.isComponent ? cause.getAttributes() : undefined;
+            return {
+                id: id,
+                error: {
+                    exception: attributes ? attributes.getAttribute('$exception').toString() : '$unexpected',
+                    text: attributes ? attributes.getAttribute('$text').getValue() : 'The request could not be processed.'
+                }
+            };
+        }
+    };
+
+    return this;
+};
+Agent.prototype.constructor = Agent;
+exports.Agent = Agent;
@@ -0,0 +1,76 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This module defines the messages that are exchanged between a security module agent and
+ * its clients. Each message is a single line of JSON terminated by a POSIX end of line:
+ * <pre>
+ *   request:  {"id": 1, "method": "signBytes", "args": [{"bytes": "<base64>"}]}
+ *   response: {"id": 1, "result": {"component": "'<base32>'"}}
+ *   failure:  {"id": 1, "error": {"exception": "$<name>", "text": "<message>"}}
+ * </pre>
+ * Buffers are encoded as base64 strings, Bali components as their source strings, and any
+ * other values as plain JSON values.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PUBLIC CONSTANTS
+
+// the POSIX end of line character that terminates each message
+const EOL = '\n';
+exports.EOL = EOL;
+
+// the security module methods that an agent will serve (all others are refused)
+const METHODS = [
+    'getTag',
+    'getProtocol',
+    'generateKeys',
+    'rotateKeys',
+    'rollbackKeys',
+    'eraseKeys',
+    'digestBytes',
+    'signBytes',
+    'validSignature',
+    'encryptBytes',
+    'decryptBytes'
+];
+exports.METHODS = METHODS;
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function encodes the specified value so that it can be included in a message.
+ *
+ * @param {Any} value The value to be encoded.
+ * @returns {Object} The encoded value.
+ */
+const encodeValue = function(value) {
+    if (Buffer.isBuffer(value)) return {bytes: value.toString('base64')};
+    if (value && value.isComponent) return {component: value.toString()};
+    return {value: value};
+};
+exports.encodeValue = encodeValue;
+
+
+/**
+ * This function decodes the specified encoded value from a message.
+ *
+ * @param {Object} encoded The encoded value.
+ * @returns {Any} The decoded value.
+ */
+const decodeValue = function(encoded) {
+    if (encoded.bytes !== undefined) return Buffer.from(encoded.bytes, 'base64');
+    if (encoded.component !== undefined) return bali.component(encoded.component);
+    return encoded.value;
+};
+exports.decodeValue = decodeValue;
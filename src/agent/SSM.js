@@ -0,0 +1,361 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a security module that delegates its operations to a security module
+ * agent over a Unix domain socket. It is capable of performing the following functions:
+ * <pre>
+ *   * generateKeys - generate a new public-private key pair and return the public key
+ *   * digestBytes - generate a cryptographic digest of an array of bytes
+ *   * digestStream - generate a cryptographic digest of the bytes read from a stream
+ *   * signBytes - digitally sign an array of bytes using the private key
+ *   * validSignature - check whether or not the digital signature of an array of bytes is valid
+ *   * encryptBytes - encrypt an array of bytes for the holder of a public key
+ *   * decryptBytes - decrypt an array of bytes using the private key
+ *   * rotateKeys - replace the existing public-private key pair with new pair
+ *   * rollbackKeys - restore the previous public-private key pair after an unfinished rotation
+ *   * eraseKeys - erases any trace of the public-private key pair
+ *   * disconnect - close the connection to the agent
+ * </pre>
+ * The private keys never leave the agent. Streams are digested locally since digests do not
+ * require the private key, and the bytes of a large stream should not be sent to the agent.
+ */
+const net = require('net');
+const readline = require('readline');
+const bali = require('bali-component-framework').api();
+const messages = require('./Messages');
+const SSMv2 = require('../v2/SSM').SSM;
+const SSMv3 = require('../v3/SSM').SSM;
+const MemoryStorage = require('../utilities/MemoryStorage').MemoryStorage;
+
+
+// PRIVATE CONSTANTS
+
+// the keyless security modules used to digest streams locally
+const PROTOCOLS = {
+    v3: SSMv3,
+    v2: SSMv2
+};
+const MODULES = {};  // the keyless security modules that have been created so far
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new client security module for a security module agent.
+ *
+ * @param {String} path The filesystem path for the Unix domain socket of the agent.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new client security module.
+ */
+const SSM = function(path, debug) {
+    // validate the arguments
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/agent/SSM', '$SSM', '$path', path, [
+            '/javascript/String'
+        ]);
+    }
+
+    var connection, connecting, protocol;
+    var next = 0;  // the identifier for the next request
+    const pending = {};  // the outstanding requests by identifier
+
+    /**
+     * This method returns a string describing the attributes of the SSM. It must not be an
+     * asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the SSM.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/agent/SSM',
+            $path: bali.text(path)
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method returns the unique tag for the security module.
+     *
+     * @returns {Tag} The unique tag for the security module.
+     */
+    this.getTag = async function() {
+        return await callAgent('getTag', []);
+    };
+
+    /**
+     * This method returns the version of the security protocol supported by the agent.
+     *
+     * @returns {Version} The version string of the security protocol supported by the agent.
+     */
+    this.getProtocol = async function() {
+        if (!protocol) protocol = await callAgent('getProtocol', []);
+        return protocol;
+    };
+
+    /**
+     * This method generates a new public-private key pair.
+     *
+     * @returns {Binary} A binary string containing the new public key.
+     */
+    this.generateKeys = async function() {
+        return await callAgent('generateKeys', []);
+    };
+
+    /**
+     * This method replaces the existing public-private key pair with a new one.
+     *
+     * @returns {Binary} A binary string containing the new public key.
+     */
+    this.rotateKeys = async function() {
+        return await callAgent('rotateKeys', []);
+    };
+
+    /**
+     * This method restores the previous public-private key pair after an unfinished rotation.
+     *
+     * @returns {Binary} A binary string containing the current public key.
+     */
+    this.rollbackKeys = async function() {
+        return await callAgent('rollbackKeys', []);
+    };
+
+    /**
+     * This method deletes any existing public-private key pairs.
+     *
+     * @returns {Boolean} Whether or not the keys were successfully erased.
+     */
+    this.eraseKeys = async function() {
+        return await callAgent('eraseKeys', []);
+    };
+
+    /**
+     * This method returns a cryptographically secure digital digest of the
+     * specified bytes.
+     *
+     * @param {Buffer} bytes The bytes to be digested.
+     * @returns {Binary} A binary string containing a digital digest of the bytes.
+     */
+    this.digestBytes = async function(bytes) {
+        return await callAgent('digestBytes', [bytes]);
+    };
+
+    /**
+     * This method returns a cryptographically secure digital digest of the bytes
+     * read from the specified stream. The stream is digested locally using the
+     * algorithm for the protocol supported by the agent.
+     *
+     * @param {Readable} stream A readable stream containing the bytes to be digested.
+     * @returns {Binary} A binary string containing a digital digest of the bytes.
+     */
+    this.digestStream = async function(stream) {
+        try {
+            const version = await this.getProtocol();
+            if (!PROTOCOLS[version.toString()]) {
+                throw bali.exception({
+                    $module: '/bali/notary/agent/SSM',
+                    $procedure: '$digestStream',
+                    $exception: '$unsupportedProtocol',
+                    $expected: Object.keys(PROTOCOLS),
+                    $actual: version,
+                    $text: 'The agent supports an unknown version of the notary protocol.'
+                });
+            }
+            return await keylessModule(version.toString()).digestStream(stream);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/agent/SSM',
+                $procedure: '$digestStream',
+                $exception: '$unexpected',
+                $text: 'A digest of the stream could not be generated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method has the agent generate a digital signature of the specified bytes.
+     *
+     * @param {Buffer} bytes The bytes to be digitally signed.
+     * @returns {Binary} A binary string containing the resulting digital signature.
+     */
+    this.signBytes = async function(bytes) {
+        return await callAgent('signBytes', [bytes]);
+    };
+
+    /**
+     * This method uses the specified public key to determine whether or not
+     * the specified digital signature was generated using the corresponding
+     * private key on the specified bytes.
+     *
+     * @param {Binary} aPublicKey A binary string containing the public key to be
+     * used to validate the signature.
+     * @param {Binary} signature A binary string containing the digital signature
+     * allegedly generated using the corresponding private key.
+     * @param {Buffer} bytes The digitally signed bytes.
+     * @returns {Boolean} Whether or not the digital signature is valid.
+     */
+    this.validSignature = async function(aPublicKey, signature, bytes) {
+        return await callAgent('validSignature', [aPublicKey, signature, bytes]);
+    };
+
+    /**
+     * This method has the agent encrypt the specified bytes so that only the holder of the
+     * private key corresponding to the specified public key can decrypt them.
+     *
+     * @param {Binary} aPublicKey A binary string containing the public key of the recipient.
+     * @param {Buffer} bytes The bytes to be encrypted.
+     * @returns {Binary} A binary string containing the encrypted bytes.
+     */
+    this.encryptBytes = async function(aPublicKey, bytes) {
+        return await callAgent('encryptBytes', [aPublicKey, bytes]);
+    };
+
+    /**
+     * This method has the agent decrypt the specified bytes using its private key.
+     *
+     * @param {Binary} encrypted A binary string containing the encrypted bytes.
+     * @returns {Buffer} The decrypted bytes.
+     */
+    this.decryptBytes = async function(encrypted) {
+        return await callAgent('decryptBytes', [encrypted]);
+    };
+
+    /**
+     * This method closes the connection to the agent. A new connection is opened
+     * automatically the next time the agent is needed.
+     */
+    this.disconnect = async function() {
+        if (connection) connection.end();
+        connection = undefined;
+        connecting = undefined;
+    };
+
+
+    // PRIVATE METHODS
+
+    const connect = async function() {
+        // concurrent callers share the same attempt to open the connection
+        if (!connecting) {
+            connecting = openConnection().catch(function(cause) {
+                connecting = undefined;  // the next call tries again
+                throw cause;
+            });
+        }
+        return await connecting;
+    };
+
+    const openConnection = async function() {
+        const socket = net.createConnection(path);
+        await new Promise(function(resolve, reject) {
+            socket.once('connect', resolve);
+            socket.once('error', reject);
+        });
+        socket.on('error', function(cause) {
+            if (debug > 0) console.error('agent connection failed: ' + cause);
+        });
+        socket.on('close', function() {
+            if (connection === socket) {
+                connection = undefined;
+                connecting = undefined;
+            }
+            rejectPending(Error('The connection to the agent was closed.'));
+        });
+        const lines = readline.createInterface({input: socket, crlfDelay: Infinity});
+        lines.on('line', function(line) {
+            var response;
+            try {
+                response = JSON.parse(line);
+            } catch (cause) {
+                // the responses can no longer be matched up with their requests
+                rejectPending(Error('The agent sent a malformed response: ' + cause.message));
+                socket.destroy();
+                return;
+            }
+            const request = pending[response.id];
+            if (!request) return;  // the request has already been abandoned
+            delete pending[response.id];
+            if (Object.keys(pending).length === 0) socket.unref();  // idle connections don't block an exit
+            if (response.error) {
+                request.reject(bali.exception({
+                    $module: '/bali/notary/agent/SSM',
+                    $procedure: '$' + request.method,
+                    $exception: response.error.exception,
+                    $text: response.error.text
+                }));
+            } else {
+                request.resolve(messages.decodeValue(response.result));
+            }
+        });
+        connection = socket;
+        return socket;
+    };
+
+    const rejectPending = function(cause) {
+        Object.keys(pending).forEach(function(id) {
+            pending[id].reject(cause);
+            delete pending[id];
+        });
+    };
+
+    const callAgent = async function(method, args) {
+        try {
+            const socket = await connect();
+            const id = ++next;
+            const request = {id: id, method: method, args: args.map(messages.encodeValue)};
+            return await new Promise(function(resolve, reject) {
+                pending[id] = {method: method, resolve: resolve, reject: reject};
+                socket.ref();
+                socket.write(JSON.stringify(request) + messages.EOL);
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/agent/SSM',
+                $procedure: '$' + method,
+                $exception: '$unexpected',
+                $path: path,
+                $text: 'The agent could not perform the requested operation.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    return this;
+};
+SSM.prototype.constructor = SSM;
+exports.SSM = SSM;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function returns the keyless security module for the specified version of the protocol,
+ * creating it the first time it is needed. Since it never holds any keys, its configuration is
+ * kept in memory.
+ *
+ * @param {String} protocol The version of the protocol.
+ * @returns {Object} The keyless security module.
+ */
+const keylessModule = function(protocol) {
+    if (!MODULES[protocol]) MODULES[protocol] = new PROTOCOLS[protocol](new MemoryStorage());
+    return MODULES[protocol];
+};
@@ -0,0 +1,198 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements an append-only, hash-chained audit log. It is capable of performing the
+ * following functions:
+ * <pre>
+ *   * appendEntry - append a new entry to the end of the audit log
+ *   * getEntries - retrieve the list of all entries in the audit log
+ * </pre>
+ * Each entry records a sequence number, the time, the operation, the digest of the bytes that
+ * were operated on (if any), the resulting state, and the digest of the previous entry. Any
+ * edit to an entry, or the removal of an entry, breaks the chain. The removal of entries from
+ * the end of the log can only be detected by comparing the last entry with an anchor that is
+ * kept elsewhere. The anchor records the sequence number and digest of the last entry so a new
+ * entry can be chained to it and appended without reading or rewriting the existing entries.
+ * The caller must hold a lock that serializes all appends to the audit log.
+ */
+const hasher = require('crypto');
+const bali = require('bali-component-framework').api();
+const Configurator = require('./Configurator').Configurator;
+
+
+// PRIVATE CONSTANTS
+
+// the POSIX end of line character
+const EOL = '\n';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new audit log.
+ *
+ * @param {String} name The name of the audit log.
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local storage of the audit log.
+ * @param {String} algorithm The name of the digest algorithm used to chain the entries.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new audit log.
+ */
+const AuditLog = function(name, directory, algorithm, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    const configurator = new Configurator(name, directory, debug);
+
+    /**
+     * This method appends a new entry to the end of the audit log.
+     *
+     * @param {String} operation The name of the operation that was performed.
+     * @param {Binary} digest A binary string containing the digest of the bytes that were
+     * operated on, or undefined if there were none.
+     * @param {String} state The state that resulted from the operation.
+     * @param {Catalog} anchor An optional catalog containing the anchor for the last entry in the
+     * audit log. If it is not specified the anchor is determined from the stored entries.
+     * @returns {Catalog} A catalog containing the anchor for the new entry.
+     */
+    this.appendEntry = async function(operation, digest, state, anchor) {
+        try {
+            if (!anchor) {
+                const entries = await loadEntries(configurator);
+                const size = entries.getSize();
+                if (size > 0) anchor = anchorEntry(entries.getItem(size), algorithm);
+            }
+            const entry = bali.catalog({
+                $sequence: anchor ? anchor.getAttribute('$sequence').toNumber() + 1 : 1,
+                $timestamp: bali.moment(),  // now
+                $operation: operation,
+                $digest: digest || bali.pattern.NONE,
+                $state: state,
+                $previous: anchor ? anchor.getAttribute('$digest') : bali.pattern.NONE
+            });
+            await configurator.append(entry.toString());
+            return anchorEntry(entry, algorithm);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/AuditLog',
+                $procedure: '$appendEntry',
+                $exception: '$storageException',
+                $operation: operation,
+                $text: 'The entry could not be appended to the audit log.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns the list of all entries in the audit log.
+     *
+     * @returns {List} A list containing the entries in the audit log.
+     */
+    this.getEntries = async function() {
+        try {
+            return await loadEntries(configurator);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/AuditLog',
+                $procedure: '$getEntries',
+                $exception: '$storageException',
+                $text: 'The entries in the audit log could not be retrieved.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    return this;
+};
+AuditLog.prototype.constructor = AuditLog;
+exports.AuditLog = AuditLog;
+
+
+/**
+ * This function determines whether or not the specified list of audit log entries forms an
+ * unbroken hash chain starting with the first entry. If an anchor is specified, the last
+ * entry must also match it, which detects the removal of entries from the end of the log.
+ *
+ * @param {List} entries A list containing the entries in the audit log.
+ * @param {String} algorithm The name of the digest algorithm used to chain the entries.
+ * @param {Catalog} anchor An optional catalog containing the anchor for the last entry.
+ * @returns {Boolean} Whether or not the audit log is intact.
+ */
+const verifyAuditLog = function(entries, algorithm, anchor) {
+    var previous = bali.pattern.NONE;
+    var sequence = 1;
+    const iterator = entries.getIterator();
+    while (iterator.hasNext()) {
+        const entry = iterator.getNext();
+        if (entry.getAttribute('$sequence').toNumber() !== sequence++) return false;
+        if (!entry.getAttribute('$previous').isEqualTo(previous)) return false;
+        previous = digestEntry(entry, algorithm);
+    }
+    if (anchor) {
+        if (anchor.getAttribute('$sequence').toNumber() !== sequence - 1) return false;
+        if (!anchor.getAttribute('$digest').isEqualTo(previous)) return false;
+    }
+    return true;
+};
+exports.verifyAuditLog = verifyAuditLog;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function generates a digest of the specified audit log entry.
+ *
+ * @param {Catalog} entry The audit log entry.
+ * @param {String} algorithm The name of the digest algorithm.
+ * @returns {Binary} A binary string containing the digest of the entry.
+ */
+const digestEntry = function(entry, algorithm) {
+    const hash = hasher.createHash(algorithm);
+    hash.update(Buffer.from(entry.toString(), 'utf8'));
+    return bali.binary(hash.digest());
+};
+
+
+/**
+ * This function generates the anchor for the specified audit log entry.
+ *
+ * @param {Catalog} entry The audit log entry.
+ * @param {String} algorithm The name of the digest algorithm.
+ * @returns {Catalog} A catalog containing the sequence number and digest of the entry.
+ */
+const anchorEntry = function(entry, algorithm) {
+    return bali.catalog({
+        $sequence: entry.getAttribute('$sequence'),
+        $digest: digestEntry(entry, algorithm)
+    });
+};
+
+
+/**
+ * This function loads the list of audit log entries using a configurator. The entries are
+ * stored one after another so they are wrapped in a list before being parsed.
+ *
+ * @param {Configurator} configurator A configurator bound to the storage adapter.
+ * @returns {List} A list containing the entries in the audit log.
+ */
+const loadEntries = async function(configurator) {
+    const source = await configurator.load();
+    return source ? bali.component('[' + EOL + source + EOL + ']') : bali.list();
+};
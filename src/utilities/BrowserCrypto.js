@@ -0,0 +1,38 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This module takes the place of the NodeJS crypto module within the web package. It only
+ * provides the following function:
+ * <pre>
+ *   * randomBytes - generate an array of cryptographically secure random bytes
+ * </pre>
+ * This is all that the component framework needs to generate random tags. Everything else
+ * that is cryptographic is done by the web security module using the WebCrypto API.
+ */
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function generates the specified number of cryptographically secure random bytes
+ * using the WebCrypto API.
+ *
+ * @param {Number} size The number of random bytes to be generated.
+ * @returns {Buffer} A buffer containing the random bytes.
+ */
+const randomBytes = function(size) {
+    if (!globalThis.crypto || !globalThis.crypto.getRandomValues) {
+        throw Error('WebCrypto is not supported by this environment.');
+    }
+    return Buffer.from(globalThis.crypto.getRandomValues(new Uint8Array(size)));
+};
+exports.randomBytes = randomBytes;
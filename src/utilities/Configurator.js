@@ -0,0 +1,122 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class binds a single named configuration to a storage adapter. It is capable of
+ * performing the following functions:
+ * <pre>
+ *   * load - retrieve the configuration (if it exists)
+ *   * store - save the configuration
+ *   * append - add to the end of the configuration
+ *   * delete - remove the configuration
+ *   * lock - acquire a lock on the configuration
+ * </pre>
+ * A storage adapter is any object that defines asynchronous load(name), store(name, source) and
+ * delete(name) methods. It may also define an asynchronous lock(name) method that returns an
+ * (asynchronous) function that releases the lock. If a directory (or nothing) is specified instead of a storage adapter,
+ * the configuration is stored in a file within that directory. A storage adapter may also
+ * define an asynchronous append(name, source) method, otherwise an append loads and then
+ * stores the whole configuration.
+ */
+const bali = require('bali-component-framework').api();
+const FileStorage = require('./FileStorage').FileStorage;
+
+
+// PRIVATE CONSTANTS
+
+// the POSIX end of line character
+const EOL = '\n';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new configurator for the named configuration.
+ *
+ * @param {String} name The name of the configuration.
+ * @param {String|Object} storage An optional storage adapter, or a directory to be used for
+ * local configuration storage.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new configurator.
+ */
+const Configurator = function(name, storage, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/Configurator', '$Configurator', '$name', name, [
+            '/javascript/String'
+        ]);
+        validator.validateType('/bali/notary/Configurator', '$Configurator', '$storage', storage, [
+            '/javascript/Undefined',
+            '/javascript/String',
+            '/javascript/Object'
+        ]);
+    }
+    if (storage === undefined || typeof storage === 'string') storage = new FileStorage(storage, debug);
+
+    /**
+     * This method retrieves the configuration from the storage adapter.
+     *
+     * @returns {String} The source string for the configuration, or undefined if it does not exist.
+     */
+    this.load = async function() {
+        return await storage.load(name);
+    };
+
+    /**
+     * This method saves the configuration using the storage adapter.
+     *
+     * @param {String} source The source string for the configuration.
+     */
+    this.store = async function(source) {
+        await storage.store(name, source);
+    };
+
+    /**
+     * This method adds a new line containing the specified source string to the end of the
+     * configuration using the storage adapter.
+     *
+     * @param {String} source The source string to be appended to the configuration.
+     */
+    this.append = async function(source) {
+        if (storage.append) return await storage.append(name, source);
+        const existing = await storage.load(name);
+        await storage.store(name, existing ? existing + EOL + source : source);
+    };
+
+    /**
+     * This method removes the configuration from the storage adapter.
+     */
+    this.delete = async function() {
+        await storage.delete(name);
+    };
+
+    /**
+     * This method acquires a lock on the configuration if the storage adapter supports locking.
+     *
+     * @returns {Function} An (asynchronous) function that releases the lock.
+     */
+    this.lock = async function() {
+        if (storage.lock) return await storage.lock(name);
+        return async function() {};  // nothing to release
+    };
+
+    return this;
+};
+Configurator.prototype.constructor = Configurator;
+exports.Configurator = Configurator;
@@ -0,0 +1,316 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a storage adapter that keeps named configurations as files in a
+ * local directory. It is capable of performing the following functions:
+ * <pre>
+ *   * load - retrieve the named configuration (if it exists)
+ *   * store - save the named configuration
+ *   * append - add a line to the end of the named configuration
+ *   * delete - remove the named configuration
+ *   * lock - acquire an advisory lock on the named configuration
+ * </pre>
+ * A configuration is stored atomically by writing it to a temporary file which then replaces
+ * the existing file, so a reader never sees a partially written configuration. The advisory
+ * locks are lock files that are created exclusively, so they work across processes. Each lock
+ * file contains the process identifier of its holder and a unique token. A lock file that was
+ * left behind by a process that no longer exists is taken over automatically by renaming it
+ * out of the way, and a lock is only released by the holder whose token it contains. A name
+ * may contain '/' characters in which case the configuration is kept in a subdirectory.
+ */
+const os = require('os');
+const path = require('path');
+const pfs = require('fs').promises;
+const crypto = require('crypto');
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the POSIX end of line character
+const EOL = '\n';
+
+// the timing of attempts to acquire a lock
+const RETRY = 20;  // milliseconds between attempts
+const TIMEOUT = 10000;  // milliseconds before giving up
+const STALE = 60000;  // milliseconds after which an empty lock file is considered abandoned
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new filesystem backed storage adapter.
+ *
+ * @param {String} directory An optional directory to be used for local configuration storage. If
+ * no directory is specified, a directory called '.bali/' is created in the home directory.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new storage adapter.
+ */
+const FileStorage = function(directory, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/FileStorage', '$FileStorage', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+    }
+    if (directory && !directory.endsWith('/')) directory += '/';
+    directory = directory || os.homedir() + '/.bali/';
+
+    /**
+     * This method returns a string describing the attributes of the storage adapter. It must
+     * not be an asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the storage adapter.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/FileStorage',
+            $directory: bali.text(directory)
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method retrieves the named configuration from its file.
+     *
+     * @param {String} name The name of the configuration.
+     * @returns {String} The source string for the configuration, or undefined if it does not exist.
+     */
+    this.load = async function(name) {
+        try {
+            const source = await pfs.readFile(directory + name, 'utf8');
+            return source.slice(0, -1);  // remove the trailing EOL
+        } catch (cause) {
+            if (cause.code === 'ENOENT') return undefined;
+            const exception = bali.exception({
+                $module: '/bali/notary/FileStorage',
+                $procedure: '$load',
+                $exception: '$unexpected',
+                $file: directory + name,
+                $text: 'An unexpected error occurred while attempting to load the configuration.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method atomically saves the named configuration to its file.
+     *
+     * @param {String} name The name of the configuration.
+     * @param {String} source The source string for the configuration.
+     */
+    this.store = async function(name, source) {
+        const file = directory + name;
+        const temporary = file + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
+        try {
+            await pfs.mkdir(path.dirname(file), {recursive: true, mode: 0o700});
+            const handle = await pfs.open(temporary, 'wx', 0o600);
+            try {
+                await handle.writeFile(source + EOL, 'utf8');
+                await handle.sync();  // make sure the bytes are on disk before the rename
+            } finally {
+                await handle.close();
+            }
+            await pfs.rename(temporary, file);
+        } catch (cause) {
+            try { await pfs.unlink(temporary); } catch (ignore) {}
+            const exception = bali.exception({
+                $module: '/bali/notary/FileStorage',
+                $procedure: '$store',
+                $exception: '$unexpected',
+                $file: file,
+                $text: 'An unexpected error occurred while attempting to store the configuration.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method appends a new line containing the specified source string to the end of the
+     * file for the named configuration without rewriting the rest of the file.
+     *
+     * @param {String} name The name of the configuration.
+     * @param {String} source The source string to be appended to the configuration.
+     */
+    this.append = async function(name, source) {
+        const file = directory + name;
+        try {
+            await pfs.mkdir(path.dirname(file), {recursive: true, mode: 0o700});
+            const handle = await pfs.open(file, 'a', 0o600);
+            try {
+                await handle.writeFile(source + EOL, 'utf8');
+                await handle.sync();  // make sure the bytes are on disk before returning
+            } finally {
+                await handle.close();
+            }
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/FileStorage',
+                $procedure: '$append',
+                $exception: '$unexpected',
+                $file: file,
+                $text: 'An unexpected error occurred while attempting to append to the configuration.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method deletes the file containing the named configuration.
+     *
+     * @param {String} name The name of the configuration.
+     */
+    this.delete = async function(name) {
+        try {
+            await pfs.unlink(directory + name);
+        } catch (cause) {
+            if (cause.code === 'ENOENT') return;
+            const exception = bali.exception({
+                $module: '/bali/notary/FileStorage',
+                $procedure: '$delete',
+                $exception: '$unexpected',
+                $file: directory + name,
+                $text: 'An unexpected error occurred while attempting to delete the configuration.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method acquires an advisory lock on the named configuration, waiting for any
+     * other process that holds the lock to release it.
+     *
+     * @param {String} name The name of the configuration.
+     * @returns {Function} An (asynchronous) function that releases the lock.
+     */
+    this.lock = async function(name) {
+        const file = directory + name + '.lock';
+        const token = process.pid + ' ' + crypto.randomBytes(8).toString('hex');
+        try {
+            await pfs.mkdir(path.dirname(file), {recursive: true, mode: 0o700});
+            const deadline = Date.now() + TIMEOUT;
+            while (true) {
+                try {
+                    await pfs.writeFile(file, token + EOL, {flag: 'wx', mode: 0o600});
+                    break;  // the lock was acquired
+                } catch (cause) {
+                    if (cause.code !== 'EEXIST') throw cause;
+                }
+                const abandoned = await abandonedLock(file);
+                if (abandoned !== undefined) {
+                    await takeoverLock(file, abandoned);
+                    continue;
+                }
+                if (Date.now() > deadline) {
+                    throw bali.exception({
+                        $module: '/bali/notary/FileStorage',
+                        $procedure: '$lock',
+                        $exception: '$lockTimeout',
+                        $file: file,
+                        $text: 'The lock on the configuration could not be acquired in time.'
+                    });
+                }
+                await new Promise(function(resolve) {
+                    setTimeout(resolve, RETRY);
+                });
+            }
+            return async function() {
+                // only remove the lock file if it is still the one that was created above
+                try {
+                    const holder = await pfs.readFile(file, 'utf8');
+                    if (holder.trim() === token) await pfs.unlink(file);
+                } catch (ignore) {}
+            };
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/FileStorage',
+                $procedure: '$lock',
+                $exception: '$unexpected',
+                $file: file,
+                $text: 'An unexpected error occurred while attempting to lock the configuration.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    return this;
+};
+FileStorage.prototype.constructor = FileStorage;
+exports.FileStorage = FileStorage;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function determines whether or not the specified lock file was abandoned because the
+ * process that created it no longer exists. A lock file that is still empty is only considered
+ * abandoned once it is too old, since its holder may not have written its token yet.
+ *
+ * @param {String} file The path of the lock file.
+ * @returns {String} The contents of the abandoned lock file, or undefined if it is still held.
+ */
+const abandonedLock = async function(file) {
+    try {
+        const contents = await pfs.readFile(file, 'utf8');
+        const pid = Number(contents.trim().split(' ')[0]);
+        if (!pid) {
+            const stats = await pfs.stat(file);
+            return Date.now() - stats.mtimeMs > STALE ? contents : undefined;
+        }
+        if (pid === process.pid) return undefined;  // a lock held within this process is never abandoned
+        try {
+            process.kill(pid, 0);  // throws if the process does not exist
+        } catch (cause) {
+            if (cause.code === 'ESRCH') return contents;
+        }
+        return undefined;
+    } catch (cause) {
+        return undefined;  // the lock file was released in the meantime
+    }
+};
+
+
+/**
+ * This function takes over the specified abandoned lock file by atomically renaming it out of
+ * the way. If another process replaced the lock file in the meantime the renamed file is not
+ * the abandoned one, so it is put back unless the lock has been acquired again since.
+ *
+ * @param {String} file The path of the lock file.
+ * @param {String} abandoned The contents of the abandoned lock file.
+ */
+const takeoverLock = async function(file, abandoned) {
+    const renamed = file + '.' + crypto.randomBytes(6).toString('hex') + '.stale';
+    try {
+        await pfs.rename(file, renamed);
+    } catch (cause) {
+        return;  // another process already took over (or released) the lock
+    }
+    try {
+        const contents = await pfs.readFile(renamed, 'utf8');
+        if (contents !== abandoned) await pfs.link(renamed, file);  // fails if the lock was acquired again
+    } catch (ignore) {}
+    try { await pfs.unlink(renamed); } catch (ignore) {}
+};
@@ -0,0 +1,181 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a storage adapter that keeps named configurations in the IndexedDB
+ * database of a web browser. It is capable of performing the following functions:
+ * <pre>
+ *   * load - retrieve the named configuration (if it exists)
+ *   * store - save the named configuration
+ *   * delete - remove the named configuration
+ * </pre>
+ * Any value that can be structurally cloned may be stored, including non-extractable WebCrypto
+ * keys.
+ */
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the names of the database and its object store
+const DATABASE = 'bali-notary';
+const STORE = 'configurations';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new IndexedDB backed storage adapter.
+ *
+ * @param {String} database An optional name for the database, the default is 'bali-notary'.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new storage adapter.
+ */
+const IndexedStorage = function(database, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/IndexedStorage', '$IndexedStorage', '$database', database, [
+            '/javascript/Undefined',
+            '/javascript/String'
+        ]);
+    }
+    database = database || DATABASE;
+    var connection;  // opened on first use
+
+    /**
+     * This method returns a string describing the attributes of the storage adapter. It must
+     * not be an asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the storage adapter.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/IndexedStorage',
+            $database: bali.text(database)
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method retrieves the named configuration from the database.
+     *
+     * @param {String} name The name of the configuration.
+     * @returns {Object} The configuration, or undefined if it does not exist.
+     */
+    this.load = async function(name) {
+        try {
+            const store = await openStore('readonly');
+            return await complete(store.get(name));
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/IndexedStorage',
+                $procedure: '$load',
+                $exception: '$unexpected',
+                $name: name,
+                $text: 'An unexpected error occurred while attempting to load the configuration.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method saves the named configuration in the database.
+     *
+     * @param {String} name The name of the configuration.
+     * @param {Object} source The configuration (any structurally clonable value).
+     */
+    this.store = async function(name, source) {
+        try {
+            const store = await openStore('readwrite');
+            await complete(store.put(source, name));
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/IndexedStorage',
+                $procedure: '$store',
+                $exception: '$unexpected',
+                $name: name,
+                $text: 'An unexpected error occurred while attempting to store the configuration.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method removes the named configuration from the database.
+     *
+     * @param {String} name The name of the configuration.
+     */
+    this.delete = async function(name) {
+        try {
+            const store = await openStore('readwrite');
+            await complete(store.delete(name));
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/IndexedStorage',
+                $procedure: '$delete',
+                $exception: '$unexpected',
+                $name: name,
+                $text: 'An unexpected error occurred while attempting to delete the configuration.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+
+    // PRIVATE METHODS
+
+    const openStore = async function(mode) {
+        if (!connection) {
+            if (!globalThis.indexedDB) throw Error('IndexedDB is not supported by this environment.');
+            const request = globalThis.indexedDB.open(database, 1);
+            request.onupgradeneeded = function() {
+                request.result.createObjectStore(STORE);
+            };
+            connection = await complete(request);
+        }
+        return connection.transaction(STORE, mode).objectStore(STORE);
+    };
+
+    return this;
+};
+IndexedStorage.prototype.constructor = IndexedStorage;
+exports.IndexedStorage = IndexedStorage;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function converts an IndexedDB request into a promise for its result.
+ *
+ * @param {IDBRequest} request The IndexedDB request.
+ * @returns {Object} The result of the request.
+ */
+const complete = function(request) {
+    return new Promise(function(resolve, reject) {
+        request.onsuccess = function() {
+            resolve(request.result);
+        };
+        request.onerror = function() {
+            reject(request.error);
+        };
+    });
+};
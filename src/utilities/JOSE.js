@@ -0,0 +1,228 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This module maps notarized contracts and certificates to and from the JSON based formats
+ * used by services that are not Bali aware. It is capable of performing the following functions:
+ * <pre>
+ *   * encodeEnvelope - map a notarized contract to a JSON envelope
+ *   * decodeEnvelope - map a JSON envelope back to the notarized contract
+ *   * encodeKey - map a notarized certificate to a JSON web key (JWK)
+ *   * decodeKey - extract the public key from a JSON web key
+ *   * encodeJWS - assemble and sign a compact JSON web signature (JWS)
+ *   * decodeJWS - disassemble a compact JSON web signature
+ *   * matchingHeader - check whether or not a JWS header identifies a certificate
+ * </pre>
+ * The digital signature on a contract covers the Bali Document Notation™ source for the
+ * unsigned contract, so a JSON envelope carries that source (base64url encoded) as its payload
+ * along with the signature. The other attributes of an envelope are informational only. The
+ * notary algorithms map directly onto the JOSE algorithms: ED25519 signatures are EdDSA
+ * signatures and P384 signatures (in IEEE P1363 format) are ES384 signatures.
+ */
+const crypto = require('crypto');
+const bali = require('bali-component-framework').api();
+
+
+// PRIVATE CONSTANTS
+
+// the JOSE equivalents of the notary signature algorithms
+const ALGORITHMS = {
+    ED25519: {alg: 'EdDSA', kty: 'OKP', crv: 'Ed25519'},
+    P384: {alg: 'ES384', kty: 'EC', crv: 'P-384'}
+};
+
+// the attributes of a contract that are covered by its signature
+const SIGNED = ['$protocol', '$timestamp', '$account', '$document', '$certificate'];
+
+// the media type of a notarized contract inside a JSON envelope or JSON web signature
+const TYPE = 'application/bali+contract';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function maps the specified notarized contract to a JSON envelope.
+ *
+ * @param {Catalog} contract The notarized contract.
+ * @returns {Object} The JSON envelope.
+ */
+const encodeEnvelope = function(contract) {
+    const unsigned = bali.catalog.extraction(contract, SIGNED);
+    const certificate = contract.getAttribute('$certificate');
+    return {
+        typ: TYPE,
+        protocol: contract.getAttribute('$protocol').toString(),
+        timestamp: contract.getAttribute('$timestamp').toString(),
+        account: contract.getAttribute('$account').toString(),
+        certificate: certificate.isEqualTo(bali.pattern.NONE) ? null : certificate.toString(),
+        document: contract.getAttribute('$document').toString(),
+        payload: Buffer.from(unsigned.toString(), 'utf8').toString('base64url'),
+        signature: contract.getAttribute('$signature').getValue().toString('base64url')
+    };
+};
+exports.encodeEnvelope = encodeEnvelope;
+
+
+/**
+ * This function maps the specified JSON envelope back to the notarized contract that it
+ * contains.
+ *
+ * @param {Object} envelope The JSON envelope.
+ * @returns {Catalog} The notarized contract.
+ */
+const decodeEnvelope = function(envelope) {
+    if (!envelope || envelope.typ !== TYPE || typeof envelope.payload !== 'string' ||
+            typeof envelope.signature !== 'string') {
+        throw Error('The JSON does not contain a notarized contract.');
+    }
+    const contract = bali.component(Buffer.from(envelope.payload, 'base64url').toString('utf8'));
+    contract.setAttribute('$signature', bali.binary(Buffer.from(envelope.signature, 'base64url')));
+    return contract;
+};
+exports.decodeEnvelope = decodeEnvelope;
+
+
+/**
+ * This function maps the specified notarized certificate to a JSON web key. The notarized
+ * certificate itself is included in the key (as a JSON envelope) so that it can be recovered.
+ *
+ * @param {Catalog} certificate The notarized certificate.
+ * @returns {Object} The JSON web key.
+ */
+const encodeKey = function(certificate) {
+    const document = certificate.getAttribute('$document');
+    const publicKey = document.getAttribute('$publicKey').getValue();
+    const algorithms = joseAlgorithms(document);
+    var jwk;
+    if (algorithms.kty === 'OKP') {
+        jwk = {kty: algorithms.kty, crv: algorithms.crv, x: publicKey.toString('base64url')};
+    } else {
+        const key = crypto.createPublicKey({key: publicKey, format: 'der', type: 'spki'});
+        jwk = key.export({format: 'jwk'});
+    }
+    jwk.alg = algorithms.alg;
+    jwk.use = 'sig';
+    jwk.kid = keyIdentifier(document);
+    jwk.bali = encodeEnvelope(certificate);
+    return jwk;
+};
+exports.encodeKey = encodeKey;
+
+
+/**
+ * This function extracts the public key from the specified JSON web key in the format used
+ * by notary certificates.
+ *
+ * @param {Object} jwk The JSON web key.
+ * @returns {Binary} A binary string containing the public key.
+ */
+const decodeKey = function(jwk) {
+    if (jwk && jwk.kty === 'OKP' && jwk.crv === 'Ed25519' && typeof jwk.x === 'string') {
+        return bali.binary(Buffer.from(jwk.x, 'base64url'));
+    }
+    if (jwk && jwk.kty === 'EC' && jwk.crv === 'P-384') {
+        const key = crypto.createPublicKey({key: {kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y}, format: 'jwk'});
+        return bali.binary(key.export({format: 'der', type: 'spki'}));
+    }
+    throw Error('The JSON web key does not contain a supported public key.');
+};
+exports.decodeKey = decodeKey;
+
+
+/**
+ * This function assembles a compact JSON web signature containing the specified notarized
+ * contract, using the specified function to sign the signing input.
+ *
+ * @param {Catalog} contract The notarized contract.
+ * @param {Catalog} certificate The certificate (not the notarized certificate) for the key
+ * that signs the JSON web signature.
+ * @param {Function} sign An (asynchronous) function that returns the signature (as a buffer)
+ * of the signing input.
+ * @returns {String} The compact JSON web signature.
+ */
+const encodeJWS = async function(contract, certificate, sign) {
+    const header = {
+        alg: joseAlgorithms(certificate).alg,
+        typ: 'JOSE',
+        cty: TYPE,
+        kid: keyIdentifier(certificate)
+    };
+    const payload = Buffer.from(contract.toString(), 'utf8');
+    const input = Buffer.from(JSON.stringify(header), 'utf8').toString('base64url') + '.' + payload.toString('base64url');
+    const signature = await sign(Buffer.from(input, 'ascii'));
+    return input + '.' + signature.toString('base64url');
+};
+exports.encodeJWS = encodeJWS;
+
+
+/**
+ * This function disassembles a compact JSON web signature into its parts.
+ *
+ * @param {String} jws The compact JSON web signature.
+ * @returns {Object} An object containing the header, notarized contract, signing input and
+ * signature.
+ */
+const decodeJWS = function(jws) {
+    const parts = typeof jws === 'string' ? jws.split('.') : [];
+    if (parts.length !== 3) throw Error('The string is not a compact JSON web signature.');
+    const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    if (header.cty !== TYPE) throw Error('The JSON web signature does not contain a notarized contract.');
+    return {
+        header: header,
+        contract: bali.component(Buffer.from(parts[1], 'base64url').toString('utf8')),
+        input: Buffer.from(parts[0] + '.' + parts[1], 'ascii'),
+        signature: bali.binary(Buffer.from(parts[2], 'base64url'))
+    };
+};
+exports.decodeJWS = decodeJWS;
+
+
+/**
+ * This function determines whether or not the specified JSON web signature header identifies
+ * the key and signature algorithm of the specified certificate.
+ *
+ * @param {Object} header The header of the JSON web signature.
+ * @param {Catalog} certificate The certificate (not the notarized certificate).
+ * @returns {Boolean} Whether or not the header matches the certificate.
+ */
+const matchingHeader = function(header, certificate) {
+    const algorithms = ALGORITHMS[certificate.getAttribute('$algorithms').getAttribute('$signature').getValue()];
+    return !!algorithms && header.alg === algorithms.alg && header.kid === keyIdentifier(certificate);
+};
+exports.matchingHeader = matchingHeader;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function returns the JOSE algorithms that correspond to the signature algorithm of the
+ * specified certificate.
+ *
+ * @param {Catalog} certificate The certificate (not the notarized certificate).
+ * @returns {Object} An object containing the JOSE algorithm, key type and curve.
+ */
+const joseAlgorithms = function(certificate) {
+    const signature = certificate.getAttribute('$algorithms').getAttribute('$signature').getValue();
+    const algorithms = ALGORITHMS[signature];
+    if (!algorithms) throw Error('The certificate uses an unsupported signature algorithm: ' + signature);
+    return algorithms;
+};
+
+
+/**
+ * This function returns the JOSE key identifier for the specified certificate.
+ *
+ * @param {Catalog} certificate The certificate (not the notarized certificate).
+ * @returns {String} The key identifier.
+ */
+const keyIdentifier = function(certificate) {
+    return certificate.getParameter('$tag').getValue() + '/' + certificate.getParameter('$version').toString();
+};
@@ -0,0 +1,163 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a storage adapter that keeps named configurations in memory. It is
+ * capable of performing the following functions:
+ * <pre>
+ *   * load - retrieve the named configuration (if it exists)
+ *   * store - save the named configuration
+ *   * append - add a line to the end of the named configuration
+ *   * delete - remove the named configuration
+ *   * lock - acquire a lock on the named configuration
+ * </pre>
+ * Nothing is persisted so the configurations are lost when the process exits. Since the
+ * configurations are kept as is, it may also be used in place of an IndexedDB storage adapter
+ * when testing the web security module.
+ */
+const bali = require('bali-component-framework').api();
+const Mutex = require('./Mutex').Mutex;
+
+
+// PRIVATE CONSTANTS
+
+// the POSIX end of line character
+const EOL = '\n';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new in-memory storage adapter.
+ *
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new storage adapter.
+ */
+const MemoryStorage = function(debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+
+    // the named configurations and their locks
+    const configurations = {};
+    const locks = {};
+
+    /**
+     * This method returns a string describing the attributes of the storage adapter. It must
+     * not be an asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the storage adapter.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/MemoryStorage',
+            $names: Object.keys(configurations)
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method retrieves the named configuration from memory.
+     *
+     * @param {String} name The name of the configuration.
+     * @returns {String|Object} The source string (or object) for the configuration, or undefined
+     * if it does not exist.
+     */
+    this.load = async function(name) {
+        if (debug > 1) {
+            const validator = bali.validator(debug);
+            validator.validateType('/bali/notary/MemoryStorage', '$load', '$name', name, [
+                '/javascript/String'
+            ]);
+        }
+        return configurations[name];
+    };
+
+    /**
+     * This method saves the named configuration in memory.
+     *
+     * @param {String} name The name of the configuration.
+     * @param {String|Object} source The source string (or object) for the configuration.
+     */
+    this.store = async function(name, source) {
+        if (debug > 1) {
+            const validator = bali.validator(debug);
+            validator.validateType('/bali/notary/MemoryStorage', '$store', '$name', name, [
+                '/javascript/String'
+            ]);
+            validator.validateType('/bali/notary/MemoryStorage', '$store', '$source', source, [
+                '/javascript/String',
+                '/javascript/Object'
+            ]);
+        }
+        configurations[name] = source;
+    };
+
+    /**
+     * This method appends a new line containing the specified source string to the end of the
+     * named configuration in memory.
+     *
+     * @param {String} name The name of the configuration.
+     * @param {String} source The source string to be appended to the configuration.
+     */
+    this.append = async function(name, source) {
+        if (debug > 1) {
+            const validator = bali.validator(debug);
+            validator.validateType('/bali/notary/MemoryStorage', '$append', '$name', name, [
+                '/javascript/String'
+            ]);
+            validator.validateType('/bali/notary/MemoryStorage', '$append', '$source', source, [
+                '/javascript/String'
+            ]);
+        }
+        const existing = configurations[name];
+        configurations[name] = existing ? existing + EOL + source : source;
+    };
+
+    /**
+     * This method removes the named configuration from memory.
+     *
+     * @param {String} name The name of the configuration.
+     */
+    this.delete = async function(name) {
+        if (debug > 1) {
+            const validator = bali.validator(debug);
+            validator.validateType('/bali/notary/MemoryStorage', '$delete', '$name', name, [
+                '/javascript/String'
+            ]);
+        }
+        delete configurations[name];
+    };
+
+    /**
+     * This method acquires a lock on the named configuration, waiting for any other holder
+     * of the lock to release it.
+     *
+     * @param {String} name The name of the configuration.
+     * @returns {Function} An (asynchronous) function that releases the lock.
+     */
+    this.lock = async function(name) {
+        if (!locks[name]) locks[name] = new Mutex();
+        const release = await locks[name].acquire();
+        return async function() {
+            release();
+        };
+    };
+
+    return this;
+};
+MemoryStorage.prototype.constructor = MemoryStorage;
+exports.MemoryStorage = MemoryStorage;
@@ -0,0 +1,78 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements an asynchronous mutual exclusion lock that serializes critical
+ * sections within a single process. It is capable of performing the following functions:
+ * <pre>
+ *   * acquire - wait until the lock is available and then acquire it
+ *   * lockConfiguration - acquire the lock and then the lock on a configuration
+ * </pre>
+ * Waiters acquire the lock in the order in which they requested it.
+ */
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new mutex.
+ *
+ * @returns {Object} The new mutex.
+ */
+const Mutex = function() {
+    var last = Promise.resolve();  // settles when the current holder releases the lock
+
+    /**
+     * This method waits until the lock is available and then acquires it. The returned
+     * function must be called exactly once to release the lock.
+     *
+     * @returns {Function} A function that releases the lock.
+     */
+    this.acquire = async function() {
+        var release;
+        const released = new Promise(function(resolve) {
+            release = resolve;
+        });
+        const previous = last;
+        last = previous.then(function() {
+            return released;
+        });
+        await previous;
+        return release;
+    };
+
+    /**
+     * This method acquires the lock and then the lock on the configuration that the specified
+     * configurator is bound to. This serializes the operations on the configuration both within
+     * this process and across the processes that share the same configuration storage. The
+     * returned function must be called exactly once to release both locks.
+     *
+     * @param {Configurator} configurator A configurator bound to the storage adapter.
+     * @returns {Function} An (asynchronous) function that releases both locks.
+     */
+    this.lockConfiguration = async function(configurator) {
+        const release = await this.acquire();
+        try {
+            const unlock = await configurator.lock();
+            return async function() {
+                await unlock();
+                release();
+            };
+        } catch (cause) {
+            release();
+            throw cause;
+        }
+    };
+
+    return this;
+};
+Mutex.prototype.constructor = Mutex;
+exports.Mutex = Mutex;
@@ -0,0 +1,143 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/**
+ * This class implements a storage adapter that keeps its named configurations within another
+ * storage adapter by prefixing each name. It is capable of performing the following functions:
+ * <pre>
+ *   * load - retrieve the named configuration (if it exists)
+ *   * store - save the named configuration
+ *   * append - add a line to the end of the named configuration
+ *   * delete - remove the named configuration
+ *   * lock - acquire a lock on the named configuration
+ * </pre>
+ * This allows several components that use the same configuration names (e.g. one security
+ * module per account) to share a single storage adapter without interfering with each other.
+ * A prefix ending with '/' places the configurations in a subdirectory of a file storage adapter.
+ */
+const bali = require('bali-component-framework').api();
+const FileStorage = require('./FileStorage').FileStorage;
+
+
+// PRIVATE CONSTANTS
+
+// the POSIX end of line character
+const EOL = '\n';
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new prefixed storage adapter.
+ *
+ * @param {String|Object} storage An optional storage adapter, or a directory to be used for
+ * local configuration storage, in which the prefixed configurations are kept.
+ * @param {String} prefix The prefix that is added to the name of each configuration.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new storage adapter.
+ */
+const PrefixedStorage = function(storage, prefix, debug) {
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/PrefixedStorage', '$PrefixedStorage', '$storage', storage, [
+            '/javascript/Undefined',
+            '/javascript/String',
+            '/javascript/Object'
+        ]);
+        validator.validateType('/bali/notary/PrefixedStorage', '$PrefixedStorage', '$prefix', prefix, [
+            '/javascript/String'
+        ]);
+    }
+    if (storage === undefined || typeof storage === 'string') storage = new FileStorage(storage, debug);
+
+    /**
+     * This method returns a string describing the attributes of the storage adapter. It must
+     * not be an asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the storage adapter.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/PrefixedStorage',
+            $prefix: bali.text(prefix),
+            $storage: storage.toString()
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method retrieves the named configuration from the underlying storage adapter.
+     *
+     * @param {String} name The name of the configuration.
+     * @returns {String|Object} The source string (or object) for the configuration, or undefined
+     * if it does not exist.
+     */
+    this.load = async function(name) {
+        return await storage.load(prefix + name);
+    };
+
+    /**
+     * This method saves the named configuration using the underlying storage adapter.
+     *
+     * @param {String} name The name of the configuration.
+     * @param {String|Object} source The source string (or object) for the configuration.
+     */
+    this.store = async function(name, source) {
+        await storage.store(prefix + name, source);
+    };
+
+    /**
+     * This method appends a new line to the end of the named configuration using the underlying
+     * storage adapter. If the underlying storage adapter does not support appending, the whole
+     * configuration is loaded and then stored.
+     *
+     * @param {String} name The name of the configuration.
+     * @param {String} source The source string to be appended to the configuration.
+     */
+    this.append = async function(name, source) {
+        if (storage.append) return await storage.append(prefix + name, source);
+        const existing = await storage.load(prefix + name);
+        await storage.store(prefix + name, existing ? existing + EOL + source : source);
+    };
+
+    /**
+     * This method removes the named configuration from the underlying storage adapter.
+     *
+     * @param {String} name The name of the configuration.
+     */
+    this.delete = async function(name) {
+        await storage.delete(prefix + name);
+    };
+
+    /**
+     * This method acquires a lock on the named configuration using the underlying storage
+     * adapter. If the underlying storage adapter does not support locks, nothing is locked.
+     *
+     * @param {String} name The name of the configuration.
+     * @returns {Function} An (asynchronous) function that releases the lock.
+     */
+    this.lock = async function(name) {
+        if (storage.lock) return await storage.lock(prefix + name);
+        return async function() {};
+    };
+
+    return this;
+};
+PrefixedStorage.prototype.constructor = PrefixedStorage;
+exports.PrefixedStorage = PrefixedStorage;
@@ -0,0 +1,127 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This module implements Shamir's secret sharing over the finite field GF(256). It is capable
+ * of performing the following functions:
+ * <pre>
+ *   * splitSecret - split a secret into n shares, any m of which can recover the secret
+ *   * combineShares - recover a secret from at least m of its shares
+ * </pre>
+ * Each byte of the secret is shared independently using a random polynomial of degree m - 1.
+ * Each share consists of its (non-zero) x coordinate byte followed by one y coordinate byte
+ * for each byte of the secret. Fewer than m shares reveal nothing about the secret, and they
+ * recover a different (random) secret rather than failing.
+ */
+const crypto = require('crypto');
+
+
+// PRIVATE CONSTANTS
+
+// the logarithm and exponent tables for GF(256) using the AES polynomial and generator 3
+const EXP = Buffer.alloc(510);
+const LOG = Buffer.alloc(256);
+(function() {
+    var value = 1;
+    for (var i = 0; i < 255; i++) {
+        EXP[i] = value;
+        EXP[i + 255] = value;
+        LOG[value] = i;
+        value ^= (value << 1) ^ ((value & 0x80) ? 0x11b : 0);  // multiply by 3 modulo the polynomial
+    }
+})();
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function splits the specified secret into the specified number of shares such that
+ * any threshold number of them can be used to recover the secret.
+ *
+ * @param {Buffer} secret The secret to be split.
+ * @param {Number} count The number of shares to be generated [1..255].
+ * @param {Number} threshold The number of shares required to recover the secret [1..count].
+ * @returns {Array} An array containing the shares as buffers.
+ */
+const splitSecret = function(secret, count, threshold) {
+    if (!Number.isInteger(count) || !Number.isInteger(threshold) ||
+            threshold < 1 || threshold > count || count > 255) {
+        throw Error('The share count and threshold must satisfy 1 <= threshold <= count <= 255.');
+    }
+    const shares = [];
+    for (var x = 1; x <= count; x++) {
+        const share = Buffer.alloc(secret.length + 1);
+        share[0] = x;
+        shares.push(share);
+    }
+    for (var index = 0; index < secret.length; index++) {
+        // the constant term of the polynomial is the secret byte
+        const coefficients = Buffer.concat([secret.subarray(index, index + 1), crypto.randomBytes(threshold - 1)]);
+        shares.forEach(function(share) {
+            share[index + 1] = evaluate(coefficients, share[0]);
+        });
+    }
+    return shares;
+};
+exports.splitSecret = splitSecret;
+
+
+/**
+ * This function recovers a secret from the specified shares using Lagrange interpolation.
+ *
+ * @param {Array} shares An array containing at least threshold distinct shares as buffers.
+ * @returns {Buffer} The recovered secret.
+ */
+const combineShares = function(shares) {
+    if (shares.length < 1) throw Error('At least one share is required to recover the secret.');
+    const xs = shares.map(function(share) { return share[0]; });
+    if (xs.includes(0) || new Set(xs).size !== xs.length) throw Error('The shares must be distinct.');
+    const length = shares[0].length - 1;
+    const secret = Buffer.alloc(length);
+    for (var index = 0; index < length; index++) {
+        var value = 0;
+        for (var i = 0; i < shares.length; i++) {
+            // compute the Lagrange basis polynomial for share i evaluated at x = 0
+            var basis = 1;
+            for (var j = 0; j < shares.length; j++) {
+                if (i !== j) basis = multiply(basis, divide(xs[j], xs[i] ^ xs[j]));
+            }
+            value ^= multiply(shares[i][index + 1], basis);
+        }
+        secret[index] = value;
+    }
+    return secret;
+};
+exports.combineShares = combineShares;
+
+
+// PRIVATE FUNCTIONS
+
+const multiply = function(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return EXP[LOG[a] + LOG[b]];
+};
+
+
+const divide = function(a, b) {
+    if (a === 0) return 0;
+    return EXP[LOG[a] + 255 - LOG[b]];
+};
+
+
+const evaluate = function(coefficients, x) {
+    // use Horner's method starting with the highest order coefficient
+    var result = 0;
+    for (var i = coefficients.length - 1; i >= 0; i--) {
+        result = multiply(result, x) ^ coefficients[i];
+    }
+    return result;
+};
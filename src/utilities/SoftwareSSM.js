@@ -0,0 +1,1318 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////////////
+// This module should only be used for LOCAL TESTING, or on a PHYSICALLY SECURE      //
+// device.  It CANNOT guarantee the protection of the private keys from people and   //
+// other processes that have access to the RAM and storage devices for that device.  //
+//                             YOU HAVE BEEN WARNED!!!                               //
+///////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * This class implements the parts of a software security module that are common to every version
+ * of the notary protocol. Each version supplies its own algorithms (see the SSM module for that
+ * version) and the resulting security module is capable of performing the following functions:
+ * <pre>
+ *   * generateKeys - generate a new public-private key pair and return the public key
+ *   * digestBytes - generate a cryptographic digest of an array of bytes
+ *   * digestStream - generate a cryptographic digest of the bytes read from a stream
+ *   * signBytes - digitally sign an array of bytes using the private key
+ *   * validSignature - check whether or not the digital signature of an array of bytes is valid
+ *   * encryptBytes - encrypt an array of bytes for the holder of a public key
+ *   * decryptBytes - decrypt an array of bytes using the private key
+ *   * rotateKeys - replace the existing public-private key pair with new pair
+ *   * rollbackKeys - restore the previous public-private key pair after an unfinished rotation
+ *   * eraseKeys - erases any trace of the public-private key pair
+ *   * changePassphrase - change the passphrase used to encrypt the keys at rest
+ *   * exportBackup - export an encrypted backup of the keys, optionally split into shares
+ *   * importBackup - restore the keys from an encrypted backup and its shares
+ *   * getAuditLog - retrieve the hash-chained audit log of the key operations
+ *   * verifyAuditLog - check whether or not the audit log has been edited or truncated
+ * </pre>
+ * If a passphrase (or passphrase provider) is specified, the configuration containing the keys
+ * is encrypted at rest using a key derived from the passphrase. Every key operation is recorded
+ * in an append-only audit log whose latest entry is anchored in the configuration. When the keys
+ * are erased the anchor is kept in a separate configuration so the audit log remains anchored. The key
+ * operations are serialized, both within a process and across processes that share the same
+ * configuration storage, and each one reloads the configuration before changing it.
+ */
+const hasher = require('crypto');
+const bali = require('bali-component-framework').api();
+const Shamir = require('./Shamir');
+const Configurator = require('./Configurator').Configurator;
+const AuditLog = require('./AuditLog');
+const Mutex = require('./Mutex').Mutex;
+
+
+// PRIVATE CONSTANTS
+
+// the POSIX end of line character
+const EOL = '\n';
+
+// the algorithms used to encrypt the configuration at rest
+const CIPHER = 'aes-256-gcm';
+const DERIVATION = {
+    cost: 32768,  // N: the memory and CPU cost
+    blockSize: 8,  // r: the block size
+    parallelization: 1,  // p: the parallelization
+    maxmem: 64 * 1024 * 1024  // 128 * N * r bytes plus some overhead
+};
+
+// define the finite state machine
+const REQUESTS = [  //     possible request types
+              '$generateKeys', '$signBytes', '$rotateKeys', '$exportBackup', '$importBackup', '$rollbackKeys', '$decryptBytes'
+];
+const STATES = {
+//   current                allowed next states
+    $keyless: [ '$loneKey',      undefined,    undefined,     undefined,     '$loneKey',      undefined,      undefined   ],
+    $loneKey: [  undefined,     '$loneKey',   '$twoKeys',    '$loneKey',     undefined,      '$loneKey',     '$loneKey'   ],
+    $twoKeys: [  undefined,     '$loneKey',    undefined,    '$twoKeys',     undefined,      '$loneKey',      undefined   ]
+};
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new instance of a software security module (SSM) that uses the
+ * specified algorithms.
+ *
+ * @param {Object} algorithms An object that defines the algorithms for a version of the protocol:
+ * <pre>
+ *   protocol - the version of the protocol (e.g. 'v2')
+ *   digest - the name of the digest algorithm
+ *   signature - the name of the signature algorithm
+ *   ephemeralLength - the length of the ephemeral public key that begins encrypted bytes
+ *   generateKeys() - generate a new key pair and return its public and private keys as buffers
+ *   signBytes(bytes, publicKey, privateKey) - return the signature of the bytes as a buffer
+ *   validSignature(publicKey, signature, bytes) - check the signature of the bytes
+ *   generateAgreementKeys() - generate an ephemeral key pair and return its public key as a
+ *       buffer and its private key as a key object
+ *   agreementPublicKey(publicKey, ephemeral) - map a public key onto a key agreement key object
+ *   agreementPrivateKey(privateKey) - map a private key onto a key agreement key object
+ * </pre>
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage. If neither is specified, a directory called '.bali/' is created
+ * in the home directory.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @param {String|Function} passphrase An optional passphrase, or an (asynchronous) function that
+ * returns the passphrase, that is used to encrypt the configuration at rest. A passphrase function
+ * is only called when the configuration is first unlocked.
+ * @returns {Object} The new software security module.
+ */
+const SoftwareSSM = function(algorithms, directory, debug, passphrase) {
+    // the algorithms for this version of the protocol
+    const PROTOCOL = algorithms.protocol;
+    const DIGEST = algorithms.digest;
+    const SIGNATURE = algorithms.signature;
+
+    // validate the arguments
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$SSM', '$directory', directory, [
+            '/javascript/Undefined',
+            '/javascript/String',
+            '/javascript/Object'
+        ]);
+        validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$SSM', '$passphrase', passphrase, [
+            '/javascript/Undefined',
+            '/javascript/String',
+            '/javascript/Function'
+        ]);
+    }
+
+    // setup the configuration
+    const filename = 'SSM' + PROTOCOL + '.bali';
+    const configurator = new Configurator(filename, directory, debug);
+    const auditLog = new AuditLog.AuditLog('SSM' + PROTOCOL + '-audit.bali', directory, DIGEST, debug);
+    const anchorConfigurator = new Configurator('SSM' + PROTOCOL + '-anchor.bali', directory, debug);  // survives erasure
+    var configuration, controller;
+    const mutex = new Mutex();  // serializes the operations on the configuration within this process
+
+    // setup the encryption of the configuration at rest
+    var keystore = {
+        passphrase: passphrase,  // the passphrase or passphrase provider (if any)
+        salt: undefined,  // the salt used to derive the current encryption key
+        key: undefined  // the encryption key once the configuration is unlocked
+    };
+
+    /**
+     * This method returns a string describing the attributes of the SSM. It must not be an
+     * asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the SSM.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/' + PROTOCOL + '/SSM',
+            $protocol: PROTOCOL,
+            $digest: DIGEST,
+            $signature: SIGNATURE
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method returns the unique tag for the security module.
+     *
+     * @returns {Tag} The unique tag for the security module.
+     */
+    this.getTag = async function() {
+        var unlock;
+        try {
+            // load the current configuration
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+
+            return configuration.getAttribute('$tag');
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$getTag',
+                $exception: '$unexpected',
+                $text: 'The tag for the security module could not be retrieved.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+
+    /**
+     * This method returns the version of the security protocol supported by this
+     * security module.
+     *
+     * @returns {Version} The version string of the security protocol supported by this security
+     * module.
+     */
+    this.getProtocol = async function() {
+        try {
+            return bali.component(PROTOCOL);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$getProtocol',
+                $exception: '$unexpected',
+                $text: 'The protocol supported by the security module could not be retrieved.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method generates a new public-private key pair.
+     *
+     * @returns {Binary} A binary string containing the new public key.
+     */
+    this.generateKeys = async function() {
+        var unlock;
+        try {
+            // check the current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$generateKeys');
+
+            // generate a new key pair
+            const raw = algorithms.generateKeys();
+            configuration.setAttribute('$publicKey', bali.binary(raw.publicKey));
+            configuration.setAttribute('$privateKey', bali.binary(raw.privateKey));
+
+            // update the configuration
+            const state = controller.transitionState('$generateKeys');
+            configuration.setAttribute('$state', state);
+            await auditOperation('$generateKeys', configuration.getAttribute('$publicKey').getValue());
+            await storeConfiguration(algorithms, configurator, keystore, configuration, debug);
+
+            return configuration.getAttribute('$publicKey');
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$generateKeys',
+                $exception: '$unexpected',
+                $text: 'A new key pair could not be generated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method replaces the existing public-private key pair with a new one.
+     *
+     * @returns {Binary} A binary string containing the new public key.
+     */
+    this.rotateKeys = async function() {
+        var unlock;
+        try {
+            // check the current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$rotateKeys');
+
+            // save the previous key pair and forget the signature from any previous rotation
+            configuration.removeAttributes(['$rotationSignature']);
+            configuration.setAttribute('$previousPublicKey', configuration.getAttribute('$publicKey'));
+            configuration.setAttribute('$previousPrivateKey', configuration.getAttribute('$privateKey'));
+
+            // generate a new key pair
+            const raw = algorithms.generateKeys();
+            configuration.setAttribute('$publicKey', bali.binary(raw.publicKey));
+            configuration.setAttribute('$privateKey', bali.binary(raw.privateKey));
+
+            // update the configuration
+            const state = controller.transitionState('$rotateKeys');
+            configuration.setAttribute('$state', state);
+            await auditOperation('$rotateKeys', configuration.getAttribute('$publicKey').getValue());
+            await storeConfiguration(algorithms, configurator, keystore, configuration, debug);
+
+            return configuration.getAttribute('$publicKey');
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$rotateKeys',
+                $exception: '$unexpected',
+                $text: 'The key pair could not be rotated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method restores the previous public-private key pair after a rotation that was
+     * never completed by signing a new certificate. The new key pair is discarded. If there
+     * is no previous key pair the current key pair is kept.
+     *
+     * @returns {Binary} A binary string containing the current public key.
+     */
+    this.rollbackKeys = async function() {
+        var unlock;
+        try {
+            // check the current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$rollbackKeys');
+
+            // restore the previous key pair (if there is one)
+            const previousPublicKey = configuration.getAttribute('$previousPublicKey');
+            if (previousPublicKey) {
+                configuration.setAttribute('$publicKey', previousPublicKey);
+                configuration.setAttribute('$privateKey', configuration.getAttribute('$previousPrivateKey'));
+                configuration.removeAttributes(['$previousPublicKey', '$previousPrivateKey']);
+            }
+
+            // update the configuration
+            const state = controller.transitionState('$rollbackKeys');
+            configuration.setAttribute('$state', state);
+            await auditOperation('$rollbackKeys', configuration.getAttribute('$publicKey').getValue());
+            await storeConfiguration(algorithms, configurator, keystore, configuration, debug);
+
+            return configuration.getAttribute('$publicKey');
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$rollbackKeys',
+                $exception: '$unexpected',
+                $text: 'The previous key pair could not be restored.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method deletes any existing public-private key pairs.
+     *
+     * @returns {Boolean} Whether or not the keys were successfully erased.
+     */
+    this.eraseKeys = async function() {
+        var unlock;
+        try {
+            // record the erasure, keep the audit anchor, and delete the current configuration
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            configuration.setAttribute('$state', '$keyless');
+            const anchor = await auditOperation('$eraseKeys');
+            configuration = undefined;
+            await anchorConfigurator.store(anchor.toString() + EOL);
+            await deleteConfiguration(algorithms, configurator, debug);
+            keystore.salt = undefined;
+            keystore.key = undefined;
+
+            return true;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$eraseKeys',
+                $exception: '$unexpected',
+                $text: 'The keys could not be erased.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method changes the passphrase that is used to encrypt the configuration at rest.
+     * The current passphrase must be specified (or undefined if the configuration is not yet
+     * encrypted). If the new passphrase is undefined the configuration is stored unencrypted.
+     *
+     * @param {String|Function} oldPassphrase The current passphrase (or passphrase provider).
+     * @param {String|Function} newPassphrase The new passphrase (or passphrase provider).
+     * @returns {Boolean} Whether or not the passphrase was successfully changed.
+     */
+    this.changePassphrase = async function(oldPassphrase, newPassphrase) {
+        var unlock;
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$changePassphrase', '$oldPassphrase', oldPassphrase, [
+                    '/javascript/Undefined',
+                    '/javascript/String',
+                    '/javascript/Function'
+                ]);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$changePassphrase', '$newPassphrase', newPassphrase, [
+                    '/javascript/Undefined',
+                    '/javascript/String',
+                    '/javascript/Function'
+                ]);
+            }
+
+            // unlock the current configuration using the old passphrase
+            unlock = await lockConfiguration();
+            const oldKeystore = {passphrase: oldPassphrase};
+            const current = await loadConfiguration(algorithms, configurator, oldKeystore, debug);
+
+            // lock the configuration using the new passphrase
+            const newKeystore = {passphrase: newPassphrase};
+            await storeConfiguration(algorithms, configurator, newKeystore, current, debug);
+            keystore = newKeystore;
+            configuration = current;
+            controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
+
+            return true;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$changePassphrase',
+                $exception: '$unexpected',
+                $text: 'The passphrase could not be changed.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method exports an encrypted backup of the current key pair (and any previous key
+     * pair that has not yet been used to sign a new certificate). The backup is encrypted
+     * using a new random backup key which is split into the specified number of shares such
+     * that any threshold number of them can be used to restore the backup. The shares should
+     * be given to different people and must never be stored with the backup.
+     *
+     * @param {Number} count The optional number of shares to be generated [1..255], the
+     * default is one.
+     * @param {Number} threshold The optional number of shares required to restore the backup,
+     * the default is all of them.
+     * @returns {Catalog} A catalog containing the encrypted backup and a list of the shares.
+     */
+    this.exportBackup = async function(count, threshold) {
+        var unlock;
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$exportBackup', '$count', count, [
+                    '/javascript/Undefined',
+                    '/javascript/Number'
+                ]);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$exportBackup', '$threshold', threshold, [
+                    '/javascript/Undefined',
+                    '/javascript/Number'
+                ]);
+            }
+            count = count || 1;
+            threshold = threshold || count;
+            if (!Number.isInteger(count) || !Number.isInteger(threshold) ||
+                    threshold < 1 || threshold > count || count > 255) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                    $procedure: '$exportBackup',
+                    $exception: '$invalidThreshold',
+                    $count: count,
+                    $threshold: threshold,
+                    $text: 'The share count and threshold must satisfy 1 <= threshold <= count <= 255.'
+                });
+                throw exception;
+            }
+
+            // check the current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$exportBackup');
+
+            // encrypt the configuration using a new backup key and split the key into shares
+            const key = hasher.randomBytes(32);
+            const backup = encryptBackup(algorithms, key, configuration, count, threshold);
+            const shares = bali.list();
+            Shamir.splitSecret(key, count, threshold).forEach(function(share) {
+                shares.addItem(bali.binary(share));
+            });
+
+            // update the configuration
+            await auditOperation('$exportBackup');
+            await storeConfiguration(algorithms, configurator, keystore, configuration, debug);
+
+            return bali.catalog({
+                $backup: backup,
+                $shares: shares
+            });
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$exportBackup',
+                $exception: '$unexpected',
+                $text: 'A backup of the keys could not be exported.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method restores the keys from the specified encrypted backup using the specified
+     * shares of the backup key. The security module must not currently have any keys.
+     *
+     * @param {Catalog} backup A catalog containing the encrypted backup.
+     * @param {List} shares A list containing at least the threshold number of shares of the
+     * backup key.
+     * @returns {Binary} A binary string containing the restored public key.
+     */
+    this.importBackup = async function(backup, shares) {
+        var unlock;
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$importBackup', '$backup', backup, [
+                    '/bali/collections/Catalog'
+                ]);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$importBackup', '$shares', shares, [
+                    '/bali/collections/List'
+                ]);
+            }
+
+            // check the current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$importBackup');
+
+            // recover the backup key from the shares and decrypt the backup
+            const threshold = backup.getAttribute('$threshold').toNumber();
+            if (shares.getSize() < threshold) {
+                const exception = bali.exception({
+                    $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                    $procedure: '$importBackup',
+                    $exception: '$invalidShares',
+                    $threshold: threshold,
+                    $text: 'Not enough shares were provided to restore the backup.'
+                });
+                throw exception;
+            }
+            const buffers = [];
+            const iterator = shares.getIterator();
+            while (iterator.hasNext()) {
+                buffers.push(iterator.getNext().getValue());
+            }
+            const key = Shamir.combineShares(buffers);
+            const restored = decryptBackup(algorithms, key, backup);
+
+            // update the configuration, continuing the audit log from its current anchor
+            const anchor = configuration.getAttribute('$auditAnchor');
+            restored.removeAttributes(['$auditAnchor']);
+            if (anchor) restored.setAttribute('$auditAnchor', anchor);
+            configuration = restored;
+            await auditOperation('$importBackup', configuration.getAttribute('$publicKey').getValue());
+            await storeConfiguration(algorithms, configurator, keystore, configuration, debug);
+            controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
+
+            return configuration.getAttribute('$publicKey');
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$importBackup',
+                $exception: '$unexpected',
+                $text: 'The keys could not be restored from the backup.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method returns the audit log of all key operations performed by this security
+     * module. Each entry records the operation, the time, the digest of the signed bytes (or
+     * of the new public key), the resulting state, and the digest of the previous entry.
+     *
+     * @returns {List} A list containing the entries in the audit log.
+     */
+    this.getAuditLog = async function() {
+        try {
+            return await auditLog.getEntries();
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$getAuditLog',
+                $exception: '$unexpected',
+                $text: 'The audit log could not be retrieved.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method determines whether or not the specified audit log (or the stored audit log
+     * if none is specified) forms an unbroken hash chain. If the security module currently has
+     * keys, the last entry must also match the anchor kept in its configuration, otherwise it
+     * must match the anchor that was kept when the keys were erased, so any truncation of the
+     * audit log is detected as well.
+     *
+     * @param {List} log An optional list containing the entries in the audit log.
+     * @returns {Boolean} Whether or not the audit log is intact.
+     */
+    this.verifyAuditLog = async function(log) {
+        var unlock;
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$verifyAuditLog', '$log', log, [
+                    '/javascript/Undefined',
+                    '/bali/collections/List'
+                ]);
+            }
+
+            // load the current configuration
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+
+            log = log || await auditLog.getEntries();
+            const anchor = configuration.getAttribute('$auditAnchor') || await loadAnchor();
+            return AuditLog.verifyAuditLog(log, DIGEST, anchor);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$verifyAuditLog',
+                $exception: '$unexpected',
+                $text: 'The audit log could not be verified.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method returns a cryptographically secure digital digest of the
+     * specified bytes. The generated digital digest will always be the same
+     * for the same bytes.
+     *
+     * @param {Buffer} bytes The bytes to be digested.
+     * @returns {Binary} A binary string containing a digital digest of the bytes.
+     */
+    this.digestBytes = async function(bytes) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$digestBytes', '$bytes', bytes, [
+                    '/nodejs/Buffer'
+                ]);
+            }
+
+            // generate the digital digest of the bytes
+            const hash = hasher.createHash(DIGEST);
+            hash.update(bytes);
+            const digest = hash.digest();
+
+            return bali.binary(digest);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$digestBytes',
+                $exception: '$unexpected',
+                $text: 'A digest of the bytes could not be generated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns a cryptographically secure digital digest of the bytes
+     * read from the specified stream. The bytes are digested incrementally as they
+     * are read so the stream may be arbitrarily large. The generated digital digest
+     * will always be the same as the digest of the same bytes using digestBytes().
+     *
+     * @param {Readable} stream A readable stream containing the bytes to be digested.
+     * @returns {Binary} A binary string containing a digital digest of the bytes.
+     */
+    this.digestStream = async function(stream) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$digestStream', '$stream', stream, [
+                    '/javascript/Object'
+                ]);
+            }
+
+            // generate the digital digest of the bytes as they are read
+            const hash = hasher.createHash(DIGEST);
+            for await (const chunk of stream) {
+                hash.update(chunk);
+            }
+            const digest = hash.digest();
+
+            return bali.binary(digest);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$digestStream',
+                $exception: '$unexpected',
+                $text: 'A digest of the stream could not be generated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method generates a digital signature of the specified bytes using
+     * the current private key (or the old private key, one time only, if it exists).
+     * This allows a new certificate to be signed using the previous private key.
+     * The resulting digital signature can then be verified using the corresponding
+     * public key. The signature generated using the old private key is kept so that
+     * if the same bytes are signed again (e.g. while recovering from a failure during
+     * a key rotation) the same signature is returned.
+     *
+     * @param {Buffer} bytes The bytes to be digitally signed.
+     * @returns {Binary} A binary string containing the resulting digital signature.
+     */
+    this.signBytes = async function(bytes) {
+        var unlock;
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$signBytes', '$bytes', bytes, [
+                    '/nodejs/Buffer'
+                ]);
+            }
+
+            // check the current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$signBytes');
+
+            // return the signature from the last rotation if the same bytes are signed again
+            const hash = hasher.createHash(DIGEST);
+            hash.update(bytes);
+            const digest = bali.binary(hash.digest());
+            const rotation = configuration.getAttribute('$rotationSignature');
+            if (rotation && rotation.getAttribute('$digest').isEqualTo(digest)) {
+                return rotation.getAttribute('$signature');
+            }
+
+            // retrieve the keys
+            var privateKey;
+            var publicKey = configuration.getAttribute('$previousPublicKey');
+            const rotating = !!publicKey;
+            if (rotating) {
+                // the bytes define a certificate containing the new public key, so sign
+                // it using the old private key to enforce a valid certificate chain
+                privateKey = configuration.getAttribute('$previousPrivateKey');
+                configuration.removeAttributes(['$previousPublicKey', '$previousPrivateKey']);
+            } else {
+                publicKey = configuration.getAttribute('$publicKey');
+                privateKey = configuration.getAttribute('$privateKey');
+            }
+
+            // digitally sign the bytes using the private key
+            const signature = bali.binary(algorithms.signBytes(bytes, publicKey.getValue(), privateKey.getValue()));
+            if (rotating) {
+                configuration.setAttribute('$rotationSignature', bali.catalog({
+                    $digest: digest,
+                    $signature: signature
+                }));
+            }
+
+            // update the configuration
+            const state = controller.transitionState('$signBytes');
+            configuration.setAttribute('$state', state);
+            await auditOperation('$signBytes', bytes);
+            await storeConfiguration(algorithms, configurator, keystore, configuration, debug);
+
+            return signature;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$signBytes',
+                $exception: '$unexpected',
+                $text: 'A digital signature of the bytes could not be generated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+    /**
+     * This method uses the specified public key to determine whether or not
+     * the specified digital signature was generated using the corresponding
+     * private key on the specified bytes.
+     *
+     * @param {Binary} aPublicKey A binary string containing the public key to be
+     * used to validate the signature.
+     * @param {Binary} signature A binary string containing the digital signature
+     * allegedly generated using the corresponding private key.
+     * @param {Buffer} bytes The digitally signed bytes.
+     * @returns {Boolean} Whether or not the digital signature is valid.
+     */
+    this.validSignature = async function(aPublicKey, signature, bytes) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$validSignature', '$aPublicKey', aPublicKey, [
+                    '/bali/elements/Binary'
+                ]);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$validSignature', '$signature', signature, [
+                    '/bali/elements/Binary'
+                ]);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$validSignature', '$bytes', bytes, [
+                    '/nodejs/Buffer'
+                ]);
+            }
+
+            // check the signature on the bytes
+            const isValid = algorithms.validSignature(aPublicKey.getValue(), signature.getValue(), bytes);
+
+            return isValid;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$validSignature',
+                $exception: '$unexpected',
+                $text: 'The digital signature of the bytes could not be validated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method encrypts the specified bytes so that only the holder of the private key
+     * corresponding to the specified public key can decrypt them. A new ephemeral key pair is
+     * generated for each encryption, and the secret that it agrees with the public key is used
+     * to derive the key that encrypts (and authenticates) the bytes. Since only the public key
+     * is needed, this method does not require the security module to have any keys.
+     *
+     * @param {Binary} aPublicKey A binary string containing the public key of the recipient.
+     * @param {Buffer} bytes The bytes to be encrypted.
+     * @returns {Binary} A binary string containing the encrypted bytes.
+     */
+    this.encryptBytes = async function(aPublicKey, bytes) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$encryptBytes', '$aPublicKey', aPublicKey, [
+                    '/bali/elements/Binary'
+                ]);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$encryptBytes', '$bytes', bytes, [
+                    '/nodejs/Buffer'
+                ]);
+            }
+
+            // encrypt the bytes using a key agreed with the public key
+            const encrypted = sealBytes(algorithms, aPublicKey.getValue(), bytes);
+
+            return bali.binary(encrypted);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$encryptBytes',
+                $exception: '$unexpected',
+                $text: 'The bytes could not be encrypted.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method decrypts the specified bytes that were encrypted using encryptBytes() with
+     * the current public key. Bytes cannot be decrypted while a key rotation is unfinished.
+     *
+     * @param {Binary} encrypted A binary string containing the encrypted bytes.
+     * @returns {Buffer} The decrypted bytes.
+     */
+    this.decryptBytes = async function(encrypted) {
+        var unlock;
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$decryptBytes', '$encrypted', encrypted, [
+                    '/bali/elements/Binary'
+                ]);
+            }
+
+            // check the current state
+            unlock = await lockConfiguration();
+            await reloadConfiguration();
+            controller.validateEvent('$decryptBytes');
+
+            // decrypt the bytes using the private key
+            const publicKey = configuration.getAttribute('$publicKey').getValue();
+            const privateKey = configuration.getAttribute('$privateKey').getValue();
+            const bytes = openBytes(algorithms, publicKey, privateKey, encrypted.getValue());
+
+            // update the configuration
+            const state = controller.transitionState('$decryptBytes');
+            configuration.setAttribute('$state', state);
+            await auditOperation('$decryptBytes', encrypted.getValue());
+            await storeConfiguration(algorithms, configurator, keystore, configuration, debug);
+
+            return bytes;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/SSM',
+                $procedure: '$decryptBytes',
+                $exception: '$unexpected',
+                $text: 'The encrypted bytes could not be decrypted.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        } finally {
+            if (unlock) await unlock();
+        }
+    };
+
+
+    // PRIVATE METHODS
+
+    const lockConfiguration = async function() {
+        return await mutex.lockConfiguration(configurator);  // also guards the audit log
+    };
+
+    const reloadConfiguration = async function() {
+        // another process may have changed the configuration since it was last loaded
+        configuration = await loadConfiguration(algorithms, configurator, keystore, debug);
+        controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
+    };
+
+    const auditOperation = async function(operation, bytes) {
+        var digest;
+        if (bytes) {
+            const hash = hasher.createHash(DIGEST);
+            hash.update(bytes);
+            digest = bali.binary(hash.digest());
+        }
+        const state = configuration.getAttribute('$state');
+        const previous = configuration.getAttribute('$auditAnchor') || await loadAnchor();
+        const anchor = await auditLog.appendEntry(operation, digest, state, previous);
+        configuration.setAttribute('$auditAnchor', anchor);
+        return anchor;
+    };
+
+    const loadAnchor = async function() {
+        // the anchor that was kept when the keys were last erased (if ever)
+        const source = await anchorConfigurator.load();
+        return source ? bali.component(source) : undefined;
+    };
+
+    return this;
+};
+SoftwareSSM.prototype.constructor = SoftwareSSM;
+exports.SoftwareSSM = SoftwareSSM;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function uses a configurator to store out the specified configuration catalog. If
+ * the keystore defines a passphrase the configuration is encrypted before it is stored.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Configurator} configurator A configurator bound to the storage adapter.
+ * @param {Object} keystore An object containing the passphrase and derived encryption key.
+ * @param {Catalog} configuration A catalog containing the current configuration to be stored.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ */
+const storeConfiguration = async function(algorithms, configurator, keystore, configuration, debug) {
+    try {
+        var document = configuration;
+        if (keystore.passphrase) document = await encryptConfiguration(algorithms, keystore, configuration);
+        await configurator.store(document.toString() + EOL);
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: '/bali/notary/' + algorithms.protocol + '/SSM',
+            $procedure: '$storeConfiguration',
+            $exception: '$storageException',
+            $text: 'The attempt to store the current configuration failed.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+/**
+ * This function uses a configurator to load the current configuration catalog. If the
+ * stored configuration is encrypted it is decrypted using a key derived from the passphrase
+ * defined in the keystore.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Configurator} configurator A configurator bound to the storage adapter.
+ * @param {Object} keystore An object containing the passphrase and derived encryption key.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * @returns {Catalog} A catalog containing the current configuration.
+ */
+const loadConfiguration = async function(algorithms, configurator, keystore, debug) {
+    try {
+        var configuration;
+        const source = await configurator.load();
+        if (source) {
+            configuration = bali.component(source);
+            const type = configuration.getParameter('$type');
+            if (type && type.toString() === '/bali/notary/' + algorithms.protocol + '/Keystore') {
+                configuration = await decryptConfiguration(algorithms, keystore, configuration);
+            }
+        } else {
+            configuration = bali.catalog({
+                $tag: bali.tag(),  // new random tag
+                $state: '$keyless'
+            });
+            await storeConfiguration(algorithms, configurator, keystore, configuration, debug);
+        }
+        return configuration;
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: '/bali/notary/' + algorithms.protocol + '/SSM',
+            $procedure: '$loadConfiguration',
+            $exception: '$storageException',
+            $text: 'The attempt to load the current configuration failed.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+/**
+ * This function uses a configurator to delete the current configuration catalog.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Configurator} configurator A configurator bound to the storage adapter.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ */
+const deleteConfiguration = async function(algorithms, configurator, debug) {
+    try {
+        await configurator.delete();
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: '/bali/notary/' + algorithms.protocol + '/SSM',
+            $procedure: '$deleteConfiguration',
+            $exception: '$storageException',
+            $text: 'The attempt to delete the current configuration failed.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+/**
+ * This function derives an encryption key from the passphrase defined in the keystore
+ * using a memory-hard key derivation function. The passphrase provider (if any) is only
+ * called once per salt value.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Object} keystore An object containing the passphrase and derived encryption key.
+ * @param {Buffer} salt The salt to be used to derive the key.
+ * @returns {Buffer} The derived encryption key.
+ */
+const deriveKey = async function(algorithms, keystore, salt) {
+    if (keystore.key && keystore.salt && keystore.salt.equals(salt)) return keystore.key;
+    var passphrase = keystore.passphrase;
+    if (typeof passphrase === 'function') passphrase = await passphrase();
+    if (!passphrase) {
+        throw bali.exception({
+            $module: '/bali/notary/' + algorithms.protocol + '/SSM',
+            $procedure: '$deriveKey',
+            $exception: '$missingPassphrase',
+            $text: 'A passphrase is required to unlock the configuration.'
+        });
+    }
+    const key = await new Promise(function(resolve, reject) {
+        hasher.scrypt(passphrase, salt, 32, {
+            N: DERIVATION.cost,
+            r: DERIVATION.blockSize,
+            p: DERIVATION.parallelization,
+            maxmem: DERIVATION.maxmem
+        }, function(error, key) {
+            if (error) reject(error);
+            else resolve(key);
+        });
+    });
+    keystore.salt = salt;
+    keystore.key = key;
+    return key;
+};
+
+
+/**
+ * This function encrypts the specified configuration using authenticated encryption and
+ * a key derived from the passphrase defined in the keystore.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Object} keystore An object containing the passphrase and derived encryption key.
+ * @param {Catalog} configuration A catalog containing the configuration to be encrypted.
+ * @returns {Catalog} A catalog containing the encrypted configuration.
+ */
+const encryptConfiguration = async function(algorithms, keystore, configuration) {
+    const salt = keystore.salt || hasher.randomBytes(16);
+    const key = await deriveKey(algorithms, keystore, salt);
+    const iv = hasher.randomBytes(12);
+    const cipher = hasher.createCipheriv(CIPHER, key, iv);
+    const plaintext = Buffer.from(configuration.toString(), 'utf8');
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return bali.catalog({
+        $protocol: algorithms.protocol,
+        $cipher: CIPHER,
+        $salt: bali.binary(salt),
+        $iv: bali.binary(iv),
+        $ciphertext: bali.binary(ciphertext),
+        $authenticationTag: bali.binary(cipher.getAuthTag())
+    }, {
+        $type: '/bali/notary/' + algorithms.protocol + '/Keystore'
+    });
+};
+
+
+/**
+ * This function decrypts the specified encrypted configuration using a key derived from
+ * the passphrase defined in the keystore.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Object} keystore An object containing the passphrase and derived encryption key.
+ * @param {Catalog} encrypted A catalog containing the encrypted configuration.
+ * @returns {Catalog} A catalog containing the decrypted configuration.
+ */
+const decryptConfiguration = async function(algorithms, keystore, encrypted) {
+    const salt = encrypted.getAttribute('$salt').getValue();
+    const key = await deriveKey(algorithms, keystore, salt);
+    try {
+        const iv = encrypted.getAttribute('$iv').getValue();
+        const decipher = hasher.createDecipheriv(CIPHER, key, iv);
+        decipher.setAuthTag(encrypted.getAttribute('$authenticationTag').getValue());
+        const ciphertext = encrypted.getAttribute('$ciphertext').getValue();
+        const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+        return bali.component(plaintext.toString('utf8'));
+    } catch (cause) {
+        keystore.salt = undefined;
+        keystore.key = undefined;
+        throw bali.exception({
+            $module: '/bali/notary/' + algorithms.protocol + '/SSM',
+            $procedure: '$decryptConfiguration',
+            $exception: '$invalidPassphrase',
+            $text: 'The configuration could not be unlocked using the passphrase.'
+        }, cause);
+    }
+};
+
+
+/**
+ * This function encrypts the specified configuration using authenticated encryption and
+ * the specified backup key.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Buffer} key The backup key.
+ * @param {Catalog} configuration A catalog containing the configuration to be backed up.
+ * @param {Number} count The number of shares the backup key was split into.
+ * @param {Number} threshold The number of shares required to restore the backup.
+ * @returns {Catalog} A catalog containing the encrypted backup.
+ */
+const encryptBackup = function(algorithms, key, configuration, count, threshold) {
+    const iv = hasher.randomBytes(12);
+    const cipher = hasher.createCipheriv(CIPHER, key, iv);
+    const plaintext = Buffer.from(configuration.toString(), 'utf8');
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return bali.catalog({
+        $protocol: algorithms.protocol,
+        $timestamp: bali.moment(),  // now
+        $cipher: CIPHER,
+        $shares: count,
+        $threshold: threshold,
+        $iv: bali.binary(iv),
+        $ciphertext: bali.binary(ciphertext),
+        $authenticationTag: bali.binary(cipher.getAuthTag())
+    }, {
+        $type: '/bali/notary/' + algorithms.protocol + '/Backup'
+    });
+};
+
+
+/**
+ * This function decrypts the specified encrypted backup using the specified backup key.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Buffer} key The backup key recovered from its shares.
+ * @param {Catalog} backup A catalog containing the encrypted backup.
+ * @returns {Catalog} A catalog containing the backed up configuration.
+ */
+const decryptBackup = function(algorithms, key, backup) {
+    const type = backup.getParameter('$type');
+    if (!type || type.toString() !== '/bali/notary/' + algorithms.protocol + '/Backup') {
+        throw bali.exception({
+            $module: '/bali/notary/' + algorithms.protocol + '/SSM',
+            $procedure: '$decryptBackup',
+            $exception: '$invalidBackup',
+            $expected: '/bali/notary/' + algorithms.protocol + '/Backup',
+            $actual: type,
+            $text: 'The backup is not for this version of the security module.'
+        });
+    }
+    try {
+        const iv = backup.getAttribute('$iv').getValue();
+        const decipher = hasher.createDecipheriv(CIPHER, key, iv);
+        decipher.setAuthTag(backup.getAttribute('$authenticationTag').getValue());
+        const ciphertext = backup.getAttribute('$ciphertext').getValue();
+        const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+        return bali.component(plaintext.toString('utf8'));
+    } catch (cause) {
+        throw bali.exception({
+            $module: '/bali/notary/' + algorithms.protocol + '/SSM',
+            $procedure: '$decryptBackup',
+            $exception: '$invalidShares',
+            $text: 'The backup could not be decrypted using the shares.'
+        }, cause);
+    }
+};
+
+
+/**
+ * This function encrypts the specified bytes for the holder of the private key corresponding
+ * to the specified public key. The result is the ephemeral public key, the initialization
+ * vector, the authentication tag and the ciphertext, concatenated in that order.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Buffer} publicKey The public key of the recipient.
+ * @param {Buffer} bytes The bytes to be encrypted.
+ * @returns {Buffer} The encrypted bytes.
+ */
+const sealBytes = function(algorithms, publicKey, bytes) {
+    const ephemeral = algorithms.generateAgreementKeys();
+    const secret = hasher.diffieHellman({
+        privateKey: ephemeral.privateKey,
+        publicKey: algorithms.agreementPublicKey(publicKey)
+    });
+    const key = deriveContentKey(algorithms, secret, ephemeral.publicKey, publicKey);
+    const iv = hasher.randomBytes(12);
+    const cipher = hasher.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(bytes), cipher.final()]);
+    return Buffer.concat([ephemeral.publicKey, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+
+/**
+ * This function decrypts the specified bytes that were encrypted for the holder of the
+ * specified key pair.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Buffer} publicKey The public key of the recipient.
+ * @param {Buffer} privateKey The private key of the recipient.
+ * @param {Buffer} encrypted The encrypted bytes.
+ * @returns {Buffer} The decrypted bytes.
+ */
+const openBytes = function(algorithms, publicKey, privateKey, encrypted) {
+    try {
+        const length = algorithms.ephemeralLength;
+        const ephemeralKey = encrypted.subarray(0, length);
+        const iv = encrypted.subarray(length, length + 12);
+        const tag = encrypted.subarray(length + 12, length + 28);
+        const ciphertext = encrypted.subarray(length + 28);
+        const secret = hasher.diffieHellman({
+            privateKey: algorithms.agreementPrivateKey(privateKey),
+            publicKey: algorithms.agreementPublicKey(ephemeralKey, true)
+        });
+        const key = deriveContentKey(algorithms, secret, ephemeralKey, publicKey);
+        const decipher = hasher.createDecipheriv(CIPHER, key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (cause) {
+        throw bali.exception({
+            $module: '/bali/notary/' + algorithms.protocol + '/SSM',
+            $procedure: '$openBytes',
+            $exception: '$invalidCiphertext',
+            $text: 'The bytes were not encrypted for the current key pair or have been modified.'
+        }, cause);
+    }
+};
+
+
+/**
+ * This function derives the key that encrypts the bytes from the agreed secret. The ephemeral
+ * and recipient public keys are bound into the derivation.
+ *
+ * @param {Object} algorithms The algorithms for the version of the protocol.
+ * @param {Buffer} secret The secret agreed between the ephemeral and recipient keys.
+ * @param {Buffer} ephemeralKey The ephemeral public key.
+ * @param {Buffer} publicKey The public key of the recipient.
+ * @returns {Buffer} The derived encryption key.
+ */
+const deriveContentKey = function(algorithms, secret, ephemeralKey, publicKey) {
+    const salt = Buffer.concat([ephemeralKey, publicKey]);
+    return Buffer.from(hasher.hkdfSync(algorithms.digest, secret, salt, 'bali-notary-' + algorithms.protocol + '-encryption', 32));
+};
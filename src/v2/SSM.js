@@ -17,42 +17,29 @@
 ///////////////////////////////////////////////////////////////////////////////////////
 
 /*
- * This class implements a software security module that is capable of performing the following
- * functions:
- * <pre>
- *   * generateKeys - generate a new public-private key pair and return the public key
- *   * digestBytes - generate a cryptographic digest of an array of bytes
- *   * signBytes - digitally sign an array of bytes using the private key
- *   * validSignature - check whether or not the digital signature of an array of bytes is valid
- *   * rotateKeys - replace the existing public-private key pair with new pair
- *   * eraseKeys - erases any trace of the public-private key pair
- * </pre>
+ * This class implements a software security module for version 2 of the notary protocol. It
+ * uses SHA512 digests and ED25519 signatures, and encrypts bytes for the holder of a public key
+ * using X25519 key agreement with the same key pair. Everything else that the security module
+ * does (see the SoftwareSSM module) is common to every version of the protocol.
  */
 const hasher = require('crypto');
 const signer = require('supercop.js');
-const bali = require('bali-component-framework').api();
+const SoftwareSSM = require('../utilities/SoftwareSSM').SoftwareSSM;
 
 
 // PRIVATE CONSTANTS
 
-// the POSIX end of line character
-const EOL = '\n';
-
 // the algorithms for this version of the protocol
 const PROTOCOL = 'v2';
 const DIGEST = 'sha512';
 const SIGNATURE = 'ed25519';
 
-// define the finite state machine
-const REQUESTS = [  //     possible request types
-              '$generateKeys', '$signBytes', '$rotateKeys'
-];
-const STATES = {
-//   current                allowed next states
-    $keyless: [ '$loneKey',      undefined,    undefined  ],
-    $loneKey: [  undefined,     '$loneKey',   '$twoKeys'  ],
-    $twoKeys: [  undefined,     '$loneKey',    undefined  ]
-};
+// the algorithms used to encrypt bytes for the holder of a public key
+const AGREEMENT = 'x25519';
+const EPHEMERAL = 32;  // the length of an ephemeral public key
+const PRIME = 2n ** 255n - 19n;  // the field prime for curve25519
+const X25519_PUBLIC = Buffer.from('302a300506032b656e032100', 'hex');  // the DER prefix of a public key
+const X25519_PRIVATE = Buffer.from('302e020100300506032b656e04220420', 'hex');  // the DER prefix of a private key
 
 
 // PUBLIC FUNCTIONS
@@ -60,8 +47,9 @@ const STATES = {
 /**
  * This function creates a new instance of a software security module (SSM).
  *
- * @param {String} directory An optional directory to be used for local configuration storage. If
- * no directory is specified, a directory called '.bali/' is created in the home directory.
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage. If neither is specified, a directory called '.bali/' is created
+ * in the home directory.
  * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
  * debugging that occurs:
  * <pre>
@@ -70,422 +58,136 @@ const STATES = {
  *   2: perform argument validation and log exceptions to console.error
  *   3: perform argument validation and log exceptions to console.error and debug info to console.log
  * </pre>
+ * @param {String|Function} passphrase An optional passphrase, or an (asynchronous) function that
+ * returns the passphrase, that is used to encrypt the configuration at rest. A passphrase function
+ * is only called when the configuration is first unlocked.
  * @returns {Object} The new software security module.
  */
-const SSM = function(directory, debug) {
-    // validate the arguments
-    if (debug === null || debug === undefined) debug = 0;  // default is off
-    if (debug > 1) {
-        const validator = bali.validator(debug);
-        validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$SSM', '$directory', directory, [
-            '/javascript/Undefined',
-            '/javascript/String'
-        ]);
-    }
-
-    // setup the configuration
-    const filename = 'SSM' + PROTOCOL + '.bali';
-    const configurator = bali.configurator(filename, directory, debug);
-    var configuration, controller;
-
-    /**
-     * This method returns a string describing the attributes of the SSM. It must not be an
-     * asynchronous function since it is part of the JavaScript language.
-     *
-     * @returns {String} A string describing the attributes of the SSM.
-     */
-    this.toString = function() {
-        const catalog = bali.catalog({
-            $module: '/bali/notary/' + PROTOCOL + '/SSM',
-            $protocol: PROTOCOL,
-            $digest: DIGEST,
-            $signature: SIGNATURE
-        });
-        return catalog.toString();
-    };
-
-    /**
-     * This method returns the unique tag for the security module.
-     *
-     * @returns {Tag} The unique tag for the security module.
-     */
-    this.getTag = async function() {
-        try {
-            // load the current configuration if necessary
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
-            }
-
-            return configuration.getAttribute('$tag');
-        } catch (cause) {
-            const exception = bali.exception({
-                $module: '/bali/notary/' + PROTOCOL + '/SSM',
-                $procedure: '$getTag',
-                $exception: '$unexpected',
-                $text: 'The tag for the security module could not be retrieved.'
-            }, cause);
-            if (debug > 0) console.error(exception.toString());
-            throw exception;
-        }
-    };
-
-
-    /**
-     * This method returns the version of the security protocol supported by this
-     * security module.
-     *
-     * @returns {Version} The version string of the security protocol supported by this security
-     * module.
-     */
-    this.getProtocol = async function() {
-        try {
-            return bali.component(PROTOCOL);
-        } catch (cause) {
-            const exception = bali.exception({
-                $module: '/bali/notary/' + PROTOCOL + '/SSM',
-                $procedure: '$getProtocol',
-                $exception: '$unexpected',
-                $text: 'The protocol supported by the security module could not be retrieved.'
-            }, cause);
-            if (debug > 0) console.error(exception.toString());
-            throw exception;
-        }
-    };
-
-    /**
-     * This method generates a new public-private key pair.
-     *
-     * @returns {Binary} A binary string containing the new public key.
-     */
-    this.generateKeys = async function() {
-        try {
-            // check the current state
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
-            }
-            controller.validateEvent('$generateKeys');
-
-            // generate a new key pair
-            const seed = signer.createSeed();
-            const raw = signer.createKeyPair(seed);
-            configuration.setAttribute('$publicKey', bali.binary(raw.publicKey));
-            configuration.setAttribute('$privateKey', bali.binary(raw.secretKey));
-
-            // update the configuration
-            const state = controller.transitionState('$generateKeys');
-            configuration.setAttribute('$state', state);
-            await storeConfiguration(configurator, configuration, debug);
-
-            return configuration.getAttribute('$publicKey');
-        } catch (cause) {
-            const exception = bali.exception({
-                $module: '/bali/notary/' + PROTOCOL + '/SSM',
-                $procedure: '$generateKeys',
-                $exception: '$unexpected',
-                $text: 'A new key pair could not be generated.'
-            }, cause);
-            if (debug > 0) console.error(exception.toString());
-            throw exception;
-        }
-    };
-
-    /**
-     * This method replaces the existing public-private key pair with a new one.
-     *
-     * @returns {Binary} A binary string containing the new public key.
-     */
-    this.rotateKeys = async function() {
-        try {
-            // check the current state
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
-            }
-            controller.validateEvent('$rotateKeys');
-
-            // save the previous key pair
-            configuration.setAttribute('$previousPublicKey', configuration.getAttribute('$publicKey'));
-            configuration.setAttribute('$previousPrivateKey', configuration.getAttribute('$privateKey'));
-
-            // generate a new key pair
-            const seed = signer.createSeed();
-            const raw = signer.createKeyPair(seed);
-            configuration.setAttribute('$publicKey', bali.binary(raw.publicKey));
-            configuration.setAttribute('$privateKey', bali.binary(raw.secretKey));
-
-            // update the configuration
-            const state = controller.transitionState('$rotateKeys');
-            configuration.setAttribute('$state', state);
-            await storeConfiguration(configurator, configuration, debug);
-
-            return configuration.getAttribute('$publicKey');
-        } catch (cause) {
-            const exception = bali.exception({
-                $module: '/bali/notary/' + PROTOCOL + '/SSM',
-                $procedure: '$rotateKeys',
-                $exception: '$unexpected',
-                $text: 'The key pair could not be rotated.'
-            }, cause);
-            if (debug > 0) console.error(exception.toString());
-            throw exception;
-        }
-    };
-
-    /**
-     * This method deletes any existing public-private key pairs.
-     *
-     * @returns {Boolean} Whether or not the keys were successfully erased.
-     */
-    this.eraseKeys = async function() {
-        try {
-            // delete the current configuration
-            await deleteConfiguration(configurator, debug);
-            configuration = undefined;
-
-            return true;
-        } catch (cause) {
-            const exception = bali.exception({
-                $module: '/bali/notary/' + PROTOCOL + '/SSM',
-                $procedure: '$eraseKeys',
-                $exception: '$unexpected',
-                $text: 'The keys could not be erased.'
-            }, cause);
-            if (debug > 0) console.error(exception.toString());
-            throw exception;
-        }
-    };
-
-    /**
-     * This method returns a cryptographically secure digital digest of the
-     * specified bytes. The generated digital digest will always be the same
-     * for the same bytes.
-     *
-     * @param {Buffer} bytes The bytes to be digested.
-     * @returns {Binary} A binary string containing a digital digest of the bytes.
-     */
-    this.digestBytes = async function(bytes) {
-        try {
-            // validate the arguments
-            if (debug > 1) {
-                const validator = bali.validator(debug);
-                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$digestBytes', '$bytes', bytes, [
-                    '/nodejs/Buffer'
-                ]);
-            }
-
-            // generate the digital digest of the bytes
-            const hash = hasher.createHash(DIGEST);
-            hash.update(bytes);
-            const digest = hash.digest();
-
-            return bali.binary(digest);
-        } catch (cause) {
-            const exception = bali.exception({
-                $module: '/bali/notary/' + PROTOCOL + '/SSM',
-                $procedure: '$digestBytes',
-                $exception: '$unexpected',
-                $text: 'A digest of the bytes could not be generated.'
-            }, cause);
-            if (debug > 0) console.error(exception.toString());
-            throw exception;
-        }
-    };
-
-    /**
-     * This method generates a digital signature of the specified bytes using
-     * the current private key (or the old private key, one time only, if it exists).
-     * This allows a new certificate to be signed using the previous private key.
-     * The resulting digital signature can then be verified using the corresponding
-     * public key.
-     *
-     * @param {Buffer} bytes The bytes to be digitally signed.
-     * @returns {Binary} A binary string containing the resulting digital signature.
-     */
-    this.signBytes = async function(bytes) {
-        try {
-            // validate the arguments
-            if (debug > 1) {
-                const validator = bali.validator(debug);
-                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$signBytes', '$bytes', bytes, [
-                    '/nodejs/Buffer'
-                ]);
-            }
+const SSM = function(directory, debug, passphrase) {
+    SoftwareSSM.call(this, ALGORITHMS, directory, debug, passphrase);
+    return this;
+};
+SSM.prototype.constructor = SSM;
+exports.SSM = SSM;
 
-            // check the current state
-            if (!configuration) {
-                configuration = await loadConfiguration(configurator, debug);
-                controller = bali.controller(REQUESTS, STATES, configuration.getAttribute('$state').toString(), debug);
-            }
-            controller.validateEvent('$signBytes');
 
-            // retrieve the keys
-            var privateKey;
-            var publicKey = configuration.getAttribute('$previousPublicKey');
-            if (publicKey) {
-                // the bytes define a certificate containing the new public key, so sign
-                // it using the old private key to enforce a valid certificate chain
-                privateKey = configuration.getAttribute('$previousPrivateKey');
-                configuration.removeAttributes(['$previousPublicKey', '$previousPrivateKey']);
-            } else {
-                publicKey = configuration.getAttribute('$publicKey');
-                privateKey = configuration.getAttribute('$privateKey');
-            }
+// PRIVATE FUNCTIONS
 
-            // digitally sign the bytes using the private key
-            const signature = signer.sign(bytes, publicKey.getValue(), privateKey.getValue());
+/**
+ * This function generates a new ED25519 key pair.
+ *
+ * @returns {Object} An object containing the new public and (64 byte) secret keys as buffers.
+ */
+const generateKeys = function() {
+    const raw = signer.createKeyPair(signer.createSeed());
+    return {publicKey: raw.publicKey, privateKey: raw.secretKey};
+};
 
-            // update the configuration
-            const state = controller.transitionState('$signBytes');
-            configuration.setAttribute('$state', state);
-            await storeConfiguration(configurator, configuration, debug);
 
-            return bali.binary(signature);
-        } catch (cause) {
-            const exception = bali.exception({
-                $module: '/bali/notary/' + PROTOCOL + '/SSM',
-                $procedure: '$signBytes',
-                $exception: '$unexpected',
-                $text: 'A digital signature of the bytes could not be generated.'
-            }, cause);
-            if (debug > 0) console.error(exception.toString());
-            throw exception;
-        }
-    };
+/**
+ * This function generates an ED25519 signature of the specified bytes.
+ *
+ * @param {Buffer} bytes The bytes to be signed.
+ * @param {Buffer} publicKey The public key.
+ * @param {Buffer} privateKey The (64 byte) secret key.
+ * @returns {Buffer} The signature.
+ */
+const signBytes = function(bytes, publicKey, privateKey) {
+    return signer.sign(bytes, publicKey, privateKey);
+};
 
-    /**
-     * This method uses the specified public key to determine whether or not
-     * the specified digital signature was generated using the corresponding
-     * private key on the specified bytes.
-     *
-     * @param {Binary} aPublicKey A binary string containing the public key to be
-     * used to validate the signature.
-     * @param {Binary} signature A binary string containing the digital signature
-     * allegedly generated using the corresponding private key.
-     * @param {Buffer} bytes The digitally signed bytes.
-     * @returns {Boolean} Whether or not the digital signature is valid.
-     */
-    this.validSignature = async function(aPublicKey, signature, bytes) {
-        try {
-            // validate the arguments
-            if (debug > 1) {
-                const validator = bali.validator(debug);
-                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$validSignature', '$aPublicKey', aPublicKey, [
-                    '/bali/elements/Binary'
-                ]);
-                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$validSignature', '$signature', signature, [
-                    '/bali/elements/Binary'
-                ]);
-                validator.validateType('/bali/notary/' + PROTOCOL + '/SSM', '$validSignature', '$bytes', bytes, [
-                    '/nodejs/Buffer'
-                ]);
-            }
 
-            // check the signature on the bytes
-            const isValid = signer.verify(signature.getValue(), bytes, aPublicKey.getValue());
+/**
+ * This function determines whether or not the specified ED25519 signature of the specified
+ * bytes is valid.
+ *
+ * @param {Buffer} publicKey The public key.
+ * @param {Buffer} signature The signature.
+ * @param {Buffer} bytes The signed bytes.
+ * @returns {Boolean} Whether or not the signature is valid.
+ */
+const validSignature = function(publicKey, signature, bytes) {
+    return signer.verify(signature, bytes, publicKey);
+};
 
-            return isValid;
-        } catch (cause) {
-            const exception = bali.exception({
-                $module: '/bali/notary/' + PROTOCOL + '/SSM',
-                $procedure: '$validSignature',
-                $exception: '$unexpected',
-                $text: 'The digital signature of the bytes could not be validated.'
-            }, cause);
-            if (debug > 0) console.error(exception.toString());
-            throw exception;
-        }
-    };
 
-    return this;
+/**
+ * This function generates a new ephemeral X25519 key pair. The public key is returned in its
+ * raw (32 byte) form.
+ *
+ * @returns {Object} An object containing the raw public key and the private key object.
+ */
+const generateAgreementKeys = function() {
+    const pair = hasher.generateKeyPairSync(AGREEMENT);
+    const publicKey = pair.publicKey.export({format: 'der', type: 'spki'}).subarray(X25519_PUBLIC.length);
+    return {publicKey: publicKey, privateKey: pair.privateKey};
 };
-SSM.prototype.constructor = SSM;
-exports.SSM = SSM;
 
 
-// PRIVATE FUNCTIONS
-
 /**
- * This function uses a configurator to store out the specified configuration catalog to
- * the local filesystem.
+ * This function maps a raw public key onto an X25519 public key object. An ED25519 public
+ * key (the y coordinate on the Edwards curve) is first mapped onto the equivalent point on
+ * the Montgomery curve using u = (1 + y) / (1 - y) mod p. An ephemeral key is already an
+ * X25519 public key.
  *
- * @param {Configurator} configurator A filesystem backed configurator.
- * @param {Catalog} configuration A catalog containing the current configuration to be stored.
- * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
- * the level of debugging that occurs:
+ * @param {Buffer} publicKey The raw (32 byte) public key.
+ * @param {Boolean} ephemeral Whether or not the public key is already an X25519 key.
+ * @returns {KeyObject} The X25519 public key object.
  */
-const storeConfiguration = async function(configurator, configuration, debug) {
-    try {
-        await configurator.store(configuration.toString() + EOL);
-    } catch (cause) {
-        const exception = bali.exception({
-            $module: '/bali/notary/' + PROTOCOL + '/SSM',
-            $procedure: '$storeConfiguration',
-            $exception: '$storageException',
-            $text: 'The attempt to store the current configuration failed.'
-        }, cause);
-        if (debug > 0) console.error(exception.toString());
-        throw exception;
+const agreementPublicKey = function(publicKey, ephemeral) {
+    var raw = publicKey;
+    if (!ephemeral) {
+        const bytes = Buffer.from(publicKey).reverse();  // big endian
+        bytes[0] &= 0x7f;  // ignore the sign of the x coordinate
+        const y = BigInt('0x' + bytes.toString('hex'));
+        const u = (1n + y) * modularPower((PRIME + 1n - y) % PRIME, PRIME - 2n) % PRIME;
+        raw = Buffer.from(u.toString(16).padStart(64, '0'), 'hex').reverse();  // little endian
     }
+    return hasher.createPublicKey({key: Buffer.concat([X25519_PUBLIC, raw]), format: 'der', type: 'spki'});
 };
 
 
 /**
- * This function uses a configurator to load the current configuration catalog from
- * the local filesystem.
+ * This function maps an ED25519 private key onto the equivalent X25519 private key object.
+ * The first half of an ED25519 secret key is the (clamped) scalar that is shared by both.
  *
- * @param {Configurator} configurator A filesystem backed configurator.
- * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
- * the level of debugging that occurs:
- * @returns {Catalog} A catalog containing the current configuration.
+ * @param {Buffer} privateKey The ED25519 (64 byte) secret key.
+ * @returns {KeyObject} The X25519 private key object.
  */
-const loadConfiguration = async function(configurator, debug) {
-    try {
-        var configuration;
-        const source = await configurator.load();
-        if (source) {
-            configuration = bali.component(source);
-        } else {
-            configuration = bali.catalog({
-                $tag: bali.tag(),  // new random tag
-                $state: '$keyless'
-            });
-            await configurator.store(configuration.toString() + EOL);
-        }
-        return configuration;
-    } catch (cause) {
-        const exception = bali.exception({
-            $module: '/bali/notary/' + PROTOCOL + '/SSM',
-            $procedure: '$loadConfiguration',
-            $exception: '$storageException',
-            $text: 'The attempt to load the current configuration failed.'
-        }, cause);
-        if (debug > 0) console.error(exception.toString());
-        throw exception;
-    }
+const agreementPrivateKey = function(privateKey) {
+    const scalar = privateKey.subarray(0, 32);
+    return hasher.createPrivateKey({key: Buffer.concat([X25519_PRIVATE, scalar]), format: 'der', type: 'pkcs8'});
 };
 
 
 /**
- * This function uses a configurator to delete the current configuration catalog from
- * the local filesystem.
+ * This function raises the specified base to the specified exponent modulo the field prime.
  *
- * @param {Configurator} configurator A filesystem backed configurator.
- * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
- * the level of debugging that occurs:
+ * @param {BigInt} base The base.
+ * @param {BigInt} exponent The exponent.
+ * @returns {BigInt} The result.
  */
-const deleteConfiguration = async function(configurator, debug) {
-    try {
-        await configurator.delete();
-    } catch (cause) {
-        const exception = bali.exception({
-            $module: '/bali/notary/' + PROTOCOL + '/SSM',
-            $procedure: '$deleteConfiguration',
-            $exception: '$storageException',
-            $text: 'The attempt to delete the current configuration failed.'
-        }, cause);
-        if (debug > 0) console.error(exception.toString());
-        throw exception;
+const modularPower = function(base, exponent) {
+    var result = 1n;
+    while (exponent > 0n) {
+        if (exponent & 1n) result = result * base % PRIME;
+        base = base * base % PRIME;
+        exponent >>= 1n;
     }
+    return result;
+};
+
+
+// the algorithms used by the software security module for this version of the protocol
+const ALGORITHMS = {
+    protocol: PROTOCOL,
+    digest: DIGEST,
+    signature: SIGNATURE,
+    ephemeralLength: EPHEMERAL,
+    generateKeys: generateKeys,
+    signBytes: signBytes,
+    validSignature: validSignature,
+    generateAgreementKeys: generateAgreementKeys,
+    agreementPublicKey: agreementPublicKey,
+    agreementPrivateKey: agreementPrivateKey
 };
@@ -0,0 +1,689 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+/*
+ * This class implements a web browser based security module that is capable of performing the
+ * following functions:
+ * <pre>
+ *   * generateKeys - generate a new public-private key pair and return the public key
+ *   * digestBytes - generate a cryptographic digest of an array of bytes
+ *   * digestStream - generate a cryptographic digest of the bytes read from a stream
+ *   * signBytes - digitally sign an array of bytes using the private key
+ *   * validSignature - check whether or not the digital signature of an array of bytes is valid
+ *   * rotateKeys - replace the existing public-private key pair with new pair
+ *   * rollbackKeys - restore the previous public-private key pair after an unfinished rotation
+ *   * eraseKeys - erases any trace of the public-private key pair
+ *   * encryptBytes - not supported, see below
+ *   * decryptBytes - not supported, see below
+ * </pre>
+ * All cryptographic operations are performed using the WebCrypto API. The private keys are
+ * generated as non-extractable keys so they can be used, but never read, by the application.
+ * The keys are persisted in an IndexedDB database by default. The algorithms are the same as
+ * those used by the v2 software security module so the two are fully interoperable for signing.
+ * Encryption is not supported since a non-extractable Ed25519 private key cannot be converted
+ * into the X25519 private key that the v2 protocol uses to decrypt the bytes.
+ */
+const bali = require('bali-component-framework').api();
+const IndexedStorage = require('../utilities/IndexedStorage').IndexedStorage;
+
+
+// PRIVATE CONSTANTS
+
+// the algorithms for this version of the protocol
+const PROTOCOL = 'v2';
+const DIGEST = 'SHA-512';
+const SIGNATURE = 'Ed25519';
+
+// define the finite state machine
+const REQUESTS = [  //     possible request types
+              '$generateKeys', '$signBytes', '$rotateKeys', '$rollbackKeys'
+];
+const STATES = {
+//   current                allowed next states
+    $keyless: [ '$loneKey',      undefined,    undefined,     undefined   ],
+    $loneKey: [  undefined,     '$loneKey',   '$twoKeys',    '$loneKey'   ],
+    $twoKeys: [  undefined,     '$loneKey',    undefined,    '$loneKey'   ]
+};
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new instance of a web browser based security module.
+ *
+ * @param {Object} storage An optional storage adapter that is capable of storing structurally
+ * clonable values (including non-extractable WebCrypto keys). If no storage adapter is
+ * specified, the keys are stored in an IndexedDB database.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @returns {Object} The new web security module.
+ */
+const SSM = function(storage, debug) {
+    // validate the arguments
+    if (debug === null || debug === undefined) debug = 0;  // default is off
+    if (debug > 1) {
+        const validator = bali.validator(debug);
+        validator.validateType('/bali/notary/' + PROTOCOL + '/WebSSM', '$SSM', '$storage', storage, [
+            '/javascript/Undefined',
+            '/javascript/Object'
+        ]);
+    }
+
+    // setup the configuration
+    const name = 'SSM' + PROTOCOL;
+    storage = storage || new IndexedStorage(undefined, debug);
+    var configuration, controller;
+
+    /**
+     * This method returns a string describing the attributes of the SSM. It must not be an
+     * asynchronous function since it is part of the JavaScript language.
+     *
+     * @returns {String} A string describing the attributes of the SSM.
+     */
+    this.toString = function() {
+        const catalog = bali.catalog({
+            $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+            $protocol: PROTOCOL,
+            $digest: DIGEST,
+            $signature: SIGNATURE
+        });
+        return catalog.toString();
+    };
+
+    /**
+     * This method returns the unique tag for the security module.
+     *
+     * @returns {Tag} The unique tag for the security module.
+     */
+    this.getTag = async function() {
+        try {
+            // load the current configuration if necessary
+            if (!configuration) {
+                configuration = await loadConfiguration(storage, name, debug);
+                controller = bali.controller(REQUESTS, STATES, configuration.state, debug);
+            }
+
+            return bali.component(configuration.tag);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$getTag',
+                $exception: '$unexpected',
+                $text: 'The tag for the security module could not be retrieved.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns the version of the security protocol supported by this
+     * security module.
+     *
+     * @returns {Version} The version string of the security protocol supported by this security
+     * module.
+     */
+    this.getProtocol = async function() {
+        try {
+            return bali.component(PROTOCOL);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$getProtocol',
+                $exception: '$unexpected',
+                $text: 'The protocol supported by the security module could not be retrieved.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method generates a new public-private key pair.
+     *
+     * @returns {Binary} A binary string containing the new public key.
+     */
+    this.generateKeys = async function() {
+        try {
+            // check the current state
+            if (!configuration) {
+                configuration = await loadConfiguration(storage, name, debug);
+                controller = bali.controller(REQUESTS, STATES, configuration.state, debug);
+            }
+            controller.validateEvent('$generateKeys');
+
+            // generate a new key pair
+            const keys = await generateKeyPair();
+            configuration.publicKey = keys.publicKey;
+            configuration.privateKey = keys.privateKey;
+
+            // update the configuration
+            configuration.state = controller.transitionState('$generateKeys');
+            await storeConfiguration(storage, name, configuration, debug);
+
+            return binaryString(configuration.publicKey);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$generateKeys',
+                $exception: '$unexpected',
+                $text: 'A new key pair could not be generated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method replaces the existing public-private key pair with a new one.
+     *
+     * @returns {Binary} A binary string containing the new public key.
+     */
+    this.rotateKeys = async function() {
+        try {
+            // check the current state
+            if (!configuration) {
+                configuration = await loadConfiguration(storage, name, debug);
+                controller = bali.controller(REQUESTS, STATES, configuration.state, debug);
+            }
+            controller.validateEvent('$rotateKeys');
+
+            // save the previous key pair and forget the signature from any previous rotation
+            delete configuration.rotationDigest;
+            delete configuration.rotationSignature;
+            configuration.previousPublicKey = configuration.publicKey;
+            configuration.previousPrivateKey = configuration.privateKey;
+
+            // generate a new key pair
+            const keys = await generateKeyPair();
+            configuration.publicKey = keys.publicKey;
+            configuration.privateKey = keys.privateKey;
+
+            // update the configuration
+            configuration.state = controller.transitionState('$rotateKeys');
+            await storeConfiguration(storage, name, configuration, debug);
+
+            return binaryString(configuration.publicKey);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$rotateKeys',
+                $exception: '$unexpected',
+                $text: 'The key pair could not be rotated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method restores the previous public-private key pair after a rotation that was
+     * never completed by signing a new certificate. The new key pair is discarded. If there
+     * is no previous key pair the current key pair is kept.
+     *
+     * @returns {Binary} A binary string containing the current public key.
+     */
+    this.rollbackKeys = async function() {
+        try {
+            // check the current state
+            if (!configuration) {
+                configuration = await loadConfiguration(storage, name, debug);
+                controller = bali.controller(REQUESTS, STATES, configuration.state, debug);
+            }
+            controller.validateEvent('$rollbackKeys');
+
+            // restore the previous key pair (if there is one)
+            if (configuration.previousPrivateKey) {
+                configuration.publicKey = configuration.previousPublicKey;
+                configuration.privateKey = configuration.previousPrivateKey;
+                delete configuration.previousPublicKey;
+                delete configuration.previousPrivateKey;
+            }
+
+            // update the configuration
+            configuration.state = controller.transitionState('$rollbackKeys');
+            await storeConfiguration(storage, name, configuration, debug);
+
+            return binaryString(configuration.publicKey);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$rollbackKeys',
+                $exception: '$unexpected',
+                $text: 'The previous key pair could not be restored.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method deletes any existing public-private key pairs.
+     *
+     * @returns {Boolean} Whether or not the keys were successfully erased.
+     */
+    this.eraseKeys = async function() {
+        try {
+            // delete the current configuration
+            await deleteConfiguration(storage, name, debug);
+            configuration = undefined;
+
+            return true;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$eraseKeys',
+                $exception: '$unexpected',
+                $text: 'The keys could not be erased.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns a cryptographically secure digital digest of the
+     * specified bytes. The generated digital digest will always be the same
+     * for the same bytes.
+     *
+     * @param {Buffer} bytes The bytes to be digested.
+     * @returns {Binary} A binary string containing a digital digest of the bytes.
+     */
+    this.digestBytes = async function(bytes) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/WebSSM', '$digestBytes', '$bytes', bytes, [
+                    '/nodejs/Buffer'
+                ]);
+            }
+
+            // generate the digital digest of the bytes
+            const digest = await subtle().digest(DIGEST, bytes);
+
+            return binaryString(digest);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$digestBytes',
+                $exception: '$unexpected',
+                $text: 'A digest of the bytes could not be generated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method returns a cryptographically secure digital digest of the bytes
+     * read from the specified stream. The WebCrypto API does not support incremental
+     * digests so the bytes are buffered in memory before they are digested. The
+     * generated digital digest will always be the same as the digest of the same
+     * bytes using digestBytes().
+     *
+     * @param {Readable} stream A readable (async iterable) stream containing the bytes to
+     * be digested.
+     * @returns {Binary} A binary string containing a digital digest of the bytes.
+     */
+    this.digestStream = async function(stream) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/WebSSM', '$digestStream', '$stream', stream, [
+                    '/javascript/Object'
+                ]);
+            }
+
+            // read all of the bytes and then digest them
+            const chunks = [];
+            for await (const chunk of stream) {
+                chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : new Uint8Array(chunk));
+            }
+            const digest = await subtle().digest(DIGEST, concatenateBytes(chunks));
+
+            return binaryString(digest);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$digestStream',
+                $exception: '$unexpected',
+                $text: 'A digest of the stream could not be generated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method generates a digital signature of the specified bytes using
+     * the current private key (or the old private key, one time only, if it exists).
+     * This allows a new certificate to be signed using the previous private key.
+     * The resulting digital signature can then be verified using the corresponding
+     * public key. The signature generated using the old private key is kept so that
+     * if the same bytes are signed again (e.g. while recovering from a failure during
+     * a key rotation) the same signature is returned.
+     *
+     * @param {Buffer} bytes The bytes to be digitally signed.
+     * @returns {Binary} A binary string containing the resulting digital signature.
+     */
+    this.signBytes = async function(bytes) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/WebSSM', '$signBytes', '$bytes', bytes, [
+                    '/nodejs/Buffer'
+                ]);
+            }
+
+            // check the current state
+            if (!configuration) {
+                configuration = await loadConfiguration(storage, name, debug);
+                controller = bali.controller(REQUESTS, STATES, configuration.state, debug);
+            }
+            controller.validateEvent('$signBytes');
+
+            // return the signature from the last rotation if the same bytes are signed again
+            const digest = new Uint8Array(await subtle().digest(DIGEST, bytes));
+            if (configuration.rotationDigest && equalBytes(digest, configuration.rotationDigest)) {
+                return binaryString(configuration.rotationSignature);
+            }
+
+            // retrieve the private key
+            var privateKey;
+            const rotating = !!configuration.previousPrivateKey;
+            if (rotating) {
+                // the bytes define a certificate containing the new public key, so sign
+                // it using the old private key to enforce a valid certificate chain
+                privateKey = configuration.previousPrivateKey;
+                delete configuration.previousPublicKey;
+                delete configuration.previousPrivateKey;
+            } else {
+                privateKey = configuration.privateKey;
+            }
+
+            // digitally sign the bytes using the private key
+            const signature = new Uint8Array(await subtle().sign({name: SIGNATURE}, privateKey, bytes));
+            if (rotating) {
+                configuration.rotationDigest = digest;
+                configuration.rotationSignature = signature;
+            }
+
+            // update the configuration
+            configuration.state = controller.transitionState('$signBytes');
+            await storeConfiguration(storage, name, configuration, debug);
+
+            return binaryString(signature);
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$signBytes',
+                $exception: '$unexpected',
+                $text: 'A digital signature of the bytes could not be generated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method uses the specified public key to determine whether or not
+     * the specified digital signature was generated using the corresponding
+     * private key on the specified bytes.
+     *
+     * @param {Binary} aPublicKey A binary string containing the public key to be
+     * used to validate the signature.
+     * @param {Binary} signature A binary string containing the digital signature
+     * allegedly generated using the corresponding private key.
+     * @param {Buffer} bytes The digitally signed bytes.
+     * @returns {Boolean} Whether or not the digital signature is valid.
+     */
+    this.validSignature = async function(aPublicKey, signature, bytes) {
+        try {
+            // validate the arguments
+            if (debug > 1) {
+                const validator = bali.validator(debug);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/WebSSM', '$validSignature', '$aPublicKey', aPublicKey, [
+                    '/bali/elements/Binary'
+                ]);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/WebSSM', '$validSignature', '$signature', signature, [
+                    '/bali/elements/Binary'
+                ]);
+                validator.validateType('/bali/notary/' + PROTOCOL + '/WebSSM', '$validSignature', '$bytes', bytes, [
+                    '/nodejs/Buffer'
+                ]);
+            }
+
+            // check the signature on the bytes
+            const publicKey = await subtle().importKey('raw', aPublicKey.getValue(), {name: SIGNATURE}, true, ['verify']);
+            const isValid = await subtle().verify({name: SIGNATURE}, publicKey, signature.getValue(), bytes);
+
+            return isValid;
+        } catch (cause) {
+            const exception = bali.exception({
+                $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+                $procedure: '$validSignature',
+                $exception: '$unexpected',
+                $text: 'The digital signature of the bytes could not be validated.'
+            }, cause);
+            if (debug > 0) console.error(exception.toString());
+            throw exception;
+        }
+    };
+
+    /**
+     * This method is not supported by the web security module, the bytes must be encrypted
+     * using a software security module instead.
+     *
+     * @param {Binary} aPublicKey A binary string containing the public key of the recipient.
+     * @param {Buffer} bytes The bytes to be encrypted.
+     */
+    this.encryptBytes = async function(aPublicKey, bytes) {
+        throw unsupportedOperation('$encryptBytes', debug);
+    };
+
+    /**
+     * This method is not supported by the web security module since the private key cannot
+     * be used to agree on the key that decrypts the bytes.
+     *
+     * @param {Binary} encrypted A binary string containing the encrypted bytes.
+     */
+    this.decryptBytes = async function(encrypted) {
+        throw unsupportedOperation('$decryptBytes', debug);
+    };
+
+    return this;
+};
+SSM.prototype.constructor = SSM;
+exports.SSM = SSM;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function creates (and logs) an exception for an operation that the web security module
+ * does not support.
+ *
+ * @param {String} procedure The name of the unsupported operation.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level
+ * of debugging that occurs.
+ * @returns {Exception} The new exception.
+ */
+const unsupportedOperation = function(procedure, debug) {
+    const exception = bali.exception({
+        $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+        $procedure: procedure,
+        $exception: '$unsupportedOperation',
+        $text: 'The web security module does not support encryption.'
+    });
+    if (debug > 0) console.error(exception.toString());
+    return exception;
+};
+
+
+/**
+ * This function creates a binary string containing the specified bytes. The component framework
+ * keeps the bytes of a binary string in a Buffer, so this is the only place that the web security
+ * module needs one (a web application must provide the Buffer polyfill for the framework anyway).
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes The bytes.
+ * @returns {Binary} A binary string containing the bytes.
+ */
+const binaryString = function(bytes) {
+    return bali.binary(Buffer.from(bytes));
+};
+
+
+/**
+ * This function concatenates the specified arrays of bytes.
+ *
+ * @param {Array} chunks An array containing the arrays of bytes.
+ * @returns {Uint8Array} A single array containing all of the bytes.
+ */
+const concatenateBytes = function(chunks) {
+    const length = chunks.reduce(function(total, chunk) { return total + chunk.length; }, 0);
+    const bytes = new Uint8Array(length);
+    var offset = 0;
+    chunks.forEach(function(chunk) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+};
+
+
+/**
+ * This function determines whether or not two arrays of bytes contain the same bytes.
+ *
+ * @param {Uint8Array} first The first array of bytes.
+ * @param {Uint8Array} second The second array of bytes.
+ * @returns {Boolean} Whether or not the arrays contain the same bytes.
+ */
+const equalBytes = function(first, second) {
+    if (first.length !== second.length) return false;
+    return first.every(function(value, index) { return value === second[index]; });
+};
+
+
+/**
+ * This function returns the WebCrypto subtle interface for the current environment.
+ *
+ * @returns {SubtleCrypto} The WebCrypto subtle interface.
+ */
+const subtle = function() {
+    if (!globalThis.crypto || !globalThis.crypto.subtle) throw Error('WebCrypto is not supported by this environment.');
+    return globalThis.crypto.subtle;
+};
+
+
+/**
+ * This function generates a new public-private key pair. The private key is not extractable.
+ *
+ * @returns {Object} An object containing the raw public key and the private key.
+ */
+const generateKeyPair = async function() {
+    const keys = await subtle().generateKey({name: SIGNATURE}, false, ['sign', 'verify']);
+    const publicKey = await subtle().exportKey('raw', keys.publicKey);  // public keys are always extractable
+    return {
+        publicKey: new Uint8Array(publicKey),
+        privateKey: keys.privateKey
+    };
+};
+
+
+/**
+ * This function uses a storage adapter to store out the specified configuration.
+ *
+ * @param {Object} storage A storage adapter for structurally clonable values.
+ * @param {String} name The name of the configuration.
+ * @param {Object} configuration An object containing the current configuration to be stored.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ */
+const storeConfiguration = async function(storage, name, configuration, debug) {
+    try {
+        await storage.store(name, configuration);
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+            $procedure: '$storeConfiguration',
+            $exception: '$storageException',
+            $text: 'The attempt to store the current configuration failed.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+/**
+ * This function uses a storage adapter to load the current configuration.
+ *
+ * @param {Object} storage A storage adapter for structurally clonable values.
+ * @param {String} name The name of the configuration.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ * @returns {Object} An object containing the current configuration.
+ */
+const loadConfiguration = async function(storage, name, debug) {
+    try {
+        var configuration = await storage.load(name);
+        if (!configuration) {
+            configuration = {
+                tag: bali.tag().toString(),  // new random tag
+                state: '$keyless'
+            };
+            await storeConfiguration(storage, name, configuration, debug);
+        }
+        return configuration;
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+            $procedure: '$loadConfiguration',
+            $exception: '$storageException',
+            $text: 'The attempt to load the current configuration failed.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
+
+
+/**
+ * This function uses a storage adapter to delete the current configuration.
+ *
+ * @param {Object} storage A storage adapter for structurally clonable values.
+ * @param {String} name The name of the configuration.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls
+ * the level of debugging that occurs:
+ */
+const deleteConfiguration = async function(storage, name, debug) {
+    try {
+        await storage.delete(name);
+    } catch (cause) {
+        const exception = bali.exception({
+            $module: '/bali/notary/' + PROTOCOL + '/WebSSM',
+            $procedure: '$deleteConfiguration',
+            $exception: '$storageException',
+            $text: 'The attempt to delete the current configuration failed.'
+        }, cause);
+        if (debug > 0) console.error(exception.toString());
+        throw exception;
+    }
+};
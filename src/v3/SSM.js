@@ -0,0 +1,171 @@
+/************************************************************************
+ * Copyright (c) Crater Dog Technologies(TM).  All Rights Reserved.     *
+ ************************************************************************
+ * DO NOT ALTER OR REMOVE COPYRIGHT NOTICES OR THIS FILE HEADER.        *
+ *                                                                      *
+ * This code is free software; you can redistribute it and/or modify it *
+ * under the terms of The MIT License (MIT), as published by the Open   *
+ * Source Initiative. (See http://opensource.org/licenses/MIT)          *
+ ************************************************************************/
+'use strict';
+
+///////////////////////////////////////////////////////////////////////////////////////
+// This module should only be used for LOCAL TESTING, or on a PHYSICALLY SECURE      //
+// device.  It CANNOT guarantee the protection of the private keys from people and   //
+// other processes that have access to the RAM and storage devices for that device.  //
+//                             YOU HAVE BEEN WARNED!!!                               //
+///////////////////////////////////////////////////////////////////////////////////////
+
+/*
+ * This class implements a software security module for version 3 of the notary protocol. It
+ * uses SHA384 digests and ECDSA signatures on the NIST P-384 curve (in IEEE P1363 format), and
+ * encrypts bytes for the holder of a public key using ECDH key agreement with the same key pair.
+ * Everything else that the security module does (see the SoftwareSSM module) is common to every
+ * version of the protocol.
+ */
+const hasher = require('crypto');
+const SoftwareSSM = require('../utilities/SoftwareSSM').SoftwareSSM;
+
+
+// PRIVATE CONSTANTS
+
+// the algorithms for this version of the protocol
+const PROTOCOL = 'v3';
+const DIGEST = 'sha384';
+const SIGNATURE = 'P384';  // ECDSA on the NIST P-384 curve
+const CURVE = 'secp384r1';  // NIST P-384
+
+// the bytes encrypted for the holder of a public key begin with an ephemeral public key
+const EPHEMERAL = 120;  // the length of a DER encoded ephemeral public key
+
+
+// PUBLIC FUNCTIONS
+
+/**
+ * This function creates a new instance of a software security module (SSM).
+ *
+ * @param {String|Object} directory An optional storage adapter, or a directory to be used for
+ * local configuration storage. If neither is specified, a directory called '.bali/' is created
+ * in the home directory.
+ * @param {Boolean|Number} debug An optional number in the range [0..3] that controls the level of
+ * debugging that occurs:
+ * <pre>
+ *   0 (or false): no logging
+ *   1 (or true): log exceptions to console.error
+ *   2: perform argument validation and log exceptions to console.error
+ *   3: perform argument validation and log exceptions to console.error and debug info to console.log
+ * </pre>
+ * @param {String|Function} passphrase An optional passphrase, or an (asynchronous) function that
+ * returns the passphrase, that is used to encrypt the configuration at rest. A passphrase function
+ * is only called when the configuration is first unlocked.
+ * @returns {Object} The new software security module.
+ */
+const SSM = function(directory, debug, passphrase) {
+    SoftwareSSM.call(this, ALGORITHMS, directory, debug, passphrase);
+    return this;
+};
+SSM.prototype.constructor = SSM;
+exports.SSM = SSM;
+
+
+// PRIVATE FUNCTIONS
+
+/**
+ * This function generates a new public-private key pair on the elliptic curve used by
+ * this version of the protocol. The keys are DER encoded.
+ *
+ * @returns {Object} An object containing the new public and private keys as buffers.
+ */
+const generateKeys = function() {
+    return hasher.generateKeyPairSync('ec', {
+        namedCurve: CURVE,
+        publicKeyEncoding: {type: 'spki', format: 'der'},
+        privateKeyEncoding: {type: 'pkcs8', format: 'der'}
+    });
+};
+
+
+/**
+ * This function generates an ECDSA signature of the specified bytes.
+ *
+ * @param {Buffer} bytes The bytes to be signed.
+ * @param {Buffer} publicKey The DER encoded public key (not needed for this algorithm).
+ * @param {Buffer} privateKey The DER encoded private key.
+ * @returns {Buffer} The signature.
+ */
+const signBytes = function(bytes, publicKey, privateKey) {
+    const key = hasher.createPrivateKey({
+        key: privateKey,
+        format: 'der',
+        type: 'pkcs8'
+    });
+    return hasher.sign(DIGEST, bytes, {key: key, dsaEncoding: 'ieee-p1363'});
+};
+
+
+/**
+ * This function determines whether or not the specified ECDSA signature of the specified
+ * bytes is valid.
+ *
+ * @param {Buffer} publicKey The DER encoded public key.
+ * @param {Buffer} signature The signature.
+ * @param {Buffer} bytes The signed bytes.
+ * @returns {Boolean} Whether or not the signature is valid.
+ */
+const validSignature = function(publicKey, signature, bytes) {
+    const key = hasher.createPublicKey({
+        key: publicKey,
+        format: 'der',
+        type: 'spki'
+    });
+    return hasher.verify(DIGEST, bytes, {key: key, dsaEncoding: 'ieee-p1363'}, signature);
+};
+
+
+/**
+ * This function generates a new ephemeral key pair on the elliptic curve used by this version
+ * of the protocol. The public key is DER encoded.
+ *
+ * @returns {Object} An object containing the public key and the private key object.
+ */
+const generateAgreementKeys = function() {
+    const pair = generateKeys();
+    return {publicKey: pair.publicKey, privateKey: agreementPrivateKey(pair.privateKey)};
+};
+
+
+/**
+ * This function maps a DER encoded public key onto a public key object.
+ *
+ * @param {Buffer} publicKey The DER encoded public key.
+ * @returns {KeyObject} The public key object.
+ */
+const agreementPublicKey = function(publicKey) {
+    return hasher.createPublicKey({key: publicKey, format: 'der', type: 'spki'});
+};
+
+
+/**
+ * This function maps a DER encoded private key onto a private key object.
+ *
+ * @param {Buffer} privateKey The DER encoded private key.
+ * @returns {KeyObject} The private key object.
+ */
+const agreementPrivateKey = function(privateKey) {
+    return hasher.createPrivateKey({key: privateKey, format: 'der', type: 'pkcs8'});
+};
+
+
+// the algorithms used by the software security module for this version of the protocol
+const ALGORITHMS = {
+    protocol: PROTOCOL,
+    digest: DIGEST,
+    signature: SIGNATURE,
+    ephemeralLength: EPHEMERAL,
+    generateKeys: generateKeys,
+    signBytes: signBytes,
+    validSignature: validSignature,
+    generateAgreementKeys: generateAgreementKeys,
+    agreementPublicKey: agreementPublicKey,
+    agreementPrivateKey: agreementPrivateKey
+};
@@ -15,6 +15,9 @@ const chai = require('chai');
 const expect = chai.expect;
 const assert = require('assert');
 const fs = require('fs');
+const net = require('net');
+const stream = require('stream');
+const child = require('child_process');
 const bali = require('bali-component-framework').api(debug);
 const account = bali.tag();
 const directory = 'test/config/';
@@ -107,6 +110,53 @@ describe('Bali Digital Notary™', function() {
             expect(isValid).to.equal(true);
         });
 
+        it('should verify the credentials properly', async function() {
+            const salt = bali.tag();
+            credentials = await notary.generateCredentials(salt);
+            const authenticated = await service.verifyCredentials(credentials, certificate, {expectedSalt: salt});
+            expect(authenticated.isEqualTo(account)).to.equal(true);
+        });
+
+        it('should reject replayed credentials', async function() {
+            await assert.rejects(async function() {
+                await service.verifyCredentials(credentials, certificate);
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$replayedCredentials');
+                return true;
+            });
+        });
+
+        it('should reject mismatched credentials', async function() {
+            const salt = bali.tag();
+            credentials = await notary.generateCredentials(salt);
+            await assert.rejects(async function() {
+                await service.verifyCredentials(credentials, certificate, {expectedSalt: bali.tag()});
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$saltMismatch');
+                return true;
+            });
+            await assert.rejects(async function() {
+                await service.verifyCredentials(certificate, certificate);
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidCredentials');
+                return true;
+            });
+        });
+
+        it('should reject stale credentials', async function() {
+            credentials = await notary.generateCredentials();
+            await new Promise(function(resolve) { setTimeout(resolve, 10); });
+            await assert.rejects(async function() {
+                await service.verifyCredentials(credentials, certificate, {
+                    maxAge: bali.duration(1),
+                    clockSkew: bali.duration(1)
+                });
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$staleCredentials');
+                return true;
+            });
+        });
+
     });
 
     describe('Test Signing and Citations', function() {
@@ -160,7 +210,66 @@ describe('Bali Digital Notary™', function() {
 
     });
 
+    describe('Test Contract Inspection', function() {
+        var contract;
+
+        const failedChecks = function(report) {
+            const failed = [];
+            const iterator = report.getAttribute('$checks').getIterator();
+            while (iterator.hasNext()) {
+                const association = iterator.getNext();
+                if (!association.getValue().getAttribute('$passed').toBoolean()) {
+                    expect(association.getValue().getAttribute('$reason')).to.exist;
+                    failed.push(association.getKey().toString());
+                }
+            }
+            return failed;
+        };
+
+        it('should report that every check passed for a valid contract', async function() {
+            contract = await notary.notarizeDocument(document);
+            const report = await service.inspectContract(contract, certificate);
+            const html = report.toHTML(style) + '\n';  // add POSIX <EOL>
+            fs.writeFileSync('test/html/report.html', html, 'utf8');
+            expect(report.getAttribute('$valid').toBoolean()).to.equal(true);
+            expect(report.getAttribute('$checks').getSize()).to.equal(9);
+            expect(failedChecks(report)).to.eql([]);
+
+            const root = await service.inspectContract(certificate, certificate);
+            expect(failedChecks(root)).to.eql([]);
+        });
+
+        it('should report each failed check for an invalid contract', async function() {
+            var forgery = contract.duplicate();
+            forgery.setAttribute('$account', bali.tag());
+            var report = await service.inspectContract(forgery, certificate);
+            expect(report.getAttribute('$valid').toBoolean()).to.equal(false);
+            expect(failedChecks(report)).to.eql(['$accountMatch', '$signature']);
+
+            forgery = contract.duplicate();
+            forgery.setAttribute('$protocol', 'v9');
+            report = await service.inspectContract(forgery, certificate);
+            expect(failedChecks(report)).to.eql(['$protocolMatch', '$supportedProtocol', '$signature']);
+
+            report = await service.inspectContract(contract, contract);
+            expect(failedChecks(report)).to.eql(['$protocolMatch', '$certificateType', '$signature', '$citationDigest']);
+
+            const malformed = certificate.duplicate();
+            malformed.getAttribute('$document').removeAttributes(['$notBefore']);
+            malformed.getAttribute('$document').setAttribute('$notYet', bali.moment());
+            report = await service.inspectContract(contract, malformed);
+            expect(failedChecks(report)).to.include('$certificateType');
+
+            forgery = contract.duplicate();
+            forgery.removeAttributes(['$timestamp']);
+            report = await service.inspectContract(forgery, certificate);
+            expect(failedChecks(report)).to.eql(['$structure', '$signature', '$validityPeriod']);
+        });
+
+    });
+
     describe('Test Key Rotation', function() {
+        var previousCertificate;
 
         it('should refresh a notary key properly', async function() {
             var newCertificate = await notary.refreshKey();
@@ -183,9 +292,345 @@ describe('Bali Digital Notary™', function() {
             isValid = await notary.validContract(contract, newCertificate);
             expect(isValid).to.equal(true);
 
+            previousCertificate = certificate;
             certificate = newCertificate;
         });
 
+        it('should validate the certificate chain properly', async function() {
+            var isValid = await service.validCertificateChain(bali.list([certificate, previousCertificate]));
+            expect(isValid).to.equal(true);
+
+            isValid = await service.validCertificateChain(bali.list([previousCertificate]));
+            expect(isValid).to.equal(true);
+
+            isValid = await service.validCertificateChain(bali.list([certificate]));
+            expect(isValid).to.equal(false);
+
+            isValid = await service.validCertificateChain(bali.list([previousCertificate, certificate]));
+            expect(isValid).to.equal(false);
+
+            const forgery = certificate.duplicate();
+            forgery.getAttribute('$document').setParameter('$version', 'v3');
+            isValid = await service.validCertificateChain(bali.list([forgery, previousCertificate]));
+            expect(isValid).to.equal(false);
+        });
+
+    });
+
+    describe('Test Certificate Validity Periods', function() {
+        const periodDirectory = 'test/config/period/';
+        const periodNotary = api.test(bali.tag(), periodDirectory, debug);
+        var rootCertificate, contract;
+
+        it('should create certificates with validity periods', async function() {
+            const lifetime = bali.component('~PT1S');
+            const publicKey = await periodNotary.generateKey(lifetime);
+            expect(publicKey.getParameter('$type').toString()).to.equal('/bali/notary/Certificate/v3');
+            const notBefore = publicKey.getAttribute('$notBefore');
+            const notAfter = publicKey.getAttribute('$notAfter');
+            expect(notAfter.isEqualTo(bali.moment.later(notBefore, lifetime))).to.equal(true);
+            rootCertificate = await periodNotary.notarizeDocument(publicKey);
+            await periodNotary.activateKey(rootCertificate);
+            var isValid = await service.validCertificateChain(bali.list([rootCertificate]));
+            expect(isValid).to.equal(true);
+            contract = await periodNotary.notarizeDocument(document);
+            isValid = await service.validContract(contract, rootCertificate);
+            expect(isValid).to.equal(true);
+        });
+
+        it('should reject contracts notarized after the certificate expired', async function() {
+            await new Promise(function(resolve) { setTimeout(resolve, 1100); });
+            const late = await periodNotary.notarizeDocument(document);
+            var isValid = await service.validContract(late, rootCertificate);
+            expect(isValid).to.equal(false);
+            isValid = await service.validContract(contract, rootCertificate);
+            expect(isValid).to.equal(true);
+
+            const report = await service.inspectContract(late, rootCertificate);
+            const checks = report.getAttribute('$checks');
+            expect(checks.getAttribute('$signature').getAttribute('$passed').toBoolean()).to.equal(true);
+            expect(checks.getAttribute('$validityPeriod').getAttribute('$passed').toBoolean()).to.equal(false);
+        });
+
+        it('should refresh a notary key with a new lifetime', async function() {
+            const newCertificate = await periodNotary.refreshKey(undefined, bali.component('~P1D'));
+            var isValid = await service.validCertificateChain(bali.list([newCertificate, rootCertificate]));
+            expect(isValid).to.equal(false);  // certified by an expired notary key
+
+            const lateCertificate = await periodNotary.refreshKey();  // keeps the same lifetime
+            const document = lateCertificate.getAttribute('$document');
+            const lifetime = bali.moment.duration(document.getAttribute('$notBefore'), document.getAttribute('$notAfter'));
+            expect(lifetime.isEqualTo(bali.component('~P1D'))).to.equal(true);
+            isValid = await service.validContract(lateCertificate, newCertificate);
+            expect(isValid).to.equal(true);
+            await periodNotary.forgetKey();
+        });
+
+    });
+
+    describe('Test Certificate Usages', function() {
+        const kioskDirectory = 'test/config/kiosk/';
+        const kiosk = api.test(bali.tag(), kioskDirectory, debug);
+        const issuerDirectory = 'test/config/issuer/';
+        const issuer = api.test(bali.tag(), issuerDirectory, debug);
+        var kioskCertificate, issuerCertificate;
+
+        it('should restrict a notary key to authentication', async function() {
+            const publicKey = await kiosk.generateKey(undefined, bali.component('[$credentials]'));
+            kioskCertificate = await kiosk.notarizeDocument(publicKey);
+            await kiosk.activateKey(kioskCertificate);
+            var isValid = await service.validCertificateChain(bali.list([kioskCertificate]));
+            expect(isValid).to.equal(true);
+
+            const salt = bali.tag();
+            const credentials = await kiosk.generateCredentials(salt);
+            const authenticated = await service.verifyCredentials(credentials, kioskCertificate, {expectedSalt: salt});
+            expect(authenticated.isEqualTo(kioskCertificate.getAttribute('$account'))).to.equal(true);
+
+            await assert.rejects(async function() {
+                await kiosk.notarizeDocument(document);
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$usageNotPermitted');
+                return true;
+            });
+            await assert.rejects(async function() {
+                await kiosk.refreshKey();
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$usageNotPermitted');
+                return true;
+            });
+            const recovery = await kiosk.recover();
+            expect(recovery.getAttribute('$recovery').toString()).to.equal('$none');
+            await kiosk.forgetKey();
+        });
+
+        it('should restrict a notary key to document types', async function() {
+            const usages = bali.component('[$certification, "/bali/examples/.*"?]');
+            const publicKey = await issuer.generateKey(undefined, usages);
+            issuerCertificate = await issuer.notarizeDocument(publicKey);
+            await issuer.activateKey(issuerCertificate);
+            const contract = await issuer.notarizeDocument(document);
+            var isValid = await service.validContract(contract, issuerCertificate);
+            expect(isValid).to.equal(true);
+            await assert.rejects(async function() {
+                await issuer.generateCredentials();
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$usageNotPermitted');
+                return true;
+            });
+
+            const newCertificate = await issuer.refreshKey();
+            expect(newCertificate.getAttribute('$document').getAttribute('$usages').isEqualTo(usages)).to.equal(true);
+            isValid = await service.validCertificateChain(bali.list([newCertificate, issuerCertificate]));
+            expect(isValid).to.equal(true);
+            await issuer.forgetKey();
+        });
+
+        it('should reject contracts for documents the certificate does not permit', async function() {
+            const contract = await notary.notarizeDocument(document);
+            const restricted = certificate.duplicate();
+            restricted.getAttribute('$document').setAttribute('$usages', bali.component('[/bali/examples/Other/v1]'));
+            var isValid = await service.validContract(contract, restricted);
+            expect(isValid).to.equal(false);
+            const report = await service.inspectContract(contract, restricted);
+            const check = report.getAttribute('$checks').getAttribute('$permittedUsage');
+            expect(check.getAttribute('$passed').toBoolean()).to.equal(false);
+            expect(report.getAttribute('$checks').getAttribute('$signature').getAttribute('$passed').toBoolean()).to.equal(true);
+
+            restricted.getAttribute('$document').setAttribute('$usages', bali.component('[/bali/examples/Content/v1]'));
+            isValid = await service.validContract(contract, restricted);
+            expect(isValid).to.equal(true);
+        });
+
+        it('should only exempt the signing certificate itself from the certification usage', async function() {
+            const storage = api.memoryStorage(debug);
+            const ssm = api.ssmV2(storage, debug);
+            const restricted = api.notary(ssm, bali.tag(), storage, debug);
+            const publicKey = await restricted.generateKey(undefined, bali.component('[$credentials]'));
+            const restrictedCertificate = await restricted.notarizeDocument(publicKey);
+            await restricted.activateKey(restrictedCertificate);
+            var isValid = await service.validContract(restrictedCertificate, restrictedCertificate);
+            expect(isValid).to.equal(true);
+
+            // a self-signed contract for any other certificate requires $certification
+            const contract = bali.catalog({
+                $protocol: restrictedCertificate.getAttribute('$protocol'),
+                $timestamp: bali.moment(),  // now
+                $account: restrictedCertificate.getAttribute('$account'),
+                $document: bali.catalog({
+                    $publicKey: bali.binary(crypto.randomBytes(32))
+                }, {
+                    $type: '/bali/notary/Certificate/v9'
+                }),
+                $certificate: bali.pattern.NONE
+            }, {
+                $type: '/bali/notary/Contract/v1'
+            });
+            contract.setAttribute('$signature', await ssm.signBytes(Buffer.from(contract.toString(), 'utf8')));
+            isValid = await service.validContract(contract, restrictedCertificate);
+            expect(isValid).to.equal(false);
+            const report = await service.inspectContract(contract, restrictedCertificate);
+            expect(report.getAttribute('$checks').getAttribute('$permittedUsage').getAttribute('$passed').toBoolean()).to.equal(false);
+            expect(report.getAttribute('$checks').getAttribute('$signature').getAttribute('$passed').toBoolean()).to.equal(true);
+            await restricted.forgetKey();
+        });
+
+    });
+
+    describe('Test Delegated Device Keys', function() {
+        const deviceDirectory = 'test/config/device/';
+        const device = api.test(account, deviceDirectory, debug);
+        const runnerDirectory = 'test/config/runner/';
+        const runner = api.test(account, runnerDirectory, debug);
+        var delegation, contract;
+
+        it('should delegate to a device key', async function() {
+            const deviceCertificate = await device.generateKey();
+            delegation = await notary.delegateKey(deviceCertificate, bali.component('["/bali/examples/.*"?]'), bali.component('~P1D'));
+            const html = delegation.toHTML(style) + '\n';  // add POSIX <EOL>
+            fs.writeFileSync('test/html/delegation.html', html, 'utf8');
+            expect(delegation.getAttribute('$document').getParameter('$type').toString()).to.equal('/bali/notary/Delegation/v1');
+            var isValid = await service.validContract(delegation, certificate);
+            expect(isValid).to.equal(true);
+            await device.activateKey(delegation);
+
+            contract = await device.notarizeDocument(document);
+            isValid = await service.validDelegatedContract(contract, delegation, certificate);
+            expect(isValid).to.equal(true);
+            isValid = await service.validContract(contract, certificate);
+            expect(isValid).to.equal(false);
+        });
+
+        it('should restrict the device key to the delegation', async function() {
+            for (const operation of [
+                async function() { await device.generateCredentials(); },
+                async function() { await device.refreshKey(); },
+                async function() { await device.delegateKey(await runner.generateKey(), bali.list(), bali.component('~P1D')); }
+            ]) {
+                await assert.rejects(operation, function(exception) {
+                    const expected = ['$usageNotPermitted', '$delegatedKey'];
+                    expect(expected).to.include(exception.getAttribute('$exception').toString());
+                    return true;
+                });
+            }
+
+            const forgery = contract.duplicate();
+            forgery.getAttribute('$document').setAttribute('$foo', 'baz');
+            var isValid = await service.validDelegatedContract(forgery, delegation, certificate);
+            expect(isValid).to.equal(false);
+            isValid = await service.validDelegatedContract(contract, delegation, certificate, bali.list());
+            expect(isValid).to.equal(true);
+            isValid = await service.validDelegatedContract(contract, contract, certificate);
+            expect(isValid).to.equal(false);
+        });
+
+        it('should bound the delegation by the usages of the notary key', async function() {
+            const boundedAccount = bali.tag();
+            const bounded = api.test(boundedAccount, api.memoryStorage(debug), debug);
+            const boundedDevice = api.test(boundedAccount, api.memoryStorage(debug), debug);
+            const publicKey = await bounded.generateKey(undefined, bali.component('[$delegation, /bali/examples/Content/v1]'));
+            const boundedCertificate = await bounded.notarizeDocument(publicKey);
+            await bounded.activateKey(boundedCertificate);
+            const deviceCertificate = await boundedDevice.generateKey();
+            for (const scope of [
+                bali.component('[/bali/examples/Other/v1]'),
+                bali.component('["/bali/examples/.*"?]'),
+                bali.component('[$credentials]'),
+                bali.pattern.NONE
+            ]) {
+                await assert.rejects(async function() {
+                    await bounded.delegateKey(deviceCertificate, scope, bali.component('~P1D'));
+                }, function(exception) {
+                    expect(exception.getAttribute('$exception').toString()).to.equal('$usageNotPermitted');
+                    return true;
+                });
+            }
+            const boundedDelegation = await bounded.delegateKey(deviceCertificate, bali.component('[/bali/examples/Content/v1]'), bali.component('~P1D'));
+            var isValid = await service.validContract(boundedDelegation, boundedCertificate);
+            expect(isValid).to.equal(true);
+
+            // the certificate also bounds delegations that were notarized with a wider scope
+            const restricted = certificate.duplicate();
+            restricted.getAttribute('$document').setAttribute('$usages', bali.component('[$delegation, /bali/examples/Other/v1]'));
+            isValid = await service.validDelegatedContract(contract, delegation, restricted);
+            expect(isValid).to.equal(false);
+            restricted.getAttribute('$document').setAttribute('$usages', bali.component('[$delegation, /bali/examples/Content/v1]'));
+            isValid = await service.validDelegatedContract(contract, delegation, restricted);
+            expect(isValid).to.equal(true);
+            await bounded.forgetKey();
+            await boundedDevice.forgetKey();
+        });
+
+        it('should reject contracts notarized after the delegation expired', async function() {
+            await runner.forgetKey();
+            const runnerCertificate = await runner.generateKey();
+            const shortDelegation = await notary.delegateKey(runnerCertificate, bali.component('[/bali/examples/Content/v1]'), bali.component('~PT1S'));
+            await runner.activateKey(shortDelegation);
+            const early = await runner.notarizeDocument(document);
+            var isValid = await service.validDelegatedContract(early, shortDelegation, certificate);
+            expect(isValid).to.equal(true);
+            isValid = await service.validDelegatedContract(early, delegation, certificate);
+            expect(isValid).to.equal(false);
+
+            await new Promise(function(resolve) { setTimeout(resolve, 1100); });
+            const late = await runner.notarizeDocument(document);
+            isValid = await service.validDelegatedContract(late, shortDelegation, certificate);
+            expect(isValid).to.equal(false);
+            await runner.forgetKey();
+            await device.forgetKey();
+        });
+
+    });
+
+    describe('Test Document Encryption', function() {
+        const v3Directory = 'test/config/sealed/';
+        const v3Notary = api.notary(api.ssmV3(v3Directory, debug), bali.tag(), v3Directory, debug);
+        const outsiderDirectory = 'test/config/outsider/';
+        const outsider = api.test(bali.tag(), outsiderDirectory, debug);
+        var envelope;
+
+        it('should seal a document for recipients using different protocols', async function() {
+            const v3Certificate = await v3Notary.notarizeDocument(await v3Notary.generateKey());
+            await v3Notary.activateKey(v3Certificate);
+            envelope = await service.encryptDocument(document, bali.list([certificate, v3Certificate]));
+            const html = envelope.toHTML(style) + '\n';  // add POSIX <EOL>
+            fs.writeFileSync('test/html/envelope.html', html, 'utf8');
+            expect(envelope.getParameter('$type').toString()).to.equal('/bali/notary/Envelope/v1');
+            expect(envelope.getAttribute('$recipients').getSize()).to.equal(2);
+            expect(envelope.toString()).to.not.include('$foo');
+
+            var opened = await notary.decryptDocument(envelope);
+            expect(opened.isEqualTo(document)).to.equal(true);
+            opened = await v3Notary.decryptDocument(bali.component(envelope.toString()));
+            expect(opened.isEqualTo(document)).to.equal(true);
+        });
+
+        it('should not open an envelope for anyone else', async function() {
+            await outsider.activateKey(await outsider.notarizeDocument(await outsider.generateKey()));
+            await assert.rejects(async function() {
+                await outsider.decryptDocument(envelope);
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$notRecipient');
+                return true;
+            });
+            await outsider.forgetKey();
+        });
+
+        it('should not open an envelope that has been modified', async function() {
+            const tampered = envelope.duplicate();
+            const recipient = tampered.getAttribute('$recipients').getItem(1);
+            const bytes = Buffer.from(recipient.getAttribute('$ciphertext').getValue());
+            bytes[bytes.length - 1] ^= 0x01;
+            recipient.setAttribute('$ciphertext', bali.binary(bytes));
+            await assert.rejects(async function() {
+                await notary.decryptDocument(tampered);
+            }, function(exception) {
+                expect(exception.cause.getAttribute('$exception').toString()).to.equal('$invalidCiphertext');
+                return true;
+            });
+            await v3Notary.forgetKey();
+        });
+
     });
 
     describe('Test Multiple Notarizations', function() {
@@ -209,6 +654,1159 @@ describe('Bali Digital Notary™', function() {
 
     });
 
+    describe('Test Document History', function() {
+
+        const nextVersion = async function(previous, version) {
+            const next = previous.duplicate();
+            next.setParameter('$version', version);
+            next.setParameter('$previous', await notary.citeDocument(previous));
+            return next;
+        };
+
+        it('should validate a consistent document history', async function() {
+            const v1 = document;
+            const v2 = await nextVersion(v1, 'v2');
+            const v3 = await nextVersion(v2, 'v3');
+            const contracts = bali.list([
+                await notary.notarizeDocument(v3),
+                await notary.notarizeDocument(v2),
+                await notary.notarizeDocument(v1)
+            ]);
+            const report = await service.validDocumentHistory(contracts);
+            expect(report.getAttribute('$valid').toBoolean()).to.equal(true);
+        });
+
+        it('should report the first broken link in a document history', async function() {
+            const v1 = document;
+            const v2 = await nextVersion(v1, 'v2');
+            const v3 = await nextVersion(v2, 'v3');
+
+            // the prior version was changed after it was cited
+            const altered = v2.duplicate();
+            altered.setAttribute('$foo', 'baz');
+            var report = await service.validDocumentHistory(bali.list([
+                await notary.notarizeDocument(v3),
+                await notary.notarizeDocument(altered),
+                await notary.notarizeDocument(v1)
+            ]));
+            expect(report.getAttribute('$valid').toBoolean()).to.equal(false);
+            expect(report.getAttribute('$index').toNumber()).to.equal(1);
+            expect(report.getAttribute('$reason').toString()).to.equal('$citationMismatch');
+
+            // a version was skipped
+            const v4 = await nextVersion(v2, 'v4');
+            report = await service.validDocumentHistory(bali.list([
+                await notary.notarizeDocument(v4),
+                await notary.notarizeDocument(v2),
+                await notary.notarizeDocument(v1)
+            ]));
+            expect(report.getAttribute('$index').toNumber()).to.equal(1);
+            expect(report.getAttribute('$reason').toString()).to.equal('$versionMismatch');
+
+            // the versions are in the wrong order
+            report = await service.validDocumentHistory(bali.list([
+                await notary.notarizeDocument(v1),
+                await notary.notarizeDocument(v2),
+                await notary.notarizeDocument(v3)
+            ]));
+            expect(report.getAttribute('$index').toNumber()).to.equal(1);
+            expect(report.getAttribute('$reason').toString()).to.equal('$missingPrevious');
+
+            // the tag was changed
+            const other = v2.duplicate();
+            other.setParameter('$tag', bali.tag());
+            report = await service.validDocumentHistory(bali.list([
+                await notary.notarizeDocument(await nextVersion(other, 'v3')),
+                await notary.notarizeDocument(other),
+                await notary.notarizeDocument(v1)
+            ]));
+            expect(report.getAttribute('$index').toNumber()).to.equal(2);
+            expect(report.getAttribute('$reason').toString()).to.equal('$tagMismatch');
+        });
+
+    });
+
+    describe('Test Batch Notarization', function() {
+        const documents = bali.list();
+        for (var index = 1; index <= 7; index++) {
+            documents.addItem(bali.catalog({
+                $index: index
+            }, {
+                $type: '/bali/examples/Content/v1',
+                $tag: bali.tag(),
+                $version: 'v1',
+                $permissions: '/bali/permissions/public/v1',
+                $previous: 'none'
+            }));
+        }
+        var batch;
+
+        it('should notarize a batch of documents with a single signature', async function() {
+            batch = await notary.notarizeBatch(documents);
+            const contract = batch.getAttribute('$contract');
+            expect(contract.getAttribute('$document').getAttribute('$size').toNumber()).to.equal(7);
+            expect(batch.getAttribute('$proofs').getSize()).to.equal(7);
+            const html = contract.toHTML(style) + '\n';  // add POSIX <EOL>
+            fs.writeFileSync('test/html/batch.html', html, 'utf8');
+
+            var isValid = await service.validContract(contract, certificate);
+            expect(isValid).to.equal(true);
+            for (var index = 1; index <= 7; index++) {
+                const proof = batch.getAttribute('$proofs').getItem(index);
+                isValid = await service.validBatchContract(documents.getItem(index), proof, contract, certificate);
+                expect(isValid).to.equal(true);
+            }
+
+            const single = await notary.notarizeBatch(bali.list([document]));
+            isValid = await service.validBatchContract(document, single.getAttribute('$proofs').getItem(1), single.getAttribute('$contract'), certificate);
+            expect(isValid).to.equal(true);
+
+            await assert.rejects(async function() {
+                await notary.notarizeBatch(bali.list());
+            });
+        });
+
+        it('should reject documents that are not in the batch', async function() {
+            const contract = batch.getAttribute('$contract');
+            const proof = batch.getAttribute('$proofs').getItem(3);
+            var isValid = await service.validBatchContract(documents.getItem(4), proof, contract, certificate);
+            expect(isValid).to.equal(false);
+
+            const forged = proof.duplicate();
+            forged.getAttribute('$path').getItem(1).setAttribute('$digest', bali.binary(crypto.randomBytes(64)));
+            isValid = await service.validBatchContract(documents.getItem(3), forged, contract, certificate);
+            expect(isValid).to.equal(false);
+
+            const other = await notary.notarizeDocument(documents.getItem(3));
+            isValid = await service.validBatchContract(documents.getItem(3), proof, other, certificate);
+            expect(isValid).to.equal(false);
+        });
+
+    });
+
+    describe('Test Streaming Notarization', function() {
+        const chunks = [];
+        for (var i = 0; i < 64; i++) chunks.push(crypto.randomBytes(16384));
+        const bytes = Buffer.concat(chunks);
+        var contract;
+
+        it('should cite a stream properly', async function() {
+            const artifact = await service.citeStream(stream.Readable.from(chunks), 'application/octet-stream');
+            expect(artifact.getAttribute('$size').toNumber()).to.equal(bytes.length);
+            const citation = await service.citeDocument(artifact);
+            expect(citation).to.exist;
+        });
+
+        it('should notarize a stream properly', async function() {
+            contract = await notary.notarizeStream(stream.Readable.from(chunks), 'application/octet-stream');
+            const artifact = contract.getAttribute('$document');
+            expect(artifact.getParameter('$type').toString()).to.equal('/bali/notary/Artifact/v1');
+            const html = contract.toHTML(style) + '\n';  // add POSIX <EOL>
+            fs.writeFileSync('test/html/artifact.html', html, 'utf8');
+            await assert.rejects(async function() {
+                await service.notarizeStream(stream.Readable.from(chunks), 'application/octet-stream');
+            });
+        });
+
+        it('should validate a stream against its detached contract properly', async function() {
+            const isValid = await service.validContract(contract, certificate);
+            expect(isValid).to.equal(true);
+            const artifact = contract.getAttribute('$document');
+            var matches = await service.streamMatches(artifact, stream.Readable.from([bytes]));
+            expect(matches).to.equal(true);
+            const altered = Buffer.from(bytes);
+            altered[1000] ^= 0xFF;
+            matches = await service.streamMatches(artifact, stream.Readable.from([altered]));
+            expect(matches).to.equal(false);
+            matches = await service.streamMatches(artifact, stream.Readable.from([bytes.slice(1)]));
+            expect(matches).to.equal(false);
+        });
+
+    });
+
+    describe('Test Contract Countersigning', function() {
+        const cosignerDirectory = 'test/config/cosigner/';
+        const cosigner = api.test(bali.tag(), cosignerDirectory, debug);
+        var cosignerCertificate, contract;
+
+        it('should countersign a contract properly', async function() {
+            const publicKey = await cosigner.generateKey();
+            cosignerCertificate = await cosigner.notarizeDocument(publicKey);
+            await cosigner.activateKey(cosignerCertificate);
+
+            contract = await notary.notarizeDocument(document);
+            const cosigned = await cosigner.countersignContract(contract);
+            expect(cosigned.getAttribute('$cosignatures').getSize()).to.equal(1);
+            expect(contract.getAttribute('$cosignatures')).to.equal(undefined);
+            const html = cosigned.toHTML(style) + '\n';  // add POSIX <EOL>
+            fs.writeFileSync('test/html/cosigned.html', html, 'utf8');
+
+            var isValid = await service.validContract(cosigned, certificate);
+            expect(isValid).to.equal(true);
+            contract = cosigned;
+
+            await assert.rejects(async function() {
+                await service.countersignContract(contract);
+            });
+        });
+
+        it('should validate the signature threshold properly', async function() {
+            const certificates = bali.list([certificate, cosignerCertificate]);
+            var isValid = await service.validCosignedContract(contract, certificates, 2);
+            expect(isValid).to.equal(true);
+
+            isValid = await service.validCosignedContract(contract, bali.list([certificate]), 1);
+            expect(isValid).to.equal(true);
+
+            const unsigned = await notary.notarizeDocument(document);
+            isValid = await service.validCosignedContract(unsigned, certificates, 2);
+            expect(isValid).to.equal(false);
+            isValid = await service.validCosignedContract(unsigned, certificates, 1);
+            expect(isValid).to.equal(true);
+
+            const forgery = contract.duplicate();
+            forgery.getAttribute('$document').setAttribute('$foo', 'baz');
+            isValid = await service.validCosignedContract(forgery, certificates, 1);
+            expect(isValid).to.equal(false);
+
+            await assert.rejects(async function() {
+                await service.validCosignedContract(contract, certificates, 3);
+            });
+            await cosigner.forgetKey();
+        });
+
+    });
+
+    describe('Test Trusted Timestamps', function() {
+        const authority = api.timestampAuthority(api.memoryStorage(debug), debug);
+        var contract, timestamp;
+
+        it('should timestamp a contract properly', async function() {
+            contract = await notary.notarizeDocument(document);
+            timestamp = await authority.timestampContract(contract);
+            const html = timestamp.toHTML(style) + '\n';  // add POSIX <EOL>
+            fs.writeFileSync('test/html/timestamp.html', html, 'utf8');
+
+            const authorityCertificate = await authority.getCertificate();
+            const moment = await service.verifyTimestamp(timestamp, contract, authorityCertificate);
+            expect(moment.isEqualTo(timestamp.getAttribute('$timestamp'))).to.equal(true);
+        });
+
+        it('should reject invalid timestamps', async function() {
+            const authorityCertificate = await authority.getCertificate();
+            const other = await notary.notarizeDocument(document);
+            await assert.rejects(async function() {
+                await service.verifyTimestamp(timestamp, other, authorityCertificate);
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidTimestamp');
+                return true;
+            });
+
+            await assert.rejects(async function() {
+                await service.verifyTimestamp(timestamp, contract, certificate);
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$invalidTimestamp');
+                return true;
+            });
+
+            const forgery = timestamp.duplicate();
+            forgery.setAttribute('$timestamp', bali.moment());
+            await assert.rejects(async function() {
+                await service.verifyTimestamp(forgery, contract, authorityCertificate);
+            });
+            await authority.forgetKey();
+        });
+
+        it('should share one key between concurrent first uses', async function() {
+            const concurrent = api.timestampAuthority(api.memoryStorage(debug), debug);
+            const timestamps = await Promise.all([
+                concurrent.timestampContract(contract),
+                concurrent.timestampContract(contract)
+            ]);
+            const authorityCertificate = await concurrent.getCertificate();
+            expect(authorityCertificate.getAttribute('$account').isEqualTo(concurrent.getAccount())).to.equal(true);
+            for (const concurrentTimestamp of timestamps) {
+                const moment = await service.verifyTimestamp(concurrentTimestamp, contract, authorityCertificate);
+                expect(moment.isEqualTo(concurrentTimestamp.getAttribute('$timestamp'))).to.equal(true);
+            }
+            await concurrent.forgetKey();
+        });
+
+    });
+
+    describe('Test Key Revocation', function() {
+        const revokerDirectory = 'test/config/revoker/';
+        const attackerDirectory = 'test/config/attacker/';
+        const revokerAccount = bali.tag();
+        const revoker = api.test(revokerAccount, revokerDirectory, debug);
+        const device = api.test(revokerAccount, api.memoryStorage(debug), debug);
+        const authority = api.timestampAuthority(api.memoryStorage(debug), debug);
+        var revokedCertificate, earlier, later, backdated, revocation, batch, delegation, delegated;
+        var authorityCertificate, earlierTimestamp, laterTimestamp, batchTimestamp, delegatedTimestamp;
+
+        it('should revoke a notary key properly', async function() {
+            const publicKey = await revoker.generateKey();
+            revokedCertificate = await revoker.notarizeDocument(publicKey);
+            await revoker.activateKey(revokedCertificate);
+            earlier = await revoker.notarizeDocument(document);
+            batch = await revoker.notarizeBatch(bali.list([document]));
+            delegation = await revoker.delegateKey(await device.generateKey(), bali.component('["/bali/examples/.*"?]'), bali.component('~P1D'));
+            await device.activateKey(delegation);
+            delegated = await device.notarizeDocument(document);
+            authorityCertificate = await authority.getCertificate();
+            earlierTimestamp = await authority.timestampContract(earlier);
+            batchTimestamp = await authority.timestampContract(batch.getAttribute('$contract'));
+            delegatedTimestamp = await authority.timestampContract(delegated);
+
+            // simulate the theft of the notary key
+            fs.mkdirSync(attackerDirectory, {recursive: true, mode: 0o700});
+            fs.readdirSync(revokerDirectory).forEach(function(file) {
+                fs.copyFileSync(revokerDirectory + file, attackerDirectory + file);
+            });
+
+            revocation = await revoker.revokeKey('The laptop was stolen.');
+            const html = revocation.toHTML(style) + '\n';  // add POSIX <EOL>
+            fs.writeFileSync('test/html/revocation.html', html, 'utf8');
+            await assert.rejects(async function() {
+                await revoker.notarizeDocument(document);
+            });
+            var isValid = await service.validContract(revocation, revokedCertificate);
+            expect(isValid).to.equal(true);
+
+            await new Promise(function(resolve) { setTimeout(resolve, 10); });
+            const attacker = api.test(revokerAccount, attackerDirectory, debug);
+            later = await attacker.notarizeDocument(document);
+            laterTimestamp = await authority.timestampContract(later);
+
+            // the attacker can also backdate a contract since its timestamp is chosen by the signer
+            backdated = later.duplicate();
+            backdated.getAttribute('$document').setAttribute('$foo', 'baz');
+            backdated.setAttribute('$timestamp', earlier.getAttribute('$timestamp'));
+            backdated.removeAttribute('$signature');
+            const ssm = api.ssmV2(attackerDirectory, debug);
+            backdated.setAttribute('$signature', await ssm.signBytes(Buffer.from(backdated.toString(), 'utf8')));
+            isValid = await service.validContract(backdated, revokedCertificate);
+            expect(isValid).to.equal(true);
+            await attacker.forgetKey();
+        });
+
+        it('should reject contracts notarized after the revocation', async function() {
+            const revocations = bali.list([revocation]);
+            var isValid = await service.validContract(earlier, revokedCertificate, revocations, earlierTimestamp, authorityCertificate);
+            expect(isValid).to.equal(true);
+            isValid = await service.validContract(later, revokedCertificate, revocations, laterTimestamp, authorityCertificate);
+            expect(isValid).to.equal(false);
+            isValid = await service.validContract(later, revokedCertificate);
+            expect(isValid).to.equal(true);
+            isValid = await service.validContract(later, revokedCertificate, revocations);
+            expect(isValid).to.equal(false);
+            isValid = await service.validContract(later, revokedCertificate, async function(certificate) {
+                if (certificate.isEqualTo(revokedCertificate)) return revocation;
+            });
+            expect(isValid).to.equal(false);
+            isValid = await service.validContract(later, revokedCertificate, bali.list());
+            expect(isValid).to.equal(true);
+        });
+
+        it('should reject backdated contracts without a trusted timestamp', async function() {
+            const revocations = bali.list([revocation]);
+            var isValid = await service.validContract(earlier, revokedCertificate, revocations);
+            expect(isValid).to.equal(false);
+            isValid = await service.validContract(earlier, revokedCertificate, revocations, laterTimestamp, authorityCertificate);
+            expect(isValid).to.equal(false);
+
+            isValid = await service.validContract(backdated, revokedCertificate, revocations);
+            expect(isValid).to.equal(false);
+            isValid = await service.validContract(backdated, revokedCertificate, revocations, earlierTimestamp, authorityCertificate);
+            expect(isValid).to.equal(false);
+
+            const contract = batch.getAttribute('$contract');
+            const proof = batch.getAttribute('$proofs').getItem(1);
+            isValid = await service.validBatchContract(document, proof, contract, revokedCertificate, revocations);
+            expect(isValid).to.equal(false);
+            isValid = await service.validBatchContract(document, proof, contract, revokedCertificate, revocations, batchTimestamp, authorityCertificate);
+            expect(isValid).to.equal(true);
+
+            isValid = await service.validDelegatedContract(delegated, delegation, revokedCertificate, revocations);
+            expect(isValid).to.equal(false);
+            isValid = await service.validDelegatedContract(delegated, delegation, revokedCertificate, revocations, delegatedTimestamp, authorityCertificate);
+            expect(isValid).to.equal(true);
+            await device.forgetKey();
+            await authority.forgetKey();
+        });
+
+        it('should ignore revocations for other certificates', async function() {
+            const contract = await notary.notarizeDocument(document);
+            const isValid = await service.validContract(contract, certificate, bali.list([revocation]));
+            expect(isValid).to.equal(true);
+        });
+
+    });
+
+    describe('Test Protocol Upgrade', function() {
+        const upgradeDirectory = 'test/config/upgrade/';
+        const upgradeAccount = bali.tag();
+        const upgradeNotary = api.test(upgradeAccount, upgradeDirectory, debug);
+        var v2Certificate, v3Certificate;
+
+        it('should upgrade a v2 notary key to a v3 notary key', async function() {
+            const publicKey = await upgradeNotary.generateKey();
+            v2Certificate = await upgradeNotary.notarizeDocument(publicKey);
+            await upgradeNotary.activateKey(v2Certificate);
+            expect(v2Certificate.getAttribute('$protocol').toString()).to.equal('v2');
+
+            v3Certificate = await upgradeNotary.refreshKey(api.ssmV3(upgradeDirectory, debug));
+            expect(v3Certificate.getAttribute('$protocol').toString()).to.equal('v2');
+            const algorithms = v3Certificate.getAttribute('$document').getAttribute('$algorithms');
+            expect(algorithms.getAttribute('$signature').toString()).to.equal('"P384"');
+            expect(fs.existsSync(upgradeDirectory + 'SSMv2.bali')).to.equal(false);
+
+            const isValid = await service.validContract(v3Certificate, v2Certificate);
+            expect(isValid).to.equal(true);
+        });
+
+        it('should validate v2 and v3 artifacts side by side', async function() {
+            const contract = await upgradeNotary.notarizeDocument(document);
+            expect(contract.getAttribute('$protocol').toString()).to.equal('v3');
+            var isValid = await service.validContract(contract, v3Certificate);
+            expect(isValid).to.equal(true);
+            isValid = await service.validContract(contract, v2Certificate);
+            expect(isValid).to.equal(false);
+
+            const citation = await upgradeNotary.getCitation();
+            expect(citation.getAttribute('$protocol').toString()).to.equal('v3');
+            isValid = await service.citationMatches(citation, v3Certificate.getAttribute('$document'));
+            expect(isValid).to.equal(true);
+
+            isValid = await service.validCertificateChain(bali.list([v3Certificate, v2Certificate]));
+            expect(isValid).to.equal(true);
+        });
+
+        it('should rotate a v3 notary key', async function() {
+            const newCertificate = await upgradeNotary.refreshKey();
+            expect(newCertificate.getAttribute('$protocol').toString()).to.equal('v3');
+            var isValid = await service.validContract(newCertificate, v3Certificate);
+            expect(isValid).to.equal(true);
+            isValid = await service.validCertificateChain(bali.list([newCertificate, v3Certificate, v2Certificate]));
+            expect(isValid).to.equal(true);
+            await upgradeNotary.forgetKey();
+        });
+
+    });
+
+    describe('Test Encrypted Keystore', function() {
+        const keystoreDirectory = 'test/config/keystore/';
+        const file = keystoreDirectory + 'SSMv2.bali';
+        const bytes = Buffer.from('These bytes will be signed.', 'utf8');
+        var publicKey;
+
+        it('should encrypt the keys at rest', async function() {
+            const ssm = api.ssmV2(keystoreDirectory, debug, 'correct horse battery staple');
+            publicKey = await ssm.generateKeys();
+            const source = fs.readFileSync(file, 'utf8');
+            expect(source).to.include('/bali/notary/v2/Keystore');
+            expect(source).to.not.include('$privateKey');
+        });
+
+        it('should unlock the keys on first use', async function() {
+            var requests = 0;
+            const ssm = api.ssmV2(keystoreDirectory, debug, async function() {
+                requests++;
+                return 'correct horse battery staple';
+            });
+            const signature = await ssm.signBytes(bytes);
+            await ssm.signBytes(bytes);
+            expect(requests).to.equal(1);
+            const isValid = await ssm.validSignature(publicKey, signature, bytes);
+            expect(isValid).to.equal(true);
+        });
+
+        it('should reject the wrong passphrase', async function() {
+            const ssm = api.ssmV2(keystoreDirectory, debug, 'wrong passphrase');
+            await assert.rejects(async function() {
+                await ssm.signBytes(bytes);
+            });
+            const locked = api.ssmV2(keystoreDirectory, debug);
+            await assert.rejects(async function() {
+                await locked.signBytes(bytes);
+            });
+        });
+
+        it('should change the passphrase', async function() {
+            const ssm = api.ssmV2(keystoreDirectory, debug);
+            await assert.rejects(async function() {
+                await ssm.changePassphrase('wrong passphrase', 'new passphrase');
+            });
+            await ssm.changePassphrase('correct horse battery staple', 'new passphrase');
+            await ssm.signBytes(bytes);
+            var unlocked = api.ssmV2(keystoreDirectory, debug, 'new passphrase');
+            await unlocked.signBytes(bytes);
+            await unlocked.changePassphrase('new passphrase', undefined);
+            expect(fs.readFileSync(file, 'utf8')).to.include('$privateKey');
+            unlocked = api.ssmV2(keystoreDirectory, debug);
+            await unlocked.signBytes(bytes);
+            await unlocked.eraseKeys();
+        });
+
+    });
+
+    describe('Test Key Backup', function() {
+        const bytes = Buffer.from('These bytes will be signed.', 'utf8');
+        const ssm = api.ssmV2('test/config/backup/', debug);
+        var publicKey, exported;
+
+        it('should export a backup split into shares', async function() {
+            publicKey = await ssm.generateKeys();
+            exported = await ssm.exportBackup(5, 3);
+            expect(exported.getAttribute('$shares').getSize()).to.equal(5);
+            const source = exported.getAttribute('$backup').toString();
+            expect(source).to.include('/bali/notary/v2/Backup');
+            expect(source).to.not.include('$privateKey');
+
+            await assert.rejects(async function() {
+                await ssm.exportBackup(2, 3);
+            });
+        });
+
+        it('should restore a backup from a threshold of shares', async function() {
+            const shares = exported.getAttribute('$shares');
+            const restored = api.ssmV2('test/config/restored/', debug);
+
+            await assert.rejects(async function() {
+                await restored.importBackup(exported.getAttribute('$backup'), bali.list([shares.getItem(1), shares.getItem(2)]));
+            });
+            await assert.rejects(async function() {
+                const forged = bali.list([shares.getItem(1), shares.getItem(2), shares.getItem(2)]);
+                await restored.importBackup(exported.getAttribute('$backup'), forged);
+            });
+
+            const subset = bali.list([shares.getItem(5), shares.getItem(2), shares.getItem(4)]);
+            const restoredKey = await restored.importBackup(exported.getAttribute('$backup'), subset);
+            expect(restoredKey.isEqualTo(publicKey)).to.equal(true);
+            const signature = await restored.signBytes(bytes);
+            const isValid = await ssm.validSignature(publicKey, signature, bytes);
+            expect(isValid).to.equal(true);
+
+            await assert.rejects(async function() {
+                await restored.importBackup(exported.getAttribute('$backup'), subset);  // keys already exist
+            });
+            await restored.eraseKeys();
+            await ssm.eraseKeys();
+        });
+
+    });
+
+    describe('Test Audit Log', function() {
+        const bytes = Buffer.from('These bytes will be signed.', 'utf8');
+        const storage = api.memoryStorage(debug);
+        const ssm = api.ssmV2(storage, debug);  // starts with an empty audit log
+
+        it('should record every key operation in the audit log', async function() {
+            await ssm.generateKeys();
+            await ssm.signBytes(bytes);
+            await ssm.rotateKeys();
+            await ssm.signBytes(bytes);
+            const log = await ssm.getAuditLog();
+            expect(log.getSize()).to.equal(4);
+            const entry = log.getItem(2);
+            expect(entry.getAttribute('$operation').toString()).to.equal('$signBytes');
+            expect(entry.getAttribute('$state').toString()).to.equal('$loneKey');
+            const digest = await ssm.digestBytes(bytes);
+            expect(entry.getAttribute('$digest').isEqualTo(digest)).to.equal(true);
+            expect(log.getItem(3).getAttribute('$state').toString()).to.equal('$twoKeys');
+            const isValid = await ssm.verifyAuditLog();
+            expect(isValid).to.equal(true);
+        });
+
+        it('should detect edits and truncation of the audit log', async function() {
+            const log = await ssm.getAuditLog();
+            const edited = log.duplicate();
+            edited.getItem(2).setAttribute('$digest', bali.binary(crypto.randomBytes(64)));
+            var isValid = await ssm.verifyAuditLog(edited);
+            expect(isValid).to.equal(false);
+
+            const truncated = bali.list([log.getItem(1), log.getItem(2), log.getItem(3)]);
+            isValid = await ssm.verifyAuditLog(truncated);
+            expect(isValid).to.equal(false);
+
+            const spliced = bali.list([log.getItem(1), log.getItem(3), log.getItem(4)]);
+            isValid = await ssm.verifyAuditLog(spliced);
+            expect(isValid).to.equal(false);
+
+            await ssm.eraseKeys();
+            const erased = await ssm.getAuditLog();
+            expect(erased.getItem(5).getAttribute('$operation').toString()).to.equal('$eraseKeys');
+            isValid = await ssm.verifyAuditLog();
+            expect(isValid).to.equal(true);
+        });
+
+        it('should detect truncation of the audit log after the keys are erased', async function() {
+            const log = await ssm.getAuditLog();
+            var isValid = await ssm.verifyAuditLog(bali.list());
+            expect(isValid).to.equal(false);
+
+            const truncated = bali.list([log.getItem(1), log.getItem(2), log.getItem(3), log.getItem(4)]);
+            isValid = await ssm.verifyAuditLog(truncated);
+            expect(isValid).to.equal(false);
+
+            await ssm.generateKeys();
+            const continued = await ssm.getAuditLog();
+            expect(continued.getSize()).to.equal(6);
+            isValid = await ssm.verifyAuditLog();
+            expect(isValid).to.equal(true);
+            await ssm.eraseKeys();
+        });
+
+        it('should detect truncation of the stored audit log when the keys are erased', async function() {
+            await ssm.generateKeys();
+            await ssm.signBytes(bytes);
+            const log = await ssm.getAuditLog();
+            const entries = [];
+            for (var index = 1; index < log.getSize(); index++) entries.push(log.getItem(index).toString());
+            await storage.store('SSMv2-audit.bali', entries.join('\n'));  // drop the last entry
+            await ssm.eraseKeys();
+            const isValid = await ssm.verifyAuditLog();
+            expect(isValid).to.equal(false);
+        });
+
+    });
+
+    describe('Test Pluggable Storage', function() {
+        const storage = api.memoryStorage(debug);
+        const storageAccount = bali.tag();
+        const storageNotary = api.test(storageAccount, storage, debug);
+
+        it('should keep the configuration in a storage adapter', async function() {
+            const publicKey = await storageNotary.generateKey();
+            const storageCertificate = await storageNotary.notarizeDocument(publicKey);
+            await storageNotary.activateKey(storageCertificate);
+            expect(await storage.load('SSMv2.bali')).to.exist;
+            expect(await storage.load(storageAccount.getValue() + '.bali')).to.exist;
+            expect(fs.existsSync(directory + storageAccount.getValue() + '.bali')).to.equal(false);
+
+            const reloaded = api.test(storageAccount, storage, debug);
+            const contract = await reloaded.notarizeDocument(document);
+            const isValid = await service.validContract(contract, storageCertificate);
+            expect(isValid).to.equal(true);
+        });
+
+        it('should remove the configuration from a storage adapter', async function() {
+            await storageNotary.forgetKey();
+            expect(await storage.load('SSMv2.bali')).to.not.exist;
+            expect(await storage.load(storageAccount.getValue() + '.bali')).to.not.exist;
+        });
+
+    });
+
+    describe('Test Multi-Account Keyring', function() {
+        const keyringDirectory = 'test/config/keyring/';
+        const keyring = api.keyring(keyringDirectory, debug);
+        const alice = bali.tag();
+        const bob = bali.tag();
+        const certificates = {};
+
+        it('should notarize documents for multiple accounts', async function() {
+            for (const [account, protocol] of [[alice, 'v2'], [bob, 'v3']]) {
+                const accountNotary = await keyring.selectAccount(account, protocol);
+                const publicKey = await accountNotary.generateKey();
+                const certificate = await accountNotary.notarizeDocument(publicKey);
+                await accountNotary.activateKey(certificate);
+                certificates[account.toString()] = certificate;
+            }
+            const accounts = await keyring.listAccounts();
+            expect(accounts.getSize()).to.equal(2);
+            expect(fs.existsSync(keyringDirectory + alice.getValue() + '/SSMv2.bali')).to.equal(true);
+            expect(fs.existsSync(keyringDirectory + bob.getValue() + '/SSMv3.bali')).to.equal(true);
+
+            const aliceContract = await (await keyring.selectAccount(alice)).notarizeDocument(document);
+            const bobContract = await (await keyring.selectAccount(bob)).notarizeDocument(document);
+            expect(aliceContract.getAttribute('$account').isEqualTo(alice)).to.equal(true);
+            expect(bobContract.getAttribute('$protocol').toString()).to.equal('v3');
+            var isValid = await service.validContract(aliceContract, certificates[alice.toString()]);
+            expect(isValid).to.equal(true);
+            isValid = await service.validContract(bobContract, certificates[bob.toString()]);
+            expect(isValid).to.equal(true);
+            isValid = await service.validContract(bobContract, certificates[alice.toString()]);
+            expect(isValid).to.equal(false);
+        });
+
+        it('should keep the accounts across keyring instances', async function() {
+            const other = api.keyring(keyringDirectory, debug);
+            const accounts = await other.listAccounts();
+            expect(accounts.getIndex(alice)).to.be.above(0);
+            expect(accounts.getIndex(bob)).to.be.above(0);
+            expect(other.toString()).to.contain(alice.toString());  // never selected by this keyring
+            const bobNotary = await other.selectAccount(bob);
+            const citation = await bobNotary.getCitation();
+            expect(citation.getAttribute('$protocol').toString()).to.equal('v3');
+            await assert.rejects(async function() {
+                await other.selectAccount(bob, 'v2');
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$protocolMismatch');
+                return true;
+            });
+        });
+
+        it('should remove the accounts from the keyring', async function() {
+            await keyring.removeAccount(alice);
+            var accounts = await keyring.listAccounts();
+            expect(accounts.getSize()).to.equal(1);
+            expect(fs.existsSync(keyringDirectory + alice.getValue() + '/SSMv2.bali')).to.equal(false);
+            await Promise.all([keyring.removeAccount(bob), keyring.removeAccount(bob)]);  // only one removes it
+            await keyring.removeAccount(bob);  // nothing happens
+            accounts = await keyring.listAccounts();
+            expect(accounts.getSize()).to.equal(0);
+        });
+
+    });
+
+    describe('Test Concurrent Operations', function() {
+        const concurrentDirectory = 'test/config/concurrent/';
+        const concurrentAccount = bali.tag();
+        const first = api.test(concurrentAccount, concurrentDirectory, debug);
+        const second = api.test(concurrentAccount, concurrentDirectory, debug);
+        var concurrentCertificate;
+
+        it('should serialize concurrent notarizations on one instance', async function() {
+            const publicKey = await first.generateKey();
+            concurrentCertificate = await first.notarizeDocument(publicKey);
+            await first.activateKey(concurrentCertificate);
+            const contracts = await Promise.all([1, 2, 3, 4, 5].map(function(count) {
+                return first.notarizeDocument(bali.catalog({$count: count}));
+            }));
+            for (const contract of contracts) {
+                const isValid = await service.validContract(contract, concurrentCertificate);
+                expect(isValid).to.equal(true);
+            }
+        });
+
+        it('should serialize concurrent notarizations on instances sharing storage', async function() {
+            const contracts = await Promise.all([
+                first.notarizeDocument(document),
+                second.notarizeDocument(document),
+                first.refreshKey(),
+                second.notarizeDocument(document)
+            ]);
+            expect(contracts.length).to.equal(4);
+            const ssm = api.ssmV2(concurrentDirectory, debug);
+            const isValid = await ssm.verifyAuditLog();
+            expect(isValid).to.equal(true);
+        });
+
+        it('should only take over locks abandoned by processes that no longer exist', async function() {
+            const storage = api.fileStorage(concurrentDirectory, debug);
+            const file = concurrentDirectory + 'abandoned.bali.lock';
+            const dead = child.spawnSync(process.execPath, ['-e', '']).pid;
+            fs.writeFileSync(file, dead + ' abandoned\n');
+            var release = await storage.lock('abandoned.bali');
+            await release();
+            expect(fs.existsSync(file)).to.equal(false);
+
+            const old = new Date(Date.now() - 120000);  // older than any timeout
+            fs.writeFileSync(file, process.ppid + ' alive\n');
+            fs.utimesSync(file, old, old);
+            var acquired = false;
+            const pending = storage.lock('abandoned.bali').then(function(release) {
+                acquired = true;
+                return release;
+            });
+            await new Promise(function(resolve) {
+                setTimeout(resolve, 200);
+            });
+            expect(acquired).to.equal(false);
+            fs.unlinkSync(file);  // the live holder releases the lock
+            release = await pending;
+            const forged = process.ppid + ' forged\n';
+            fs.writeFileSync(file, forged);  // the lock file is replaced behind the holder's back
+            await release();
+            expect(fs.readFileSync(file, 'utf8')).to.equal(forged);
+            fs.unlinkSync(file);
+        });
+
+        it('should leave no temporary or lock files behind', async function() {
+            const files = fs.readdirSync(concurrentDirectory);
+            expect(files.filter(function(file) {
+                return file.endsWith('.tmp') || file.endsWith('.lock');
+            }).length).to.equal(0);
+            await first.forgetKey();
+            expect(fs.existsSync(concurrentDirectory + concurrentAccount.getValue() + '.bali')).to.equal(false);
+        });
+
+    });
+
+    describe('Test Rotation Recovery', function() {
+        const recoveryDirectory = 'test/config/recovery/';
+        const recoveryAccount = bali.tag();
+        const ssm = api.ssmV2(recoveryDirectory, debug);
+        const failures = {};  // the operations that should crash (before or after they complete)
+        const module = {
+            getProtocol: ssm.getProtocol,
+            generateKeys: ssm.generateKeys,
+            digestBytes: ssm.digestBytes,
+            validSignature: ssm.validSignature,
+            rollbackKeys: ssm.rollbackKeys,
+            eraseKeys: ssm.eraseKeys,
+            rotateKeys: async function() {
+                const publicKey = await ssm.rotateKeys();
+                if (failures.rotateKeys) throw Error('crashed after rotating the keys');
+                return publicKey;
+            },
+            signBytes: async function(bytes) {
+                if (failures.beforeSigning) throw Error('crashed before signing the bytes');
+                const signature = await ssm.signBytes(bytes);
+                if (failures.afterSigning) throw Error('crashed after signing the bytes');
+                return signature;
+            }
+        };
+        const recoveryNotary = api.notary(module, recoveryAccount, recoveryDirectory, debug);
+        var recoveryCertificate;
+        const chain = [];  // the notarized certificates, newest first
+
+        const crash = async function(failure) {
+            failures[failure] = true;
+            await assert.rejects(async function() {
+                await recoveryNotary.refreshKey();
+            });
+            delete failures[failure];
+            await assert.rejects(async function() {
+                await recoveryNotary.notarizeDocument(document);
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unfinishedRotation');
+                return true;
+            });
+        };
+
+        it('should have nothing to recover after a normal rotation', async function() {
+            const publicKey = await recoveryNotary.generateKey();
+            recoveryCertificate = await recoveryNotary.notarizeDocument(publicKey);
+            await recoveryNotary.activateKey(recoveryCertificate);
+            chain.unshift(recoveryCertificate);
+            const result = await recoveryNotary.recover();
+            expect(result.getAttribute('$recovery').toString()).to.equal('$none');
+        });
+
+        it('should roll back a rotation interrupted before the new certificate', async function() {
+            await crash('rotateKeys');
+            const result = await recoveryNotary.recover();
+            expect(result.getAttribute('$recovery').toString()).to.equal('$rolledBack');
+            const contract = await recoveryNotary.notarizeDocument(document);
+            const isValid = await service.validContract(contract, recoveryCertificate);
+            expect(isValid).to.equal(true);
+        });
+
+        it('should complete a rotation interrupted before signing the new certificate', async function() {
+            await crash('beforeSigning');
+            const result = await recoveryNotary.recover();
+            expect(result.getAttribute('$recovery').toString()).to.equal('$completed');
+            const newCertificate = result.getAttribute('$contract');
+            chain.unshift(newCertificate);
+            var isValid = await service.validCertificateChain(bali.list(chain));
+            expect(isValid).to.equal(true);
+            const contract = await recoveryNotary.notarizeDocument(document);
+            isValid = await service.validContract(contract, newCertificate);
+            expect(isValid).to.equal(true);
+            recoveryCertificate = newCertificate;
+        });
+
+        it('should complete a rotation interrupted after signing the new certificate', async function() {
+            await crash('afterSigning');
+            const result = await recoveryNotary.recover();
+            expect(result.getAttribute('$recovery').toString()).to.equal('$completed');
+            const newCertificate = result.getAttribute('$contract');
+            chain.unshift(newCertificate);
+            var isValid = await service.validCertificateChain(bali.list(chain));
+            expect(isValid).to.equal(true);
+            const contract = await recoveryNotary.notarizeDocument(document);
+            isValid = await service.validContract(contract, newCertificate);
+            expect(isValid).to.equal(true);
+            isValid = await ssm.verifyAuditLog();
+            expect(isValid).to.equal(true);
+            await recoveryNotary.forgetKey();
+        });
+
+    });
+
+    describe('Test JSON Interoperability', function() {
+        const jsonDirectory = 'test/config/json/';
+        const v3Notary = api.notary(api.ssmV3(jsonDirectory, debug), bali.tag(), jsonDirectory, debug);
+        var contract, envelope, jwk;
+
+        it('should export and import a contract as a JSON envelope', async function() {
+            contract = await notary.notarizeDocument(document);
+            envelope = await notary.exportContract(contract);
+            const json = JSON.parse(envelope);
+            expect(json.typ).to.equal('application/bali+contract');
+            expect(json.account).to.equal(account.toString());
+            const imported = await service.importContract(envelope);
+            expect(imported.isEqualTo(contract)).to.equal(true);
+            var isValid = await service.validJSONContract(envelope, certificate);
+            expect(isValid).to.equal(true);
+
+            json.payload = Buffer.from(Buffer.from(json.payload, 'base64url').toString('utf8').replace('"bar"', '"baz"'), 'utf8').toString('base64url');
+            isValid = await service.validJSONContract(JSON.stringify(json), certificate);
+            expect(isValid).to.equal(false);
+        });
+
+        it('should export and import a certificate as a JSON web key', async function() {
+            jwk = await notary.exportCertificate(certificate);
+            const json = JSON.parse(jwk);
+            expect(json.kty).to.equal('OKP');
+            expect(json.crv).to.equal('Ed25519');
+            expect(json.alg).to.equal('EdDSA');
+            const imported = await service.importCertificate(jwk);
+            expect(imported.isEqualTo(certificate)).to.equal(true);
+            const isValid = await service.validJSONContract(envelope, jwk);
+            expect(isValid).to.equal(true);
+
+            json.x = crypto.randomBytes(32).toString('base64url');
+            await assert.rejects(async function() {
+                await service.importCertificate(JSON.stringify(json));
+            });
+        });
+
+        it('should export a contract as a JSON web signature', async function() {
+            const jws = await notary.exportJWS(contract);
+            const parts = jws.split('.');
+            const header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+            expect(header.alg).to.equal('EdDSA');
+            const key = crypto.createPublicKey({key: JSON.parse(jwk), format: 'jwk'});
+            const input = Buffer.from(parts[0] + '.' + parts[1], 'ascii');
+            expect(crypto.verify(null, input, key, Buffer.from(parts[2], 'base64url'))).to.equal(true);
+            const imported = await service.importContract(jws);
+            expect(imported.isEqualTo(contract)).to.equal(true);
+            var isValid = await service.validJSONContract(jws, jwk);
+            expect(isValid).to.equal(true);
+
+            const forgery = parts[0] + '.' + parts[1] + '.' + crypto.randomBytes(64).toString('base64url');
+            isValid = await service.validJSONContract(forgery, certificate);
+            expect(isValid).to.equal(false);
+
+            const other = await service.importContract(envelope);
+            other.setAttribute('$account', bali.tag());
+            await assert.rejects(async function() {
+                await notary.exportJWS(other);
+            });
+        });
+
+        it('should interoperate using a v3 notary key', async function() {
+            const publicKey = await v3Notary.generateKey();
+            const v3Certificate = await v3Notary.notarizeDocument(publicKey);
+            await v3Notary.activateKey(v3Certificate);
+            const v3Jwk = await v3Notary.exportCertificate(v3Certificate);
+            const json = JSON.parse(v3Jwk);
+            expect(json.kty).to.equal('EC');
+            expect(json.crv).to.equal('P-384');
+            expect(json.alg).to.equal('ES384');
+            const imported = await service.importCertificate(v3Jwk);
+            expect(imported.isEqualTo(v3Certificate)).to.equal(true);
+
+            const v3Contract = await v3Notary.notarizeDocument(document);
+            const jws = await v3Notary.exportJWS(v3Contract);
+            const parts = jws.split('.');
+            const key = crypto.createPublicKey({key: json, format: 'jwk'});
+            const input = Buffer.from(parts[0] + '.' + parts[1], 'ascii');
+            const signature = Buffer.from(parts[2], 'base64url');
+            expect(crypto.verify('sha384', input, {key: key, dsaEncoding: 'ieee-p1363'}, signature)).to.equal(true);
+            var isValid = await service.validJSONContract(jws, v3Jwk);
+            expect(isValid).to.equal(true);
+            isValid = await service.validJSONContract(jws, jwk);
+            expect(isValid).to.equal(false);
+            await v3Notary.forgetKey();
+        });
+
+    });
+
+    describe('Test Web Security Module', function() {
+        const storage = api.memoryStorage(debug);
+        const webNotary = api.notary(api.webSSM(storage, debug), bali.tag(), storage, debug);
+        var webCertificate;
+
+        it('should generate non-extractable keys', async function() {
+            const publicKey = await webNotary.generateKey();
+            webCertificate = await webNotary.notarizeDocument(publicKey);
+            await webNotary.activateKey(webCertificate);
+            const keys = await storage.load('SSMv2');
+            expect(keys.privateKey.extractable).to.equal(false);
+            await assert.rejects(async function() {
+                await crypto.webcrypto.subtle.exportKey('pkcs8', keys.privateKey);
+            });
+        });
+
+        it('should interoperate with the software security module', async function() {
+            const contract = await webNotary.notarizeDocument(document);
+            var isValid = await service.validContract(contract, webCertificate);
+            expect(isValid).to.equal(true);
+
+            const other = await notary.notarizeDocument(document);
+            isValid = await webNotary.validContract(other, certificate);
+            expect(isValid).to.equal(true);
+            isValid = await webNotary.validContract(other, webCertificate);
+            expect(isValid).to.equal(false);
+        });
+
+        it('should reject encryption explicitly', async function() {
+            const webSSM = api.webSSM(storage, debug);
+            const publicKey = webCertificate.getAttribute('$document').getAttribute('$publicKey');
+            await assert.rejects(async function() {
+                await webSSM.encryptBytes(publicKey, Buffer.from('These bytes will be encrypted.', 'utf8'));
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unsupportedOperation');
+                return true;
+            });
+            const envelope = await service.encryptDocument(document, bali.list([webCertificate]));
+            const ciphertext = envelope.getAttribute('$recipients').getItem(1).getAttribute('$ciphertext');
+            await assert.rejects(async function() {
+                await webSSM.decryptBytes(ciphertext);
+            }, function(exception) {
+                expect(exception.getAttribute('$exception').toString()).to.equal('$unsupportedOperation');
+                return true;
+            });
+        });
+
+        it('should validate contracts without a home directory as a web application does', async function() {
+            const contract = await webNotary.notarizeDocument(document);
+            const script = [
+                "const os = require('os');",
+                "os.homedir = function() { throw Error('There is no home directory.'); };",
+                "globalThis.window = {indexedDB: {}};  // only opened when it is used",
+                "const bali = require('bali-component-framework').api();",
+                "const api = require('./');",
+                "const sources = JSON.parse(require('fs').readFileSync(0, 'utf8'));",
+                "api.notary(api.webSSM(), bali.tag());",
+                "api.service().validContract(bali.component(sources[0]), bali.component(sources[1])).then(console.log);"
+            ].join('\n');
+            const result = child.spawnSync(process.execPath, ['-e', script], {
+                input: JSON.stringify([contract.toString(), webCertificate.toString()]),
+                encoding: 'utf8'
+            });
+            expect(result.stderr).to.not.contain('There is no home directory.');
+            expect(result.stdout.trim()).to.equal('true');
+        });
+
+        it('should rotate and erase the web keys', async function() {
+            const newCertificate = await webNotary.refreshKey();
+            const isValid = await service.validCertificateChain(bali.list([newCertificate, webCertificate]));
+            expect(isValid).to.equal(true);
+            await webNotary.forgetKey();
+            expect(await storage.load('SSMv2')).to.not.exist;
+        });
+
+    });
+
+    describe('Test Security Module Agent', function() {
+        const agentDirectory = 'test/config/agent/';
+        const socket = agentDirectory + 'agent.sock';
+        const agent = api.agent(api.ssmV2(agentDirectory, debug), socket, debug);
+        const client = api.agentSSM(socket, debug);
+        const agentNotary = api.notary(client, bali.tag(), agentDirectory, debug);
+        var agentCertificate;
+
+        it('should notarize documents using keys held by the agent', async function() {
+            fs.mkdirSync(agentDirectory, {recursive: true});
+            await agent.start();
+            expect(fs.statSync(socket).mode & 0o077).to.equal(0);
+
+            const publicKey = await agentNotary.generateKey();
+            agentCertificate = await agentNotary.notarizeDocument(publicKey);
+            await agentNotary.activateKey(agentCertificate);
+            const contract = await agentNotary.notarizeDocument(document);
+            const isValid = await service.validContract(contract, agentCertificate);
+            expect(isValid).to.equal(true);
+
+            const envelope = await service.encryptDocument(document, bali.list([agentCertificate]));
+            const opened = await agentNotary.decryptDocument(envelope);
+            expect(opened.isEqualTo(document)).to.equal(true);
+
+            const artifact = await agentNotary.citeStream(stream.Readable.from([Buffer.from('bytes')]), 'text/plain');
+            const matches = await service.streamMatches(artifact, stream.Readable.from([Buffer.from('bytes')]));
+            expect(matches).to.equal(true);
+        });
+
+        it('should report failures from the agent', async function() {
+            await assert.rejects(async function() {
+                await client.generateKeys();  // the keys already exist
+            }, function(exception) {
+                expect(exception.getAttribute('$module').toString()).to.equal('/bali/notary/agent/SSM');
+                return true;
+            });
+        });
+
+        it('should rotate and erase the keys held by the agent', async function() {
+            const newCertificate = await agentNotary.refreshKey();
+            const isValid = await service.validCertificateChain(bali.list([newCertificate, agentCertificate]));
+            expect(isValid).to.equal(true);
+            await agentNotary.forgetKey();
+            await client.disconnect();
+            await agent.stop();
+            expect(fs.existsSync(socket)).to.equal(false);
+        });
+
+        it('should share one connection and reject malformed responses from the agent', async function() {
+            const badSocket = agentDirectory + 'bad.sock';
+            var connections = 0;
+            const server = net.createServer(function(connection) {
+                connections++;
+                connection.on('data', function() {
+                    connection.write('not json\n');
+                });
+            });
+            await new Promise(function(resolve) {
+                server.listen(badSocket, resolve);
+            });
+            const badClient = api.agentSSM(badSocket, debug);
+            const results = await Promise.allSettled([badClient.getTag(), badClient.getProtocol()]);
+            expect(results[0].status).to.equal('rejected');
+            expect(results[1].status).to.equal('rejected');
+            expect(connections).to.equal(1);
+            await badClient.disconnect();
+            await new Promise(function(resolve) {
+                server.close(resolve);
+            });
+        });
+
+    });
+
+    describe('Test Command Line Tool', function() {
+        const cliDirectory = 'test/config/cli/';
+        const run = function(...args) {
+            return child.spawnSync(process.execPath, ['bin/bali-notary', '--directory', cliDirectory].concat(args), {
+                encoding: 'utf8'
+            });
+        };
+
+        it('should notarize and verify documents', function() {
+            fs.mkdirSync(cliDirectory, {recursive: true, mode: 0o700});
+            fs.writeFileSync(cliDirectory + 'document.bali', document.toString() + '\n', 'utf8');
+            var result = run('init', '--output', cliDirectory + 'certificate.bali');
+            expect(result.status).to.equal(0);
+            result = run('notarize', cliDirectory + 'document.bali');
+            expect(result.status).to.equal(0);
+            const contract = bali.component(result.stdout.trim());
+            expect(contract.getAttribute('$document').isEqualTo(document)).to.equal(true);
+            fs.writeFileSync(cliDirectory + 'contract.bali', result.stdout, 'utf8');
+            result = run('verify', cliDirectory + 'contract.bali', cliDirectory + 'certificate.bali');
+            expect(result.status).to.equal(0);
+            expect(result.stdout.trim()).to.equal('valid');
+
+            fs.writeFileSync(cliDirectory + 'contract.bali', contract.toString().replace('"bar"', '"baz"') + '\n', 'utf8');
+            result = run('verify', cliDirectory + 'contract.bali', cliDirectory + 'certificate.bali');
+            expect(result.status).to.equal(1);
+            expect(result.stdout.trim()).to.equal('invalid');
+        });
+
+        it('should report the status and forget the notary key', function() {
+            var result = run('status');
+            expect(result.status).to.equal(0);
+            const status = bali.component(result.stdout.trim());
+            expect(status.getAttribute('$citation').getAttribute('$protocol').toString()).to.equal('v3');
+            result = run('forget');
+            expect(result.status).to.equal(0);
+            result = run('notarize', cliDirectory + 'document.bali');
+            expect(result.status).to.equal(2);
+        });
+
+    });
+
     describe('Test Key Erasure', function() {
 
         it('should erase all keys properly', async function() {